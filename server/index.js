@@ -24,9 +24,20 @@ import dotenv from 'dotenv';
 // Import route files - these contain our API endpoints
 // Routes organize our code by feature (products, auth, cart, orders)
 import productRoutes from './routes/productRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import addressRoutes from './routes/addressRoutes.js';
 import cartRoutes from './routes/cartRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
+import adminOrderRoutes from './routes/adminOrderRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import newsletterRoutes from './routes/newsletterRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import { uploadDir } from './utils/storage.js';
+import { checkTransactionSupport } from './utils/invoices.js';
 
 // Load environment variables from .env file
 // This gives us access to PORT, MONGO_URI, JWT_SECRET, etc.
@@ -69,6 +80,18 @@ app.use(cors({
   credentials: true
 }));
 
+// Behind a proxy or load balancer (Render, Heroku, nginx) req.ip is the proxy's address
+// TRUST_PROXY=1 (number of proxies) uses the client address from X-Forwarded-For instead,
+// so per-IP rate limits apply to each visitor rather than to everyone at once
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+}
+
+// Payment webhooks need the body exactly as it was sent to check its signature,
+// so this route gets a raw Buffer instead of parsed JSON (must come before express.json)
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+
 // JSON parser middleware - converts JSON request body to JavaScript object
 // Example: { "name": "John" } → req.body.name = "John"
 app.use(express.json());
@@ -77,6 +100,13 @@ app.use(express.json());
 // Example: name=John&email=john@example.com → req.body = { name: "John", email: "john@example.com" }
 app.use(express.urlencoded({ extended: true }));
 
+// Product images uploaded with the local storage driver (utils/storage.js)
+// nosniff: browsers must treat them as the image type they were saved as
+app.use('/uploads', express.static(uploadDir(), {
+  maxAge: '7d',
+  setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+}));
+
 /**
  * ROUTES - API endpoints
  * These map URLs to functions that handle requests
@@ -85,9 +115,18 @@ app.use(express.urlencoded({ extended: true }));
  * All routes starting with /api/products go to productRoutes
  */
 app.use('/api/products', productRoutes);  // Product CRUD operations
+app.use('/api/categories', categoryRoutes); // Category tree (navbar, category pages, breadcrumbs)
+app.use('/api/collections', collectionRoutes); // Merchandising collections (homepage sections, /collections pages)
+app.use('/api/auth/addresses', addressRoutes); // Address book (saved shipping/billing addresses)
 app.use('/api/auth', authRoutes);          // Login, signup, profile
 app.use('/api/cart', cartRoutes);          // Shopping cart operations
 app.use('/api/orders', orderRoutes);       // Order creation and management
+app.use('/api/admin/orders', adminOrderRoutes); // Store-wide order management (admin only)
+app.use('/api/coupons', couponRoutes);     // Promo code management (admin only)
+app.use('/api/reviews', reviewRoutes);     // Product reviews, ratings and moderation
+app.use('/api/wishlist', wishlistRoutes);  // Saved-for-later products
+app.use('/api/newsletter', newsletterRoutes); // Newsletter sign-up (double opt-in) and CSV export
+app.use('/api/payments', paymentRoutes);   // Card payments, refunds and provider webhooks
 
 /**
  * HEALTH CHECK ROUTE
@@ -114,9 +153,12 @@ const MONGO_URI = process.env.MONGO_URI;
 // Connect to MongoDB database
 mongoose
   .connect(MONGO_URI)
-  .then(() => {
+  .then(async () => {
     // If connection succeeds, log success and start server
     console.log('Connected to MongoDB');
+
+    // Checkout stores orders in transactions, which need a replica set
+    await checkTransactionSupport(mongoose.connection);
     
     // Start listening for HTTP requests on specified port
     // Once this runs, server is live and accepting requests
@@ -17,6 +17,20 @@ import jwt from 'jsonwebtoken';
 // Import User model to fetch user data
 import User from '../models/User.js';
 
+// Import Session model - every access token belongs to a login session
+import Session from '../models/Session.js';
+
+/**
+ * HELPER FUNCTION: Is the token's session still active?
+ * Access tokens carry the id of the session (device) they were issued for.
+ * Logging out or revoking a session stops its access tokens straight away,
+ * instead of when they expire.
+ */
+const hasActiveSession = (decoded, user) =>
+  decoded.sessionId
+    ? Session.exists({ _id: decoded.sessionId, user: user._id, ...Session.activeFilter() })
+    : false;
+
 /**
  * AUTHENTICATION MIDDLEWARE
  * This function protects routes - only authenticated users can access them
@@ -54,7 +68,7 @@ export const authenticate = async (req, res, next) => {
 
     // Verify token using the same secret key used to create it
     // jwt.verify() throws an error if token is invalid or expired
-    // If valid, it returns the decoded data (we stored { userId } in it)
+    // If valid, it returns the decoded data (we stored { userId, tokenVersion, sessionId } in it)
     // Use same default secret as generateToken for consistency
     const jwtSecret = process.env.JWT_SECRET || 'default-jwt-secret-for-development-change-in-production';
     const decoded = jwt.verify(token, jwtSecret);
@@ -68,9 +82,24 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // Tokens carry the user's tokenVersion from when they were issued
+    // A password reset bumps the version, so every older token stops working
+    // (tokens issued before versions existed count as version 0)
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
+    // The session may have been logged out or revoked from another device
+    // (tokens from before sessions existed have no sessionId and are rejected)
+    if (!(await hasActiveSession(decoded, user))) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+
     // Attach user object to request
     // Now any route handler after this middleware can access req.user
+    // req.sessionId tells routes which session (device) made the request
     req.user = user;
+    req.sessionId = decoded.sessionId;
     
     // Call next() to continue to the next middleware or route handler
     // Without next(), the request would hang - nothing would respond
@@ -82,6 +111,65 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * OPTIONAL AUTHENTICATION MIDDLEWARE
+ * For public routes that behave a little differently for logged-in users
+ * (e.g. showing which reviews the user already voted helpful)
+ *
+ * Sets req.user when a valid token is sent, otherwise continues as a guest.
+ * Never rejects the request.
+ *
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Call next middleware/route handler
+ */
+export const optionalAuthenticate = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const jwtSecret = process.env.JWT_SECRET || 'default-jwt-secret-for-development-change-in-production';
+    const decoded = jwt.verify(token, jwtSecret);
+    const user = await User.findById(decoded.userId);
+    if (user && (decoded.tokenVersion || 0) === user.tokenVersion && (await hasActiveSession(decoded, user))) {
+      req.user = user;
+      req.sessionId = decoded.sessionId;
+    }
+  } catch {
+    // Invalid or expired token - treat the request as anonymous
+  }
+  next();
+};
+
+/**
+ * VERIFIED EMAIL MIDDLEWARE
+ * Blocks users who haven't confirmed their email address yet
+ * Must be used AFTER authenticate middleware
+ *
+ * Only enforced when REQUIRE_VERIFIED_EMAIL=true in .env, so existing
+ * deployments (and accounts created before verification existed) keep working
+ *
+ * USAGE:
+ * router.post('/checkout', authenticate, requireVerifiedEmail, (req, res) => { ... });
+ *
+ * @param {object} req - Express request object (should have req.user from authenticate)
+ * @param {object} res - Express response object
+ * @param {function} next - Call next middleware/route handler
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL !== 'true' || req.user?.emailVerified) {
+    return next();
+  }
+
+  // code lets the frontend tell this apart from other 403s
+  res.status(403).json({
+    message: 'Please confirm your email address before placing an order',
+    code: 'EMAIL_NOT_VERIFIED',
+  });
+};
+
 /**
  * ADMIN CHECK MIDDLEWARE
  * Checks if authenticated user has admin role
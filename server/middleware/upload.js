@@ -0,0 +1,43 @@
+import multer from 'multer';
+
+// Image types admins may upload, with the extension the file is stored under
+export const IMAGE_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/avif': '.avif',
+};
+
+export const MAX_IMAGE_SIZE_MB = 5;
+
+// Files are kept in memory and handed to the storage driver by the route
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      return callback(new Error('Only JPEG, PNG, WebP, GIF and AVIF images can be uploaded'));
+    }
+    callback(null, true);
+  },
+});
+
+/**
+ * Parse a single image from a multipart/form-data request (field "image")
+ * The file ends up in req.file; upload problems are answered with 400
+ */
+export const uploadImage = (req, res, next) => {
+  imageUpload.single('image')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Images can be at most ${MAX_IMAGE_SIZE_MB} MB`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+};
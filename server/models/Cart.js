@@ -6,6 +6,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true,
   },
+  // Variant subdocument id on the product (null for products without variants)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
   quantity: {
     type: Number,
     required: true,
@@ -23,6 +28,13 @@ const cartSchema = new mongoose.Schema(
       unique: true,
     },
     items: [cartItemSchema],
+    // Promo code applied to the cart (re-validated whenever totals are calculated)
+    couponCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
   },
   {
     timestamps: true,
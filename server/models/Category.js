@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+
+// URL-safe slug: lowercase words joined by single dashes ("mens-shirts")
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "Men's Shirts" → "mens-shirts"
+export const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Shop category. Categories form a tree through `parent` (null = top level,
+// shown in the navbar); products store the slug of the category they belong to.
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Used in URLs (/category/:slug) and stored on products and coupons
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and dashes'],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    // Banner image URL shown above the category's product listing
+    banner: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Position among its siblings (lower first, then by name)
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+// Admins may leave the slug empty - it is made from the name
+categorySchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// The whole collection, in menu order
+// The tree is small (tens of categories), so it is always loaded at once
+const loadAll = (model) => model.find().sort({ sortOrder: 1, name: 1 }).lean();
+
+// Category ids → their direct children (in menu order)
+const groupByParent = (categories) => {
+  const children = new Map();
+  for (const category of categories) {
+    const parentId = category.parent ? category.parent.toString() : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(category);
+  }
+  return children;
+};
+
+// A category and everything below it
+const collectSubtree = (category, children) => [
+  category,
+  ...(children.get(category._id.toString()) || []).flatMap((child) => collectSubtree(child, children)),
+];
+
+/**
+ * All categories as a tree
+ * @returns {Promise<object[]>} Top-level categories, each with a `children` array (same shape, nested)
+ */
+categorySchema.statics.getTree = async function () {
+  const children = groupByParent(await loadAll(this));
+  const build = (category) => ({
+    ...category,
+    children: (children.get(category._id.toString()) || []).map(build),
+  });
+  return (children.get(null) || []).map(build);
+};
+
+/**
+ * Slugs of a category and all its subcategories
+ * Listings and coupons for "men" also cover "men-shirts".
+ * @param {string} slug - Category slug
+ * @returns {Promise<string[]>} Just [slug] when no such category exists
+ */
+categorySchema.statics.subtreeSlugs = async function (slug) {
+  const categories = await loadAll(this);
+  const category = categories.find((item) => item.slug === slug);
+  if (!category) return [slug];
+  return collectSubtree(category, groupByParent(categories)).map((item) => item.slug);
+};
+
+/**
+ * Ids of a category and all its subcategories (a category can't be moved below any of them)
+ * @returns {Promise<string[]>}
+ */
+categorySchema.statics.subtreeIds = async function (categoryId) {
+  const categories = await loadAll(this);
+  const category = categories.find((item) => item._id.toString() === categoryId.toString());
+  if (!category) return [];
+  return collectSubtree(category, groupByParent(categories)).map((item) => item._id.toString());
+};
+
+/**
+ * A category with its ancestors, for breadcrumbs
+ * @param {string} slug - Category slug
+ * @returns {Promise<object[]|null>} [top level, ..., category], or null when it doesn't exist
+ */
+categorySchema.statics.findPath = async function (slug) {
+  const categories = await loadAll(this);
+  const byId = new Map(categories.map((item) => [item._id.toString(), item]));
+  let category = categories.find((item) => item.slug === slug);
+  if (!category) return null;
+
+  const path = [];
+  // The length check stops at a (corrupt) parent loop instead of spinning forever
+  while (category && path.length <= categories.length) {
+    path.unshift(category);
+    category = category.parent ? byId.get(category.parent.toString()) : null;
+  }
+  return path;
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+import Category, { SLUG_PATTERN, slugify } from './Category.js';
+
+// Homepage sections a collection can fill (one collection is shown per section)
+export const COLLECTION_PLACEMENTS = ['home-popular', 'home-offers', 'home-new'];
+
+// Products in a manual collection
+export const MAX_COLLECTION_PRODUCTS = 100;
+
+// Products shown when a collection fills a homepage section
+export const MAX_COLLECTION_LIMIT = 48;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Merchandising collection. Either a hand-picked product list (type "manual")
+// or a saved product filter (type "rule") that is re-run on every request.
+const collectionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Used in URLs (/collections/:slug)
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and dashes'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Banner image URL shown above the collection page
+    banner: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: ['manual', 'rule'],
+      default: 'manual',
+    },
+    // Manual collections: the products, in display order
+    products: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+      default: [],
+      validate: {
+        validator: (products) => products.length <= MAX_COLLECTION_PRODUCTS,
+        message: `A collection can have at most ${MAX_COLLECTION_PRODUCTS} products`,
+      },
+    },
+    // Rule collections: every condition that is set must match (none set = every product)
+    rules: {
+      // Category slug (subcategories included)
+      category: { type: String, trim: true, lowercase: true, default: null },
+      // Discount of at least this many percent
+      minDiscount: { type: Number, min: 0, max: 100, default: null },
+      // Added to the catalog in the last N days
+      createdWithinDays: { type: Number, min: 1, default: null },
+    },
+    // Homepage section this collection fills (null = only reachable by its URL)
+    placement: {
+      type: String,
+      enum: [...COLLECTION_PLACEMENTS, null],
+      default: null,
+    },
+    // How many products a homepage section shows
+    limit: {
+      type: Number,
+      min: 1,
+      max: MAX_COLLECTION_LIMIT,
+      default: 8,
+    },
+    // Schedule window - unset ends mean "from now" / "until switched off"
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+collectionSchema.index({ placement: 1, startsAt: -1 });
+
+// Admins may leave the slug empty - it is made from the name
+// The schedule is checked here (not on a single path) so changing either date re-checks it
+collectionSchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The end date must be after the start date');
+  }
+  next();
+});
+
+// Filter for collections that are switched on and inside their schedule window
+collectionSchema.statics.liveFilter = (now = new Date()) => ({
+  active: true,
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+  ],
+});
+
+/**
+ * The live collection filling a homepage section
+ * When several are live, the one that started last wins, so a scheduled
+ * campaign takes over the section while it runs.
+ * @returns {Promise<object|null>} Collection document
+ */
+collectionSchema.statics.findForPlacement = function (placement) {
+  return this.findOne({ ...this.liveFilter(), placement }).sort({ startsAt: -1, updatedAt: -1 });
+};
+
+// Whether the collection is switched on and inside its schedule window
+collectionSchema.methods.isLive = function (now = new Date()) {
+  return this.active && (!this.startsAt || this.startsAt <= now) && (!this.endsAt || this.endsAt > now);
+};
+
+/**
+ * The products in this collection
+ * Manual collections keep their order (deleted products are skipped); rule
+ * collections list the newest matching products first.
+ *
+ * @param {object} options - { skip, limit }
+ * @returns {Promise<object>} { products, total }
+ */
+collectionSchema.methods.findProducts = async function ({ skip = 0, limit = this.limit } = {}) {
+  if (this.type === 'manual') {
+    const existing = await Product.find({ _id: { $in: this.products } });
+    const byId = new Map(existing.map((product) => [product._id.toString(), product]));
+    const ordered = this.products.map((id) => byId.get(id.toString())).filter(Boolean);
+    return { products: ordered.slice(skip, skip + limit), total: ordered.length };
+  }
+
+  const query = {};
+  if (this.rules.category) {
+    query.category = { $in: await Category.subtreeSlugs(this.rules.category) };
+  }
+  if (this.rules.minDiscount !== null && this.rules.minDiscount !== undefined) {
+    query.discountPercent = { $gte: this.rules.minDiscount };
+  }
+  if (this.rules.createdWithinDays) {
+    query.createdAt = { $gte: new Date(Date.now() - this.rules.createdWithinDays * DAY_MS) };
+  }
+
+  const [products, total] = await Promise.all([
+    Product.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    Product.countDocuments(query),
+  ]);
+  return { products, total };
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Named sequences (e.g. "invoice" for invoice numbers)
+const counterSchema = new mongoose.Schema({
+  // Sequence name
+  _id: {
+    type: String,
+    required: true,
+  },
+  // Last number handed out
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+/**
+ * Take the next number of a sequence
+ * One atomic $inc, so parallel callers never get the same number. Pass a
+ * session to take the number inside a transaction - it is only used up if
+ * the transaction commits.
+ *
+ * @param {string} name - Sequence name
+ * @param {object} options - { session }
+ * @returns {Promise<number>} 1 for the first call, then 2, 3, ...
+ */
+counterSchema.statics.next = async function (name, { session = null } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    discountType: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+      validate: {
+        validator: function (value) {
+          return this.discountType !== 'percent' || value <= 100;
+        },
+        message: 'Percent discounts cannot be more than 100',
+      },
+    },
+    minCartValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // null = unlimited
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Only products in this category (slug) or its subcategories count towards the discount
+    category: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    redemptions: [redemptionSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
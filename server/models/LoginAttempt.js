@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Audit log of failed logins (kept for 90 days)
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Set when the email belongs to an account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: ['unknown_email', 'wrong_password', 'locked'],
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Save an attempt without letting a logging failure break the login response
+loginAttemptSchema.statics.record = async function (req, { email, user = null, reason }) {
+  try {
+    await this.create({
+      email,
+      user,
+      reason,
+      ip: req.ip || '',
+      userAgent: (req.get('user-agent') || '').slice(0, 300),
+    });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error.message);
+  }
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export default LoginAttempt;
@@ -6,6 +6,22 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true,
   },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  sku: {
+    type: String,
+    default: '',
+  },
+  size: {
+    type: String,
+    default: '',
+  },
+  color: {
+    type: String,
+    default: '',
+  },
   name: {
     type: String,
     required: true,
@@ -25,6 +41,56 @@ const orderItemSchema = new mongoose.Schema({
   },
 });
 
+// One entry per status change (who changed what, when and why)
+const statusHistorySchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['orderStatus', 'paymentStatus'],
+    required: true,
+  },
+  from: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin', 'system'],
+    required: true,
+  },
+  note: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Copy of the address the order ships (or is billed) to
+const orderAddressSchema = new mongoose.Schema(
+  {
+    fullName: { type: String, default: '' },
+    street: { type: String, required: true },
+    city: { type: String, required: true },
+    state: { type: String, default: '' },
+    zipCode: { type: String, default: '' },
+    country: { type: String, required: true },
+    phone: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     user: {
@@ -33,17 +99,39 @@ const orderSchema = new mongoose.Schema(
       required: true,
     },
     items: [orderItemSchema],
+    // Final amount charged (same as pricing.total)
     totalAmount: {
       type: Number,
       required: true,
       min: 0,
     },
+    // Breakdown of totalAmount, as calculated by utils/pricing.js at checkout
+    pricing: {
+      subtotal: { type: Number, min: 0, default: 0 },
+      discount: { type: Number, min: 0, default: 0 },
+      shipping: { type: Number, min: 0, default: 0 },
+      tax: { type: Number, min: 0, default: 0 },
+      // Tax rate applied (0.2 = 20%) and whether the tax is already inside the prices
+      taxRate: { type: Number, min: 0, default: 0 },
+      taxIncluded: { type: Boolean, default: false },
+      shippingZone: { type: String, default: '' },
+      total: { type: Number, min: 0, default: 0 },
+    },
+    // Snapshot of the promo code used (if any)
+    coupon: {
+      code: { type: String },
+      discountType: { type: String, enum: ['percent', 'fixed'] },
+      discountValue: { type: Number },
+    },
+    // Which address fields are required depends on the country (utils/addresses.js)
     shippingAddress: {
-      street: { type: String, required: true },
-      city: { type: String, required: true },
-      state: { type: String, required: true },
-      zipCode: { type: String, required: true },
-      country: { type: String, required: true },
+      type: orderAddressSchema,
+      required: true,
+    },
+    // Only set when billing differs from shipping
+    billingAddress: {
+      type: orderAddressSchema,
+      default: null,
     },
     paymentMethod: {
       type: String,
@@ -52,20 +140,52 @@ const orderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'completed', 'failed'],
+      enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending',
     },
+    // Card payments: the provider's payment intent (see server/utils/payments.js)
+    payment: {
+      provider: { type: String, default: null },
+      intentId: { type: String, default: null },
+      // Last status reported by the provider (requires_action, succeeded, ...)
+      status: { type: String, default: null },
+      lastError: { type: String, default: '' },
+      amountRefunded: { type: Number, min: 0, default: 0 },
+    },
     orderStatus: {
       type: String,
       enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
       default: 'pending',
     },
+    statusHistory: [statusHistorySchema],
+    // Sequential invoice number, taken from the "invoice" Counter once the order is stored
+    // (see utils/invoices.js)
+    invoiceNumber: {
+      type: Number,
+      default: null,
+    },
+    // Set once the items of a cancelled order have been returned to stock
+    stockReleased: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
+    // Reject saves based on a stale copy so concurrent status changes can't overwrite each other
+    optimisticConcurrency: true,
   }
 );
 
+// Webhooks find the order by its payment intent
+orderSchema.index({ 'payment.intentId': 1 });
+
+// An invoice number belongs to exactly one order
+orderSchema.index(
+  { invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'number' } } }
+);
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
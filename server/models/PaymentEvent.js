@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Payment provider webhooks that have been processed
+// The unique index makes redelivered events (providers retry) a no-op
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    intentId: {
+      type: String,
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: 'receivedAt', updatedAt: false },
+  }
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
@@ -1,5 +1,90 @@
 import mongoose from 'mongoose';
 
+// A variant is one purchasable SKU of a product (e.g. "Jeans / M / Blue").
+// Each variant tracks its own stock and may override the product price.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  size: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  price: {
+    type: Number,
+    min: 0,
+  },
+  stockQuantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+// Gallery images per product (keeps documents small and the admin form usable)
+export const MAX_PRODUCT_IMAGES = 12;
+
+// A resized copy of a gallery image (utils/images.js)
+const renditionSchema = new mongoose.Schema(
+  {
+    format: { type: String, enum: ['avif', 'webp'], required: true },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    url: { type: String, required: true },
+    key: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// One gallery image. `color` ties it to the variants of that color so the
+// gallery can show matching photos first; empty = shown for every color.
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Storage key for uploaded files (utils/storage.js); empty for external URLs
+  key: {
+    type: String,
+    default: '',
+  },
+  alt: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Size of the original in pixels (null for images added by URL)
+  width: {
+    type: Number,
+    default: null,
+  },
+  height: {
+    type: Number,
+    default: null,
+  },
+  // Resized AVIF/WebP copies for srcset; empty for images added by URL
+  renditions: {
+    type: [renditionSchema],
+    default: [],
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -7,16 +92,27 @@ const productSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Slug of a Category (checked by the product routes)
     category: {
       type: String,
       required: true,
-      enum: ['men', 'women', 'kid'],
+      trim: true,
       lowercase: true,
     },
+    // Main image (cart, orders, listings) - the first gallery image when there is a gallery
     image: {
       type: String,
       required: true,
     },
+    // Ordered gallery; products without one just show `image`
+    images: {
+      type: [productImageSchema],
+      default: [],
+      validate: {
+        validator: (images) => images.length <= MAX_PRODUCT_IMAGES,
+        message: `A product can have at most ${MAX_PRODUCT_IMAGES} images`,
+      },
+    },
     new_price: {
       type: Number,
       required: true,
@@ -31,6 +127,19 @@ const productSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Shipping weight in kg (used by weight-based shipping rates; unset = DEFAULT_ITEM_WEIGHT_KG)
+    weight: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // How much new_price is below old_price, in whole percent (calculated on save, used for sorting)
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
     inStock: {
       type: Boolean,
       default: true,
@@ -40,13 +149,78 @@ const productSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Aggregate of published reviews (kept up to date by Review.updateProductRating)
+    rating: {
+      average: { type: Number, default: 0, min: 0, max: 5 },
+      count: { type: Number, default: 0, min: 0 },
+    },
+    variants: {
+      type: [variantSchema],
+      default: [],
+      validate: {
+        validator: (variants) => {
+          const seen = new Set();
+          return variants.every((variant) => {
+            const key = `${variant.size}|${variant.color.toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+        },
+        message: 'Each size and color combination may only appear once',
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// Category listings filtered by price
+productSchema.index({ category: 1, new_price: 1 });
+
+// Catalog search (GET /api/products?search=) - name matches rank above category and description
+productSchema.index(
+  { name: 'text', category: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, category: 4, description: 1 } }
+);
+
+// Keep derived fields in sync: the discount percentage, the main image (first
+// gallery image) and, for products with variants, the product-level stock (the
+// sum of its variants).
+// pre('validate') also runs for insertMany, so seeded products stay in sync.
+productSchema.pre('validate', function (next) {
+  if (this.images.length > 0) {
+    this.image = this.images[0].url;
+  }
+
+  this.discountPercent = this.old_price > this.new_price
+    ? Math.round(((this.old_price - this.new_price) / this.old_price) * 100)
+    : 0;
+
+  if (this.variants.length > 0) {
+    this.stockQuantity = this.variants.reduce((sum, variant) => sum + variant.stockQuantity, 0);
+    this.inStock = this.stockQuantity > 0;
+  }
+  next();
+});
+
+// Find a variant by its id (returns undefined if it does not exist)
+productSchema.methods.findVariant = function (variantId) {
+  if (!variantId) return undefined;
+  return this.variants.id(variantId) || undefined;
+};
+
+// Price for a variant, falling back to the product price when not overridden
+productSchema.methods.getPrice = function (variant) {
+  if (variant && variant.price !== undefined && variant.price !== null) {
+    return variant.price;
+  }
+  return this.new_price;
+};
+
 const Product = mongoose.model('Product', productSchema);
 
 export default Product;
-
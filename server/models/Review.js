@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import Product from './Product.js';
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be a whole number from 1 to 5',
+      },
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+      default: '',
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    // Reviewer has a delivered order containing this product
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    helpfulVoters: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Hidden reviews are kept for admins but not shown or counted in the rating
+    status: {
+      type: String,
+      enum: ['published', 'hidden'],
+      default: 'published',
+    },
+    moderationNote: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recalculate a product's average rating and review count from its published reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'published' } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      rating: {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats ? stats.count : 0,
+      },
+    }
+  );
+};
+
+// Voter ids stay private - clients only need the count and whether they voted
+reviewSchema.methods.toJSON = function () {
+  const review = this.toObject();
+  delete review.helpfulVoters;
+  return review;
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// One logged-in device. The refresh token changes on every use (rotation);
+// only hashes are stored, like the password reset tokens.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Tokens this session has already rotated past - seeing one again means it was stolen
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'revoked', 'logout_all', 'password_reset', 'token_reuse'],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// MongoDB removes sessions once they expire (revoked ones are kept until then for reuse detection)
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Filter for sessions that can still be used
+sessionSchema.statics.activeFilter = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Revoke every active session of a user (log out everywhere)
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Hide token hashes from API responses
+sessionSchema.methods.toJSON = function () {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousTokenHashes;
+  return session;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
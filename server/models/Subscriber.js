@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Newsletter subscription (double opt-in: "pending" until the emailed link is opened)
+const subscriberSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Account that owns this address (only linked for the account's own email)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'unsubscribed'],
+      default: 'pending',
+    },
+    // Only the hash of the emailed confirmation token is stored
+    confirmationTokenHash: {
+      type: String,
+      default: null,
+    },
+    confirmationExpires: {
+      type: Date,
+      default: null,
+    },
+    // When the last confirmation email went out (used to throttle resends)
+    confirmationSentAt: {
+      type: Date,
+      default: null,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    unsubscribedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+subscriberSchema.index({ confirmationTokenHash: 1 });
+subscriberSchema.index({ status: 1, confirmedAt: 1 });
+
+// Hide the token hash from API responses
+subscriberSchema.methods.toJSON = function () {
+  const subscriber = this.toObject();
+  delete subscriber.confirmationTokenHash;
+  delete subscriber.confirmationExpires;
+  return subscriber;
+};
+
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+
+export default Subscriber;
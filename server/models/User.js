@@ -1,6 +1,27 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Wrong passwords allowed in a row before the account is locked, and for how long
+export const MAX_FAILED_LOGINS = 5;
+export const LOCKOUT_MINUTES = 15;
+
+// Saved addresses a user can keep in their address book
+export const MAX_ADDRESSES = 20;
+
+// One address book entry (validated per country by utils/addresses.js before saving)
+const addressSchema = new mongoose.Schema({
+  // e.g. "Home", "Work"
+  label: { type: String, trim: true, default: '' },
+  fullName: { type: String, trim: true, default: '' },
+  street: { type: String, trim: true, required: true },
+  city: { type: String, trim: true, required: true },
+  state: { type: String, trim: true, default: '' },
+  zipCode: { type: String, trim: true, default: '' },
+  // ISO country code, e.g. "US"
+  country: { type: String, trim: true, uppercase: true, required: true },
+  phone: { type: String, trim: true, default: '' },
+});
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -31,17 +52,74 @@ const userSchema = new mongoose.Schema(
       zipCode: { type: String, default: '' },
       country: { type: String, default: '' },
     },
+    // Address book (see /api/auth/addresses) with the ids of the default entries
+    addresses: {
+      type: [addressSchema],
+      default: [],
+    },
+    defaultShippingAddress: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    defaultBillingAddress: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
     role: {
       type: String,
       enum: ['user', 'admin'],
       default: 'user',
     },
+    // Set once the user opens the link from the verification email
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      default: null,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      default: null,
+    },
+    // When the last verification email went out (used to throttle resends)
+    emailVerificationSentAt: {
+      type: Date,
+      default: null,
+    },
+    // Included in every JWT - bumping it logs the user out everywhere (e.g. after a password reset)
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Password reset (only the hash of the emailed token is stored)
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+    },
+    // Brute-force protection: wrong passwords in a row, and when a lockout ends
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index({ passwordResetTokenHash: 1 });
+userSchema.index({ emailVerificationTokenHash: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -54,10 +132,51 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Seconds until a lockout ends (0 when the account isn't locked)
+userSchema.methods.lockedForSeconds = function () {
+  if (!this.lockUntil) return 0;
+  return Math.max(Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+// Count a wrong password; locks the account after MAX_FAILED_LOGINS in a row
+// $inc keeps the count right when several attempts arrive at once
+// Returns the lock length in seconds (0 if the account isn't locked yet)
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor;
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) return 0;
+
+  await User.updateOne(
+    { _id: this._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS } },
+    { $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) } }
+  );
+  return LOCKOUT_MINUTES * 60;
+};
+
+// Clear the failure count after a successful login
+userSchema.methods.resetFailedLogins = async function () {
+  if (this.failedLoginAttempts === 0 && !this.lockUntil) return;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+};
+
+// Remove password and session/reset secrets from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.tokenVersion;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.failedLoginAttempts;
+  delete user.lockUntil;
   return user;
 };
 
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    items: [wishlistItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Whether a product is already saved
+wishlistSchema.methods.hasProduct = function (productId) {
+  return this.items.some((item) => item.product.toString() === productId.toString());
+};
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
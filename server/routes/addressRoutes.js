@@ -0,0 +1,114 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { MAX_ADDRESSES } from '../models/User.js';
+import { validateAddress } from '../utils/addresses.js';
+
+const router = express.Router();
+
+// All address book routes require authentication
+router.use(authenticate);
+
+// The whole address book - every route answers with it so the page can just re-render
+const toAddressBook = (user) => ({
+  addresses: user.addresses,
+  defaultShippingAddress: user.defaultShippingAddress,
+  defaultBillingAddress: user.defaultBillingAddress,
+});
+
+// Apply isDefaultShipping / isDefaultBilling from the request body
+// The first saved address becomes the default for both
+const applyDefaults = (user, address, body) => {
+  if (body.isDefaultShipping === true || !user.defaultShippingAddress) {
+    user.defaultShippingAddress = address._id;
+  } else if (body.isDefaultShipping === false && user.defaultShippingAddress?.equals(address._id)) {
+    user.defaultShippingAddress = null;
+  }
+  if (body.isDefaultBilling === true || !user.defaultBillingAddress) {
+    user.defaultBillingAddress = address._id;
+  } else if (body.isDefaultBilling === false && user.defaultBillingAddress?.equals(address._id)) {
+    user.defaultBillingAddress = null;
+  }
+};
+
+// Get the address book
+router.get('/', async (req, res) => {
+  try {
+    res.json(toAddressBook(req.user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add an address
+// Body: { label?, fullName?, street, city, state, zipCode, country, phone?, isDefaultShipping?, isDefaultBilling? }
+router.post('/', async (req, res) => {
+  try {
+    if (req.user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_ADDRESSES} addresses` });
+    }
+
+    const { address, errors, message } = validateAddress(req.body);
+    if (errors) {
+      return res.status(400).json({ message, errors });
+    }
+
+    req.user.addresses.push(address);
+    const saved = req.user.addresses[req.user.addresses.length - 1];
+    applyDefaults(req.user, saved, req.body);
+    await req.user.save();
+
+    res.status(201).json({ ...toAddressBook(req.user), address: saved });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update an address (send the whole address, like the form does)
+router.put('/:addressId', async (req, res) => {
+  try {
+    const existing = req.user.addresses.id(req.params.addressId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    const { address, errors, message } = validateAddress(req.body);
+    if (errors) {
+      return res.status(400).json({ message, errors });
+    }
+
+    existing.set(address);
+    applyDefaults(req.user, existing, req.body);
+    await req.user.save();
+
+    res.json({ ...toAddressBook(req.user), address: existing });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete an address
+// A deleted default is replaced by the first remaining address
+router.delete('/:addressId', async (req, res) => {
+  try {
+    const existing = req.user.addresses.id(req.params.addressId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    existing.deleteOne();
+    const fallback = req.user.addresses[0]?._id || null;
+    if (req.user.defaultShippingAddress?.equals(existing._id)) {
+      req.user.defaultShippingAddress = fallback;
+    }
+    if (req.user.defaultBillingAddress?.equals(existing._id)) {
+      req.user.defaultBillingAddress = fallback;
+    }
+    await req.user.save();
+
+    res.json(toAddressBook(req.user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
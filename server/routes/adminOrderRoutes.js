@@ -0,0 +1,173 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import { updateOrderStatus, ORDER_STATUS_TRANSITIONS, PAYMENT_STATUS_TRANSITIONS } from '../utils/orderStatus.js';
+import { escapeRegex, parsePagination, parseSort, parseDate, parseText } from '../utils/query.js';
+
+const router = express.Router();
+
+// Store-wide order management is for admins only
+router.use(authenticate, isAdmin);
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'totalAmount', 'orderStatus', 'paymentStatus'];
+const MAX_BULK_ORDERS = 200;
+
+// Accepts "shipped" or "pending,processing"
+const parseStatusList = (value, allowed, name) => {
+  if (!value) return { values: undefined };
+  const values = String(value).split(',').map((status) => status.trim()).filter(Boolean);
+  const invalid = values.filter((status) => !allowed.includes(status));
+  if (invalid.length > 0) {
+    return { error: `Invalid ${name}: ${invalid.join(', ')}` };
+  }
+  return { values };
+};
+
+// List all orders with filters, pagination and sorting
+// Query: status, paymentStatus, from, to, email, minTotal, page, limit, sort
+router.get('/', async (req, res) => {
+  try {
+    const { status, paymentStatus, from, to, email, minTotal, sort } = req.query;
+
+    const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+    const sorting = parseSort(sort, SORT_FIELDS, { createdAt: -1 });
+    const statuses = parseStatusList(status, Object.keys(ORDER_STATUS_TRANSITIONS), 'status');
+    const paymentStatuses = parseStatusList(paymentStatus, Object.keys(PAYMENT_STATUS_TRANSITIONS), 'paymentStatus');
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+    const emailFilter = parseText(email, 'email');
+
+    const invalid = [pagination, sorting, statuses, paymentStatuses, fromDate, toDate, emailFilter].find((parsed) => parsed.error);
+    if (invalid) {
+      return res.status(400).json({ message: invalid.error });
+    }
+
+    const query = {};
+
+    if (statuses.values) {
+      query.orderStatus = { $in: statuses.values };
+    }
+    if (paymentStatuses.values) {
+      query.paymentStatus = { $in: paymentStatuses.values };
+    }
+
+    if (fromDate.date || toDate.date) {
+      query.createdAt = {};
+      if (fromDate.date) query.createdAt.$gte = fromDate.date;
+      if (toDate.date) {
+        // A plain date ("2024-05-31") includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+          toDate.date.setUTCHours(23, 59, 59, 999);
+        }
+        query.createdAt.$lte = toDate.date;
+      }
+    }
+
+    if (minTotal !== undefined && minTotal !== '') {
+      const min = Number(minTotal);
+      if (Number.isNaN(min) || min < 0) {
+        return res.status(400).json({ message: 'minTotal must be a non-negative number' });
+      }
+      query.totalAmount = { $gte: min };
+    }
+
+    // Customer email filter (partial, case-insensitive match)
+    if (emailFilter.value) {
+      const users = await User.find({ email: { $regex: escapeRegex(emailFilter.value), $options: 'i' } }).select('_id');
+      query.user = { $in: users.map((user) => user._id) };
+    }
+
+    const orders = await Order.find(query)
+      .populate('user', 'name email')
+      .sort(sorting.sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      total,
+      page: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Bulk status update for fulfilment batches
+// Body: { orderIds: [...], orderStatus?, paymentStatus?, note? }
+// Each order is checked against the status rules on its own; the response lists what failed.
+router.put('/status', async (req, res) => {
+  try {
+    const { orderIds, orderStatus, paymentStatus, note } = req.body;
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({ message: 'orderIds must be a non-empty array' });
+    }
+    if (orderIds.length > MAX_BULK_ORDERS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_ORDERS} orders can be updated at once` });
+    }
+    if (!orderStatus && !paymentStatus) {
+      return res.status(400).json({ message: 'orderStatus or paymentStatus is required' });
+    }
+
+    const updated = [];
+    const failed = [];
+
+    for (const id of [...new Set(orderIds.map(String))]) {
+      if (!mongoose.isValidObjectId(id)) {
+        failed.push({ id, message: 'Invalid order ID' });
+        continue;
+      }
+
+      const order = await Order.findById(id);
+      if (!order) {
+        failed.push({ id, message: 'Order not found' });
+        continue;
+      }
+
+      const rejection = await updateOrderStatus(order, { orderStatus, paymentStatus }, {
+        actor: req.user._id,
+        role: 'admin',
+        note,
+      });
+      if (rejection) {
+        failed.push({ id, message: rejection.message });
+      } else {
+        updated.push(id);
+      }
+    }
+
+    res.json({ updated, failed });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get any single order with customer details
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await Order.findById(req.params.id)
+      .populate('user', 'name email phone address role createdAt')
+      .populate('items.product')
+      .populate('statusHistory.actor', 'name email');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
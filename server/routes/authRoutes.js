@@ -13,25 +13,121 @@
 // Import Express Router to create route handlers
 import express from 'express';
 
+// Import mongoose to validate session IDs from the URL
+import mongoose from 'mongoose';
+
 // Import jsonwebtoken library for creating/verifying JWT tokens
 import jwt from 'jsonwebtoken';
 
 // Import User model to interact with users collection in MongoDB
-import User from '../models/User.js';
+import User, { MAX_FAILED_LOGINS, LOCKOUT_MINUTES } from '../models/User.js';
+
+// Import Session model - one document per logged-in device
+import Session from '../models/Session.js';
+
+// Import LoginAttempt model - audit log of failed logins
+import LoginAttempt from '../models/LoginAttempt.js';
 
 // Import authentication middleware to protect routes
 import { authenticate } from '../middleware/auth.js';
 
+// Import email sending and one-time token helpers (password reset, email verification)
+import { sendMail, clientUrl } from '../utils/mailer.js';
+import { createToken, hashToken } from '../utils/tokens.js';
+
+// Import refresh token helpers (sessions, rotation, reuse detection)
+import { createSession, rotateSession, describeDevice } from '../utils/sessions.js';
+
+// Import rate limiting helpers (brute-force protection)
+import { rateLimit, hitRateLimit, resetRateLimit, sendTooManyRequests } from '../utils/rateLimit.js';
+
 // Create Express router instance
 // Router lets us group related routes and export them
 const router = express.Router();
 
+/**
+ * RATE LIMITS
+ * Slow down password guessing and credential stuffing
+ * Per IP: stops one machine hammering the endpoint
+ * Per account: stops many machines guessing one account's password
+ * (wrong passwords also lock the account for a while - see User.registerFailedLogin)
+ */
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+// Login attempts are counted by the normalized email so "A@x.com " and "a@x.com" share a limit
+const normalizedEmailKey = (req) =>
+  typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+
+const loginIpLimiter = rateLimit({
+  name: 'login-ip', windowMs: FIFTEEN_MINUTES, max: 30, message: 'Too many login attempts',
+});
+const loginAccountLimiter = rateLimit({
+  name: 'login-account', windowMs: FIFTEEN_MINUTES, max: 10, key: normalizedEmailKey,
+  message: 'Too many login attempts for this account',
+});
+const signupLimiter = rateLimit({
+  name: 'signup-ip', windowMs: 60 * 60 * 1000, max: 10, message: 'Too many accounts created',
+});
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset-ip', windowMs: FIFTEEN_MINUTES, max: 10, message: 'Too many password reset requests',
+});
+
+/**
+ * LOCKOUT FOR UNKNOWN EMAILS
+ * Emails without an account lock out exactly like real accounts (same count,
+ * same 429 and Retry-After), otherwise the lock message would reveal which
+ * emails are registered. There is no user document to keep the count on, so
+ * it lives in the rate limit store, keyed by the normalized email.
+ */
+const LOCKOUT_MS = LOCKOUT_MINUTES * 60 * 1000;
+
+// Failures are forgotten after a day (real accounts keep theirs until the next successful login)
+const UNKNOWN_EMAIL_FAILURE_WINDOW = 24 * 60 * 60 * 1000;
+
+// Seconds until an unknown email's lockout ends (0 when it isn't locked)
+// The store can only count, so a fresh window (count 1) means "not locked" and is dropped again
+const unknownEmailLockedFor = async (email) => {
+  const key = `login-lock:${email}`;
+  const { limited, retryAfter } = await hitRateLimit(key, { windowMs: LOCKOUT_MS, max: 1 });
+  if (limited) return retryAfter;
+  await resetRateLimit(key);
+  return 0;
+};
+
+// Count a failed login for an unknown email; returns the lock length in seconds (0 if not locked yet)
+const registerUnknownEmailFailure = async (email) => {
+  const failuresKey = `login-failures:${email}`;
+  const { limited } = await hitRateLimit(failuresKey, {
+    windowMs: UNKNOWN_EMAIL_FAILURE_WINDOW, max: MAX_FAILED_LOGINS - 1,
+  });
+  if (!limited) return 0;
+
+  await resetRateLimit(failuresKey);
+  await hitRateLimit(`login-lock:${email}`, { windowMs: LOCKOUT_MS, max: 1 });
+  return LOCKOUT_MINUTES * 60;
+};
+
+// Same wording for real and unknown accounts
+const ACCOUNT_LOCKED_MESSAGE = 'This account is temporarily locked after too many failed logins';
+const ACCOUNT_LOCKING_MESSAGE = 'Too many failed logins, this account is temporarily locked';
+
+// How long an access token (JWT) is valid - the refresh token gets a new one after that
+const ACCESS_TOKEN_TTL = '15m';
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// How long an email verification link stays valid, and the minimum gap between resends
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const VERIFICATION_RESEND_INTERVAL_SECONDS = 60;
+
 /**
  * HELPER FUNCTION: Generate JWT Token
  * Creates a secure token that identifies a user
  * Token is signed with a secret key so it can't be tampered with
  * 
- * @param {string} userId - MongoDB user ID
+ * @param {object} user - User document (its _id and tokenVersion go into the token)
+ * @param {object} session - Session the token belongs to (revoking it stops the token)
  * @returns {string} JWT token
  * 
  * HOW JWT WORKS:
@@ -39,19 +135,80 @@ const router = express.Router();
  * 2. Client stores token in localStorage
  * 3. Client sends token with every request
  * 4. Server verifies token to identify user
+ * 5. After 15 minutes the client swaps its refresh token for a new one (POST /refresh)
  */
-const generateToken = (userId) => {
+const generateToken = (user, session) => {
   // Use JWT_SECRET from .env file, or a default secret for development
   // WARNING: In production, always set JWT_SECRET in .env file for security!
   const jwtSecret = process.env.JWT_SECRET || 'default-jwt-secret-for-development-change-in-production';
   
   // jwt.sign() creates a token
-  // First param: data to encode (userId)
+  // First param: data to encode (userId, plus tokenVersion and sessionId so tokens can be revoked)
   // Second param: secret key (from .env file or default)
-  // Third param: options (expires in 7 days)
-  return jwt.sign({ userId }, jwtSecret, {
-    expiresIn: '7d',  // Token expires after 7 days
-  });
+  // Third param: options (short expiry - a stolen token is only useful for a few minutes)
+  return jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion, sessionId: session._id },
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+/**
+ * HELPER FUNCTION: Log a user in on this device
+ * Creates a session and returns both tokens for the response
+ *
+ * @param {object} user - User document
+ * @param {object} req - Express request (browser and IP are saved with the session)
+ * @returns {Promise<object>} { token, refreshToken }
+ */
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await createSession(user, req);
+  return { token: generateToken(user, session), refreshToken };
+};
+
+/**
+ * HELPER FUNCTION: User data returned to the frontend after signup/login
+ * (stored in localStorage - never include secrets here)
+ */
+const toAuthUser = (user) => ({
+  id: user._id,        // MongoDB document ID
+  name: user.name,
+  email: user.email,
+  role: user.role,     // 'user' or 'admin'
+  emailVerified: user.emailVerified,
+});
+
+/**
+ * HELPER FUNCTION: Give a user a fresh email verification token
+ * Sets the fields on the document (caller saves) and returns the plain token for the email
+ */
+const issueVerificationToken = (user) => {
+  const { token, tokenHash } = createToken();
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  user.emailVerificationSentAt = new Date();
+  return token;
+};
+
+/**
+ * HELPER FUNCTION: Email the verification link
+ * Failures are logged, not thrown - the user can ask for another email later
+ */
+const sendVerificationEmail = async (user, token) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text:
+        `Hi ${user.name},\n\n` +
+        `Thanks for signing up! Please confirm your email address by opening this link ` +
+        `within ${EMAIL_VERIFICATION_TTL_HOURS} hours:\n\n` +
+        `${clientUrl(`/verify-email?token=${token}`)}\n\n` +
+        `If you didn't create an account, you can ignore this email.`,
+    });
+  } catch (mailError) {
+    console.error('Failed to send verification email:', mailError.message);
+  }
 };
 
 /**
@@ -69,10 +226,11 @@ const generateToken = (userId) => {
  * {
  *   "message": "User created successfully",
  *   "token": "eyJhbGc...",
+ *   "refreshToken": "9f2c...",
  *   "user": { "id": "...", "name": "...", "email": "..." }
  * }
  */
-router.post('/signup', async (req, res) => {
+router.post('/signup', signupLimiter, async (req, res) => {
   // Try-catch handles errors gracefully
   try {
     // Destructure request body - extract name, email, password
@@ -101,28 +259,30 @@ router.post('/signup', async (req, res) => {
     // Create new User instance with provided data
     // This doesn't save to database yet - just creates object in memory
     const user = new User({ name, email: normalizedEmail, password });
+
+    // The account works right away, but emailVerified stays false until
+    // the link in the verification email is opened
+    const verificationToken = issueVerificationToken(user);
     
     // Save user to database
     // User model's pre('save') hook automatically hashes the password before saving
     await user.save();
 
-    // Generate JWT token for the new user
+    await sendVerificationEmail(user, verificationToken);
+
+    // Start a session and generate tokens for the new user
     // Token contains user ID so we know who this is in future requests
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(user, req);
 
     // Send success response
     // Status 201 = Created (new resource was created)
-    // Include token so frontend can store it
+    // Include tokens so frontend can store them
     // Include user info (but NOT password - User model removes it automatically)
     res.status(201).json({
       message: 'User created successfully',
-      token,  // JWT token
-      user: {
-        id: user._id,        // MongoDB document ID
-        name: user.name,
-        email: user.email,
-        role: user.role,     // 'user' or 'admin'
-      },
+      token,  // JWT access token
+      refreshToken,  // Used to get a new access token when it expires
+      user: toAuthUser(user),
     });
   } catch (error) {
     // If anything goes wrong (database error, validation error, etc.)
@@ -140,8 +300,12 @@ router.post('/signup', async (req, res) => {
  *   "email": "john@example.com",
  *   "password": "password123"
  * }
+ *
+ * RATE LIMITED: per IP and per account; 5 wrong passwords in a row lock the
+ * account for 15 minutes. Both answer 429 with a Retry-After header.
+ * Failed attempts are saved in the LoginAttempt collection.
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimiter, loginAccountLimiter, async (req, res) => {
   try {
     // Extract email and password from request
     const { email, password } = req.body;
@@ -159,10 +323,29 @@ router.post('/login', async (req, res) => {
     
     // If user doesn't exist, return error
     // Status 401 = Unauthorized (invalid credentials)
+    // Unknown emails are locked out like real accounts, so the responses can't tell them apart
     if (!user) {
+      const unknownLockedFor = await unknownEmailLockedFor(normalizedEmail);
+      if (unknownLockedFor > 0) {
+        await LoginAttempt.record(req, { email: normalizedEmail, reason: 'locked' });
+        return sendTooManyRequests(res, unknownLockedFor, ACCOUNT_LOCKED_MESSAGE);
+      }
+
+      await LoginAttempt.record(req, { email: normalizedEmail, reason: 'unknown_email' });
+      const lockSeconds = await registerUnknownEmailFailure(normalizedEmail);
+      if (lockSeconds > 0) {
+        return sendTooManyRequests(res, lockSeconds, ACCOUNT_LOCKING_MESSAGE);
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Locked after too many wrong passwords - don't even check this one
+    const lockedFor = user.lockedForSeconds();
+    if (lockedFor > 0) {
+      await LoginAttempt.record(req, { email: normalizedEmail, user: user._id, reason: 'locked' });
+      return sendTooManyRequests(res, lockedFor, ACCOUNT_LOCKED_MESSAGE);
+    }
+
     // Compare provided password with hashed password in database
     // comparePassword() is a method defined in User model
     // It uses bcrypt to securely compare passwords
@@ -173,24 +356,29 @@ router.post('/login', async (req, res) => {
     // We use same message for both "user not found" and "wrong password"
     // This prevents attackers from knowing if email exists
     if (!isPasswordValid) {
+      await LoginAttempt.record(req, { email: normalizedEmail, user: user._id, reason: 'wrong_password' });
+      const lockSeconds = await user.registerFailedLogin();
+      if (lockSeconds > 0) {
+        return sendTooManyRequests(res, lockSeconds, ACCOUNT_LOCKING_MESSAGE);
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Correct password - start counting failures from zero again
+    await user.resetFailedLogins();
+    await resetRateLimit(`login-account:${normalizedEmail}`);
+
     // If we reach here, login is successful
-    // Generate token for authenticated user
-    const token = generateToken(user._id);
+    // Start a session for this device and generate its tokens
+    const { token, refreshToken } = await startSession(user, req);
 
-    // Return success response with token
+    // Return success response with tokens
     // Status 200 = OK (default, so we don't need to specify)
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
+      refreshToken,
+      user: toAuthUser(user),
     });
   } catch (error) {
     // If server error occurs (500 = Internal Server Error)
@@ -198,6 +386,150 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * ROUTE: POST /api/auth/refresh
+ * Swaps a refresh token for a new access token AND a new refresh token
+ *
+ * REQUEST BODY:
+ * { "refreshToken": "9f2c..." }
+ *
+ * Each refresh token works once (rotation). Sending one that was already
+ * used revokes the whole session, because it means the token was copied
+ * (except within a few seconds of its use - that's two tabs refreshing at once, answered with 409).
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await rotateSession(refreshToken);
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    res.json({
+      token: generateToken(user, result.session),
+      refreshToken: result.refreshToken,
+      user: toAuthUser(user),  // Lets the frontend pick up changes (e.g. email verified)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * ROUTE: POST /api/auth/logout
+ * Ends the session the refresh token belongs to
+ *
+ * REQUEST BODY:
+ * { "refreshToken": "9f2c..." }
+ *
+ * No access token needed (it may already have expired). Always succeeds.
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await Session.updateOne(
+        { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * ROUTE: GET /api/auth/sessions
+ * Lists the devices the user is logged in on, most recently used first
+ *
+ * PROTECTED ROUTE: Requires authentication
+ * "current" marks the session making this request
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, ...Session.activeFilter() })
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * ROUTE: DELETE /api/auth/sessions/:id
+ * Logs out one device
+ *
+ * PROTECTED ROUTE: Requires authentication
+ * Its access token stops working straight away (authenticate checks the session)
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * ROUTE: DELETE /api/auth/sessions
+ * Logs out everywhere
+ *
+ * PROTECTED ROUTE: Requires authentication
+ * QUERY: ?others=true keeps the current session (log out other devices only)
+ */
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const filter = { user: req.user._id, revokedAt: null };
+    if (req.query.others === 'true') {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: 'logout_all' },
+    });
+
+    res.json({ message: 'Sessions revoked', revoked: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * ROUTE: GET /api/auth/me
  * Gets current logged-in user's information
@@ -240,5 +572,216 @@ router.put('/profile', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * ROUTE: POST /api/auth/verify-email
+ * Confirms the user's email address with the token from the verification email
+ *
+ * REQUEST BODY:
+ * { "token": "..." }
+ *
+ * No login needed - the link may be opened on a different device.
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    // Verify and clear the token in one atomic update (single-use)
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: {
+          emailVerified: true,
+          emailVerificationTokenHash: null,
+          emailVerificationExpires: null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Email address confirmed', user: toAuthUser(user) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * ROUTE: POST /api/auth/resend-verification
+ * Sends a new verification email to the logged-in user
+ *
+ * PROTECTED ROUTE: Requires authentication
+ * Throttled to one email per VERIFICATION_RESEND_INTERVAL_SECONDS (429 + Retry-After otherwise)
+ */
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Your email address is already confirmed' });
+    }
+
+    const { token, tokenHash } = createToken();
+    const now = new Date();
+    const throttleCutoff = new Date(now.getTime() - VERIFICATION_RESEND_INTERVAL_SECONDS * 1000);
+
+    // Only update if the last email is old enough - doing the check inside the
+    // update stops parallel requests from sending several emails
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        emailVerified: { $ne: true },
+        $or: [
+          { emailVerificationSentAt: null },
+          { emailVerificationSentAt: { $lte: throttleCutoff } },
+        ],
+      },
+      {
+        $set: {
+          emailVerificationTokenHash: tokenHash,
+          emailVerificationExpires: new Date(now.getTime() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+          emailVerificationSentAt: now,
+        },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      const sentAt = req.user.emailVerificationSentAt || now;
+      const retryAfter = Math.max(
+        Math.ceil((sentAt.getTime() + VERIFICATION_RESEND_INTERVAL_SECONDS * 1000 - now.getTime()) / 1000),
+        1
+      );
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter,
+      });
+    }
+
+    await sendVerificationEmail(user, token);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * ROUTE: POST /api/auth/forgot-password
+ * Emails a one-time password reset link
+ *
+ * REQUEST BODY:
+ * { "email": "john@example.com" }
+ *
+ * The response is the same whether or not the email has an account,
+ * so this can't be used to find out who is registered.
+ */
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Please provide your email address' });
+    }
+
+    const genericResponse = {
+      message: 'If an account exists for that email, a password reset link has been sent',
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Store only the hash - the plain token exists only in the email
+    // A new request replaces any earlier (unused) link
+    const { token, tokenHash } = createToken();
+    user.passwordResetTokenHash = tokenHash;
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    const resetLink = clientUrl(`/reset-password?token=${token}`);
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text:
+          `Hi ${user.name},\n\n` +
+          `Someone (hopefully you) asked to reset the password for your account.\n` +
+          `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:\n\n` +
+          `${resetLink}\n\n` +
+          `If you didn't ask for this, you can ignore this email - your password won't change.`,
+      });
+    } catch (mailError) {
+      // Don't reveal the failure to the client (that would confirm the account exists)
+      console.error('Failed to send password reset email:', mailError.message);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * ROUTE: POST /api/auth/reset-password
+ * Sets a new password using the token from the reset email
+ *
+ * REQUEST BODY:
+ * { "token": "...", "password": "newPassword123" }
+ *
+ * The token works once and expires after PASSWORD_RESET_TTL_MINUTES.
+ * Resetting logs the user out of every device (tokenVersion is bumped).
+ */
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password) {
+      return res.status(400).json({ message: 'Reset token and new password are required' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    // Claim the token atomically - clearing it in the same update makes it single-use
+    // even if the link is submitted twice at the same moment
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      { $set: { passwordResetTokenHash: null, passwordResetExpires: null } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    // pre('save') hashes the new password
+    user.password = password;
+    user.tokenVersion += 1;
+    // Proving access to the email also lifts a lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+
+    // Refresh tokens must stop working too, or they could mint new access tokens
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 export default router;
 
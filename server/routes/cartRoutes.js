@@ -1,13 +1,30 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
 import { authenticate } from '../middleware/auth.js';
+import { priceCart, getCartLines, getSubtotal } from '../utils/pricing.js';
+import { evaluateCoupon, getCouponCategories } from '../utils/coupons.js';
+import { addItemToCart, findItemIndex, parseQuantity, checkLineStock } from '../utils/cart.js';
 
 const router = express.Router();
 
+// Cap on how many lines a guest cart can bring in at login
+const MAX_MERGE_ITEMS = 100;
+
 // All cart routes require authentication
 router.use(authenticate);
 
+// Send the cart with its items populated and server-side totals (subtotal, discount, total)
+// Shipping and tax need an address, so they are null here - see POST /quote
+// `extra` fields are added to the response (e.g. what a merge dropped)
+const sendCart = async (res, cart, user, extra = {}) => {
+  await cart.populate('items.product');
+  const { totals } = await priceCart(cart, user);
+  res.json({ ...cart.toJSON(), totals, ...extra });
+};
+
 // Get user's cart
 router.get('/', async (req, res) => {
   try {
@@ -18,7 +35,25 @@ router.get('/', async (req, res) => {
       await cart.save();
     }
 
-    res.json(cart);
+    await sendCart(res, cart, req.user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Shipping and tax for the cart delivered to an address (used by checkout before the order is placed)
+// Body: { shippingAddress: { country, state, ... } }
+// Returns { totals } - the same breakdown the order will store
+router.post('/quote', async (req, res) => {
+  try {
+    const { shippingAddress } = req.body;
+    if (!shippingAddress?.country) {
+      return res.status(400).json({ message: 'Country is required' });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+    const { totals } = await priceCart(cart || new Cart({ user: req.user._id, items: [] }), req.user, shippingAddress);
+    res.json({ totals });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -27,37 +62,77 @@ router.get('/', async (req, res) => {
 // Add item to cart
 router.post('/add', async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
 
-    if (!productId) {
-      return res.status(400).json({ message: 'Product ID is required' });
+    const result = await addItemToCart(req.user._id, { productId, variantId, quantity });
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message });
     }
 
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    await sendCart(res, result.cart, req.user);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Merge a guest (localStorage) cart into the user's cart after login
+// Body: { items: [{ productId, variantId, quantity }] }
+// Quantities for lines already in the cart are added together; lines whose
+// product or variant no longer exists, or that don't fit in stock, are dropped
+// and listed in `dropped`
+router.post('/merge', async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ message: 'items must be an array' });
     }
 
-    let cart = await Cart.findOne({ user: req.user._id });
+    const guestLines = items.slice(0, MAX_MERGE_ITEMS);
+    const productIds = guestLines
+      .map((item) => item?.productId)
+      .filter((id) => mongoose.isValidObjectId(id));
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productsById = new Map(products.map((product) => [product._id.toString(), product]));
 
+    let cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
       cart = new Cart({ user: req.user._id, items: [] });
     }
 
-    const existingItemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId
-    );
-
-    if (existingItemIndex > -1) {
-      cart.items[existingItemIndex].quantity += parseInt(quantity);
-    } else {
-      cart.items.push({ product: productId, quantity: parseInt(quantity) });
-    }
+    const dropped = [];
+    guestLines.forEach((item) => {
+      const productId = item?.productId ? String(item.productId) : null;
+      const variantId = item?.variantId ? String(item.variantId) : null;
+      const quantity = parseQuantity(item?.quantity);
+      const product = productId && productsById.get(productId);
+
+      // The variant must still exist, and variant products need one chosen
+      const variant = product && product.variants.length > 0 ? product.findVariant(variantId) : null;
+      const validVariant = product && (product.variants.length > 0 ? Boolean(variant) : !variantId);
+
+      if (!product || !validVariant || !quantity) {
+        dropped.push({ productId, variantId });
+        return;
+      }
+
+      // Same whole-line stock check as adding to the cart
+      const itemIndex = findItemIndex(cart, productId, variantId);
+      const inCart = itemIndex > -1 ? cart.items[itemIndex].quantity : 0;
+      if (checkLineStock(product, variant, inCart + quantity)) {
+        dropped.push({ productId, variantId });
+        return;
+      }
+
+      if (itemIndex > -1) {
+        cart.items[itemIndex].quantity += quantity;
+      } else {
+        cart.items.push({ product: productId, variant: variantId, quantity });
+      }
+    });
 
     await cart.save();
-    await cart.populate('items.product');
-
-    res.json(cart);
+    await sendCart(res, cart, req.user, { dropped });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -66,14 +141,15 @@ router.post('/add', async (req, res) => {
 // Update cart item quantity
 router.put('/update', async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     if (!productId || quantity === undefined) {
       return res.status(400).json({ message: 'Product ID and quantity are required' });
     }
 
-    if (quantity < 1) {
-      return res.status(400).json({ message: 'Quantity must be at least 1' });
+    const newQuantity = parseQuantity(quantity);
+    if (!newQuantity) {
+      return res.status(400).json({ message: 'Quantity must be a whole number of at least 1' });
     }
 
     let cart = await Cart.findOne({ user: req.user._id });
@@ -82,25 +158,36 @@ router.put('/update', async (req, res) => {
       return res.status(404).json({ message: 'Cart not found' });
     }
 
-    const itemIndex = cart.items.findIndex(
-      (item) => item.product.toString() === productId
-    );
+    const itemIndex = findItemIndex(cart, productId, variantId);
 
     if (itemIndex === -1) {
       return res.status(404).json({ message: 'Item not found in cart' });
     }
 
-    cart.items[itemIndex].quantity = parseInt(quantity);
-    await cart.save();
-    await cart.populate('items.product');
+    const product = await Product.findById(cart.items[itemIndex].product);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    const variant = cart.items[itemIndex].variant ? product.findVariant(cart.items[itemIndex].variant) : null;
+    if (cart.items[itemIndex].variant && !variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    // The new quantity replaces the old one, so it is checked on its own
+    const stockProblem = checkLineStock(product, variant, newQuantity);
+    if (stockProblem) {
+      return res.status(400).json({ message: stockProblem });
+    }
 
-    res.json(cart);
+    cart.items[itemIndex].quantity = newQuantity;
+    await cart.save();
+    await sendCart(res, cart, req.user);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Remove item from cart
+// Remove item from cart (pass ?variantId= to remove a single variant line)
 router.delete('/remove/:productId', async (req, res) => {
   try {
     let cart = await Cart.findOne({ user: req.user._id });
@@ -109,14 +196,13 @@ router.delete('/remove/:productId', async (req, res) => {
       return res.status(404).json({ message: 'Cart not found' });
     }
 
-    cart.items = cart.items.filter(
-      (item) => item.product.toString() !== req.params.productId
-    );
+    const itemIndex = findItemIndex(cart, req.params.productId, req.query.variantId);
+    if (itemIndex > -1) {
+      cart.items.splice(itemIndex, 1);
+    }
 
     await cart.save();
-    await cart.populate('items.product');
-
-    res.json(cart);
+    await sendCart(res, cart, req.user);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -132,6 +218,7 @@ router.delete('/clear', async (req, res) => {
     }
 
     cart.items = [];
+    cart.couponCode = null;
     await cart.save();
 
     res.json({ message: 'Cart cleared successfully', cart });
@@ -140,5 +227,56 @@ router.delete('/clear', async (req, res) => {
   }
 });
 
+// Apply a promo code to the cart
+router.post('/coupon', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !code.trim()) {
+      return res.status(400).json({ message: 'Promo code is required' });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    const lines = getCartLines(cart);
+    const result = evaluateCoupon(coupon, {
+      lines,
+      subtotal: getSubtotal(lines),
+      userId: req.user._id,
+      categories: await getCouponCategories(coupon),
+    });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+    await sendCart(res, cart, req.user);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Remove the promo code from the cart
+router.delete('/coupon', async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    cart.couponCode = null;
+    await cart.save();
+    await sendCart(res, cart, req.user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 export default router;
 
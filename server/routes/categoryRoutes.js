@@ -0,0 +1,145 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import Collection from '../models/Collection.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Fields admins may set
+const EDITABLE_FIELDS = ['name', 'slug', 'parent', 'banner', 'sortOrder'];
+
+const pickEditable = (body) => {
+  const data = Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+  // The admin form sends '' for "no parent"
+  if (data.parent === '') data.parent = null;
+  return data;
+};
+
+// Check the parent a category is being put under
+// @returns {Promise<string|null>} Error message, or null when it's fine
+const checkParent = async (parentId, category = null) => {
+  if (!parentId) return null;
+  if (!mongoose.isValidObjectId(parentId) || !(await Category.exists({ _id: parentId }))) {
+    return 'Parent category not found';
+  }
+  if (category && (await Category.subtreeIds(category._id)).includes(parentId.toString())) {
+    return 'A category cannot be moved below itself or one of its subcategories';
+  }
+  return null;
+};
+
+const duplicateSlugMessage = 'A category with this slug already exists';
+
+// Get the category tree (navbar, admin forms)
+router.get('/', async (req, res) => {
+  try {
+    res.json({ categories: await Category.getTree() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get one category by slug, with its path from the top level (breadcrumbs)
+// and its direct subcategories
+router.get('/:slug', async (req, res) => {
+  try {
+    const path = await Category.findPath(req.params.slug.toLowerCase());
+    if (!path) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    const category = path[path.length - 1];
+    const children = await Category.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 }).lean();
+    res.json({ category, path, children });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create category (Admin only)
+router.post('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    const parentError = await checkParent(data.parent);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
+    const category = new Category(data);
+    await category.save();
+    res.status(201).json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: duplicateSlugMessage });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update category (Admin only)
+// Products, coupons and collection rules store the slug, so renaming it updates them too
+router.put('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const data = pickEditable(req.body);
+    if ('parent' in data) {
+      const parentError = await checkParent(data.parent, category);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    const previousSlug = category.slug;
+    category.set(data);
+    await category.save();
+
+    if (category.slug !== previousSlug) {
+      await Product.updateMany({ category: previousSlug }, { category: category.slug });
+      await Coupon.updateMany({ category: previousSlug }, { category: category.slug });
+      await Collection.updateMany({ 'rules.category': previousSlug }, { 'rules.category': category.slug });
+    }
+    res.json(category);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: duplicateSlugMessage });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete category (Admin only)
+// Only unused categories can go - move their products and subcategories, and change the
+// coupons and collection rules that point at the slug first
+router.delete('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(400).json({ message: 'This category has subcategories - move or delete them first' });
+    }
+    if (await Product.exists({ category: category.slug })) {
+      return res.status(400).json({ message: 'This category still has products - move them to another category first' });
+    }
+    if (await Coupon.exists({ category: category.slug })) {
+      return res.status(400).json({ message: 'Coupons are limited to this category - change or delete them first' });
+    }
+    if (await Collection.exists({ 'rules.category': category.slug })) {
+      return res.status(400).json({ message: 'Collection rules use this category - change or delete those collections first' });
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+import express from 'express';
+import Collection, { COLLECTION_PLACEMENTS } from '../models/Collection.js';
+import Category from '../models/Category.js';
+import { authenticate, optionalAuthenticate, isAdmin } from '../middleware/auth.js';
+import { parsePagination } from '../utils/query.js';
+
+const router = express.Router();
+
+// Fields admins may set
+const EDITABLE_FIELDS = [
+  'name',
+  'slug',
+  'description',
+  'banner',
+  'type',
+  'products',
+  'rules',
+  'placement',
+  'limit',
+  'startsAt',
+  'endsAt',
+  'active',
+];
+
+const pickEditable = (body) => {
+  const data = Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+  // The admin form sends '' for "not set"
+  if (data.placement === '') data.placement = null;
+  if (data.startsAt === '') data.startsAt = null;
+  if (data.endsAt === '') data.endsAt = null;
+  return data;
+};
+
+// A rule collection's category must exist (empty = every category)
+const checkCategory = async (data) =>
+  data.rules?.category && !(await Category.exists({ slug: String(data.rules.category).toLowerCase() }))
+    ? `Unknown category "${data.rules.category}"`
+    : null;
+
+const duplicateSlugMessage = 'A collection with this slug already exists';
+
+// Get every collection, including switched-off and scheduled ones (Admin only)
+router.get('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const collections = await Collection.find().sort({ placement: 1, startsAt: -1, createdAt: -1 });
+    res.json({ collections });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the collection filling a homepage section, with its first `limit` products
+// Returns { collection: null, products: [] } when no live collection has this placement
+router.get('/placement/:placement', async (req, res) => {
+  try {
+    if (!COLLECTION_PLACEMENTS.includes(req.params.placement)) {
+      return res.status(400).json({ message: `placement must be one of: ${COLLECTION_PLACEMENTS.join(', ')}` });
+    }
+
+    const collection = await Collection.findForPlacement(req.params.placement);
+    if (!collection) {
+      return res.json({ collection: null, products: [], total: 0 });
+    }
+    const { products, total } = await collection.findProducts();
+    res.json({ collection, products, total });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a collection by slug with a page of its products
+// Query: page, limit. Admins can also preview collections that aren't live.
+router.get('/:slug', optionalAuthenticate, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { defaultLimit: 12, maxLimit: 100 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const collection = await Collection.findOne({ slug: req.params.slug.toLowerCase() });
+    if (!collection || (!collection.isLive() && req.user?.role !== 'admin')) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const { products, total } = await collection.findProducts({ skip: pagination.skip, limit: pagination.limit });
+    res.json({
+      collection,
+      products,
+      total,
+      page: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create collection (Admin only)
+router.post('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    const categoryError = await checkCategory(data);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    const collection = new Collection(data);
+    await collection.save();
+    res.status(201).json(collection);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: duplicateSlugMessage });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update collection (Admin only)
+router.put('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const data = pickEditable(req.body);
+    const categoryError = await checkCategory(data);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    collection.set(data);
+    await collection.save();
+    res.json(collection);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: duplicateSlugMessage });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete collection (Admin only)
+router.delete('/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const collection = await Collection.findByIdAndDelete(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
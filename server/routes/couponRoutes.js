@@ -0,0 +1,100 @@
+import express from 'express';
+import Coupon from '../models/Coupon.js';
+import Category from '../models/Category.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Coupon management is admin only (customers apply codes through /api/cart/coupon)
+router.use(authenticate, isAdmin);
+
+// Fields admins may set - usedCount and redemptions are only changed at checkout
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'minCartValue',
+  'expiresAt',
+  'usageLimit',
+  'perUserLimit',
+  'category',
+  'active',
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+// A coupon's category must exist (empty = whole store)
+const checkCategory = async (data) =>
+  data.category && !(await Category.exists({ slug: String(data.category).toLowerCase() }))
+    ? `Unknown category "${data.category}"`
+    : null;
+
+// Get all coupons
+router.get('/', async (req, res) => {
+  try {
+    const coupons = await Coupon.find().select('-redemptions').sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create coupon
+router.post('/', async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+    const categoryError = await checkCategory(data);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    const coupon = new Coupon(data);
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update coupon
+router.put('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    const data = pickEditable(req.body);
+    const categoryError = await checkCategory(data);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    coupon.set(data);
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete coupon
+router.delete('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
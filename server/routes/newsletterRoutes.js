@@ -0,0 +1,257 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Subscriber from '../models/Subscriber.js';
+import User from '../models/User.js';
+import { authenticate, optionalAuthenticate, isAdmin } from '../middleware/auth.js';
+import { sendMail, clientUrl } from '../utils/mailer.js';
+import { createToken, hashToken, signValue, verifySignature } from '../utils/tokens.js';
+import { rateLimit } from '../utils/rateLimit.js';
+import { toCsv, sendCsv } from '../utils/csv.js';
+
+const router = express.Router();
+
+const CONFIRMATION_TTL_HOURS = 48;
+const CONFIRMATION_RESEND_INTERVAL_SECONDS = 60;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const subscribeLimiter = rateLimit({
+  name: 'newsletter-ip', windowMs: 15 * 60 * 1000, max: 10, message: 'Too many subscription requests',
+});
+
+// Signed link that unsubscribes without logging in (included in every newsletter email)
+const unsubscribeUrl = (subscriber) =>
+  clientUrl(`/newsletter/unsubscribe?id=${subscriber._id}&sig=${signValue(subscriber._id)}`);
+
+// Mail failures are logged, not thrown - subscribing again sends a new email
+const sendNewsletterMail = async (mail) => {
+  try {
+    await sendMail(mail);
+  } catch (mailError) {
+    console.error('Failed to send newsletter email:', mailError.message);
+  }
+};
+
+const sendWelcomeEmail = (subscriber) =>
+  sendNewsletterMail({
+    to: subscriber.email,
+    subject: "You're subscribed!",
+    text:
+      `Thanks for subscribing to our newsletter - exclusive offers are on their way.\n\n` +
+      `Changed your mind? Unsubscribe at any time:\n${unsubscribeUrl(subscriber)}\n`,
+  });
+
+// Subscribe an email address
+// Logged-in users subscribing their own address are linked to it, and a verified one is
+// confirmed straight away; anything else gets a confirmation email first (double opt-in)
+router.post('/subscribe', subscribeLimiter, optionalAuthenticate, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || email.length > 254 || !EMAIL_PATTERN.test(email.trim())) {
+      return res.status(400).json({ message: 'Please enter a valid email address' });
+    }
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Upsert so two requests for the same new address can't collide on the unique index
+    const subscriber = await Subscriber.findOneAndUpdate(
+      { email: normalizedEmail },
+      { $setOnInsert: { email: normalizedEmail } },
+      { upsert: true, new: true }
+    );
+
+    // Never link someone else's address to the caller's account
+    const ownEmail = req.user && req.user.email === normalizedEmail;
+    if (ownEmail && !subscriber.user) {
+      subscriber.user = req.user._id;
+      await subscriber.save();
+    }
+
+    // Same answer for every address someone else types (like forgot-password), so the
+    // response never reveals whether an address is subscribed
+    const pendingResponse = {
+      status: 'pending',
+      message: 'Almost done! Please check your inbox and confirm your subscription.',
+    };
+
+    if (subscriber.status === 'confirmed') {
+      return ownEmail
+        ? res.json({ status: 'confirmed', message: "You're already subscribed - thanks!" })
+        : res.json(pendingResponse);
+    }
+
+    const ownVerifiedEmail = ownEmail && req.user.emailVerified;
+    if (ownVerifiedEmail) {
+      subscriber.set({
+        status: 'confirmed',
+        confirmedAt: new Date(),
+        unsubscribedAt: null,
+        confirmationTokenHash: null,
+        confirmationExpires: null,
+      });
+      await subscriber.save();
+      await sendWelcomeEmail(subscriber);
+      return res.json({ status: 'confirmed', message: "You're subscribed - thanks!" });
+    }
+
+    // Checking the last send time inside the update stops parallel requests from sending several emails
+    const { token, tokenHash } = createToken();
+    const now = new Date();
+    const updated = await Subscriber.findOneAndUpdate(
+      {
+        _id: subscriber._id,
+        status: { $ne: 'confirmed' },
+        $or: [
+          { confirmationSentAt: null },
+          { confirmationSentAt: { $lte: new Date(now.getTime() - CONFIRMATION_RESEND_INTERVAL_SECONDS * 1000) } },
+        ],
+      },
+      {
+        $set: {
+          status: 'pending',
+          confirmationTokenHash: tokenHash,
+          confirmationExpires: new Date(now.getTime() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000),
+          confirmationSentAt: now,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      // An email went out moments ago
+      return res.json(pendingResponse);
+    }
+
+    await sendNewsletterMail({
+      to: updated.email,
+      subject: 'Please confirm your subscription',
+      text:
+        `Thanks for signing up for our newsletter!\n\n` +
+        `Please confirm your subscription by opening this link within ${CONFIRMATION_TTL_HOURS} hours:\n\n` +
+        `${clientUrl(`/newsletter/confirm?token=${token}`)}\n\n` +
+        `If you didn't sign up, ignore this email - you won't hear from us.`,
+    });
+
+    res.json(pendingResponse);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Confirm a subscription with the token from the confirmation email
+router.post('/confirm', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Confirmation token is required' });
+    }
+
+    // Single-use: the token is cleared in the same atomic update
+    const subscriber = await Subscriber.findOneAndUpdate(
+      {
+        confirmationTokenHash: hashToken(token),
+        confirmationExpires: { $gt: new Date() },
+        status: 'pending',
+      },
+      {
+        $set: {
+          status: 'confirmed',
+          confirmedAt: new Date(),
+          unsubscribedAt: null,
+          confirmationTokenHash: null,
+          confirmationExpires: null,
+        },
+      },
+      { new: true }
+    );
+    if (!subscriber) {
+      return res.status(400).json({ message: 'This confirmation link is invalid or has expired' });
+    }
+
+    // The address is proven now, so it can be linked to the account that owns it
+    if (!subscriber.user) {
+      const owner = await User.findOne({ email: subscriber.email }).select('_id');
+      if (owner) {
+        subscriber.user = owner._id;
+        await subscriber.save();
+      }
+    }
+
+    await sendWelcomeEmail(subscriber);
+    res.json({ message: 'Your subscription is confirmed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unsubscribe with the signed link from a newsletter email (no login needed)
+// Body: { id, signature }
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const { id, signature } = req.body;
+    if (!mongoose.isValidObjectId(id) || !verifySignature(String(id), signature)) {
+      return res.status(400).json({ message: 'This unsubscribe link is invalid' });
+    }
+
+    await Subscriber.updateOne(
+      { _id: id, status: { $ne: 'unsubscribed' } },
+      {
+        $set: {
+          status: 'unsubscribed',
+          unsubscribedAt: new Date(),
+          confirmationTokenHash: null,
+          confirmationExpires: null,
+        },
+      }
+    );
+
+    // Same answer when already unsubscribed (or deleted) - clicking twice is fine
+    res.json({ message: "You've been unsubscribed and won't receive any more newsletters" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: number of subscribers by status
+router.get('/stats', authenticate, isAdmin, async (req, res) => {
+  try {
+    const counts = await Subscriber.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    const stats = { pending: 0, confirmed: 0, unsubscribed: 0 };
+    counts.forEach(({ _id, count }) => {
+      stats[_id] = count;
+    });
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: download confirmed subscribers as CSV
+// Each row carries its own unsubscribe link for use in the mailing tool
+router.get('/export', authenticate, isAdmin, async (req, res) => {
+  try {
+    const subscribers = await Subscriber.find({ status: 'confirmed' })
+      .populate('user', 'name')
+      .sort({ confirmedAt: 1 });
+
+    const csv = toCsv(
+      [
+        { header: 'Email', value: (subscriber) => subscriber.email },
+        { header: 'Name', value: (subscriber) => subscriber.user?.name },
+        { header: 'Confirmed At', value: (subscriber) => subscriber.confirmedAt },
+        { header: 'Account ID', value: (subscriber) => subscriber.user?._id },
+        { header: 'Unsubscribe URL', value: (subscriber) => unsubscribeUrl(subscriber) },
+      ],
+      subscribers
+    );
+
+    const date = new Date().toISOString().slice(0, 10);
+    sendCsv(res, `newsletter-subscribers-${date}.csv`, csv);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
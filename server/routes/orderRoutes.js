@@ -1,21 +1,44 @@
 import express from 'express';
 import Order from '../models/Order.js';
 import Cart from '../models/Cart.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireVerifiedEmail } from '../middleware/auth.js';
+import { reserveStock, releaseStock } from '../utils/inventory.js';
+import { updateOrderStatus } from '../utils/orderStatus.js';
+import { priceCart } from '../utils/pricing.js';
+import { redeemCoupon, releaseCoupon } from '../utils/coupons.js';
+import { validateAddress } from '../utils/addresses.js';
+import { saveNumberedOrder, sendInvoice } from '../utils/invoices.js';
+import { parsePagination } from '../utils/query.js';
+import { CHECKOUT_PAYMENT_METHODS } from '../utils/payments.js';
 
 const router = express.Router();
 
 // All order routes require authentication
 router.use(authenticate);
 
-// Get user's orders
+// Get user's orders, newest first
+// Query: page, limit
 router.get('/', async (req, res) => {
   try {
-    const orders = await Order.find({ user: req.user._id })
-      .populate('items.product')
-      .sort({ createdAt: -1 });
+    const pagination = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const query = { user: req.user._id };
+    const orders = await Order.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+
+    const total = await Order.countDocuments(query);
 
-    res.json(orders);
+    res.json({
+      orders,
+      total,
+      page: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -39,52 +62,158 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Download the invoice for an order as a PDF (owner or admin)
+router.get('/:id/invoice', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (req.user.role !== 'admin' && order.user?._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    // Only orders placed before invoices existed (and not yet numbered) have none
+    if (!order.invoiceNumber) {
+      return res.status(404).json({ message: 'No invoice is available for this order yet' });
+    }
+
+    await sendInvoice(res, order);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Create order from cart
-router.post('/', async (req, res) => {
+// Needs a confirmed email address when REQUIRE_VERIFIED_EMAIL=true
+router.post('/', requireVerifiedEmail, async (req, res) => {
   try {
-    const { shippingAddress, paymentMethod } = req.body;
+    const { paymentMethod = 'cash_on_delivery' } = req.body;
 
-    if (!shippingAddress) {
+    if (!CHECKOUT_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        message: `Payment method must be one of: ${CHECKOUT_PAYMENT_METHODS.join(', ')}`,
+      });
+    }
+
+    if (!req.body.shippingAddress) {
       return res.status(400).json({ message: 'Shipping address is required' });
     }
 
+    // Required fields and postal code format depend on the country
+    const shipping = validateAddress(req.body.shippingAddress);
+    if (shipping.errors) {
+      return res.status(400).json({ message: shipping.message, errors: shipping.errors });
+    }
+    const shippingAddress = shipping.address;
+
+    // Billing address is optional - without one the order is billed to the shipping address
+    let billingAddress = null;
+    if (req.body.billingAddress) {
+      const billing = validateAddress(req.body.billingAddress);
+      if (billing.errors) {
+        return res.status(400).json({ message: `Billing address: ${billing.message}`, errors: billing.errors });
+      }
+      billingAddress = billing.address;
+    }
+
     const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
 
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({ message: 'Cart is empty' });
     }
 
-    // Calculate total amount
-    let totalAmount = 0;
-    const orderItems = cart.items.map((cartItem) => {
-      const product = cartItem.product;
-      const itemTotal = product.new_price * cartItem.quantity;
-      totalAmount += itemTotal;
-
-      return {
-        product: product._id,
-        name: product.name,
-        image: product.image,
-        price: product.new_price,
-        quantity: cartItem.quantity,
-      };
-    });
+    // Every line must still point at an existing product (and variant)
+    const unavailable = cart.items.filter(
+      (cartItem) =>
+        !cartItem.product ||
+        (cartItem.variant && !cartItem.product.findVariant(cartItem.variant))
+    );
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        message: 'Some items in your cart are no longer available',
+      });
+    }
+
+    // Price the cart the same way the cart totals do (subtotal, coupon discount, shipping, tax, total)
+    const { lines, coupon, totals } = await priceCart(cart, req.user, shippingAddress);
+    if (totals.couponError) {
+      return res.status(400).json({ message: totals.couponError });
+    }
+    if (totals.shippingError) {
+      return res.status(400).json({ message: totals.shippingError });
+    }
+
+    const orderItems = lines.map(({ product, variant, price, quantity }) => ({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      sku: variant ? variant.sku : '',
+      size: variant ? variant.size : '',
+      color: variant ? variant.color : '',
+      name: product.name,
+      image: product.image,
+      price,
+      quantity,
+    }));
+
+    // Reserve stock for every line atomically - nothing is decremented if anything is short
+    const shortages = await reserveStock(orderItems);
+    if (shortages.length > 0) {
+      return res.status(409).json({
+        message: 'Some items do not have enough stock',
+        items: shortages,
+      });
+    }
 
     // Create order
     const order = new Order({
       user: req.user._id,
       items: orderItems,
-      totalAmount,
+      totalAmount: totals.total,
+      pricing: {
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        shipping: totals.shipping,
+        tax: totals.tax,
+        taxRate: totals.taxRate,
+        taxIncluded: totals.taxIncluded,
+        shippingZone: totals.shippingZone,
+        total: totals.total,
+      },
+      coupon: coupon
+        ? { code: coupon.code, discountType: coupon.discountType, discountValue: coupon.discountValue }
+        : undefined,
       shippingAddress,
-      paymentMethod: paymentMethod || 'cash_on_delivery',
+      billingAddress,
+      paymentMethod,
       paymentStatus: 'pending',
       orderStatus: 'pending',
+      statusHistory: [
+        { field: 'orderStatus', from: null, to: 'pending', actor: req.user._id, role: 'user', note: 'Order placed' },
+      ],
     });
 
-    await order.save();
+    // Count the coupon use atomically (limits are re-checked at this moment)
+    if (coupon && !(await redeemCoupon(coupon, req.user._id, order._id))) {
+      await releaseStock(orderItems);
+      return res.status(409).json({ message: 'This promo code is no longer available' });
+    }
+
+    // The order and its invoice number are stored together (or not at all)
+    try {
+      await saveNumberedOrder(order);
+    } catch (error) {
+      // Order could not be stored, so give the reserved stock (and coupon use) back
+      await releaseStock(orderItems);
+      if (coupon) await releaseCoupon(coupon._id, order._id);
+      throw error;
+    }
 
     // Clear cart
     cart.items = [];
+    cart.couponCode = null;
     await cart.save();
 
     res.status(201).json(order);
@@ -93,10 +222,12 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update order status (Admin only - can be added later)
-router.put('/:id/status', authenticate, async (req, res) => {
+// Update order status
+// Transitions are enforced by utils/orderStatus.js: customers may only cancel
+// their own order before it ships, everything else is done by admins.
+router.put('/:id/status', async (req, res) => {
   try {
-    const { orderStatus, paymentStatus } = req.body;
+    const { orderStatus, paymentStatus, note } = req.body;
 
     const order = await Order.findById(req.params.id);
 
@@ -109,14 +240,15 @@ router.put('/:id/status', authenticate, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    if (orderStatus) {
-      order.orderStatus = orderStatus;
-    }
-    if (paymentStatus) {
-      order.paymentStatus = paymentStatus;
+    const rejection = await updateOrderStatus(order, { orderStatus, paymentStatus }, {
+      actor: req.user._id,
+      role: req.user.role === 'admin' ? 'admin' : 'user',
+      note,
+    });
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
     }
 
-    await order.save();
     res.json(order);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -0,0 +1,265 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import { authenticate, isAdmin } from '../middleware/auth.js';
+import { updateOrderStatus } from '../utils/orderStatus.js';
+import {
+  CARD_PAYMENT_METHODS,
+  PAYMENT_CURRENCY,
+  getPaymentProvider,
+  paymentProviderName,
+  toMinorUnits,
+  applyPaymentUpdate,
+} from '../utils/payments.js';
+
+const router = express.Router();
+
+// Intents that can still be paid (reused instead of starting a new one)
+const OPEN_INTENT_STATUSES = ['requires_payment_method', 'requires_action'];
+
+// The logged-in customer's order from :orderId (null if missing or someone else's)
+const findOwnOrder = (req) => {
+  if (!mongoose.isValidObjectId(req.params.orderId)) return null;
+  return Order.findOne({ _id: req.params.orderId, user: req.user._id });
+};
+
+// The webhook for the same payment can update the order at the same moment,
+// so on a version conflict reload the order and apply the payment once more
+const applyToOrder = async (order, intent) => {
+  const rejection = await applyPaymentUpdate(order, intent);
+  if (rejection?.status !== 409) return { order, rejection };
+
+  const freshOrder = await Order.findById(order._id);
+  return { order: freshOrder, rejection: await applyPaymentUpdate(freshOrder, intent) };
+};
+
+// What the checkout needs to know after each step
+const paymentResponse = (intent, order) => ({
+  status: intent.status,
+  nextAction: intent.nextAction,
+  error: intent.lastPaymentError,
+  order,
+});
+
+// Start (or resume) paying for an order by card
+// Returns { intentId, clientSecret, status, amount, currency }
+router.post('/orders/:orderId/intent', authenticate, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (!CARD_PAYMENT_METHODS.includes(order.paymentMethod)) {
+      return res.status(400).json({ message: 'This order is not paid by card' });
+    }
+    if (order.orderStatus === 'cancelled') {
+      return res.status(400).json({ message: 'This order has been cancelled' });
+    }
+    if (['completed', 'refunded'].includes(order.paymentStatus)) {
+      return res.status(400).json({ message: 'This order has already been paid' });
+    }
+
+    const provider = getPaymentProvider();
+    let intent = null;
+    if (order.payment.intentId && order.payment.provider === paymentProviderName()) {
+      intent = await provider.retrievePaymentIntent(order.payment.intentId).catch(() => null);
+      if (intent && !OPEN_INTENT_STATUSES.includes(intent.status)) intent = null;
+    }
+
+    if (!intent) {
+      intent = await provider.createPaymentIntent({
+        amount: toMinorUnits(order.totalAmount),
+        currency: PAYMENT_CURRENCY,
+        metadata: { orderId: String(order._id) },
+      });
+      order.payment = { provider: paymentProviderName(), intentId: intent.id, status: intent.status };
+      await order.save();
+    }
+
+    res.json({
+      intentId: intent.id,
+      clientSecret: intent.clientSecret,
+      status: intent.status,
+      amount: order.totalAmount,
+      currency: intent.currency,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Pay with card details
+// Body: { card: { number, expMonth, expYear, cvc } }
+// 200 with status succeeded or requires_action (follow nextAction.url), 402 when declined
+router.post('/orders/:orderId/confirm', authenticate, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (!order.payment.intentId) {
+      return res.status(400).json({ message: 'Start the payment first' });
+    }
+    if (order.orderStatus === 'cancelled') {
+      return res.status(400).json({ message: 'This order has been cancelled' });
+    }
+
+    let intent;
+    try {
+      intent = await getPaymentProvider().confirmPaymentIntent(order.payment.intentId, { card: req.body.card });
+    } catch (error) {
+      // Invalid card details - nothing was charged, the customer can correct them
+      if (error.type === 'card_error') {
+        return res.status(400).json({ message: error.message, code: error.code });
+      }
+      throw error;
+    }
+
+    const { order: updatedOrder, rejection } = await applyToOrder(order, intent);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    if (intent.status === 'requires_payment_method' && intent.lastPaymentError) {
+      return res.status(402).json({
+        message: intent.lastPaymentError.message,
+        code: intent.lastPaymentError.code,
+        ...paymentResponse(intent, updatedOrder),
+      });
+    }
+    res.json(paymentResponse(intent, updatedOrder));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Re-read the payment from the provider (after returning from 3-D Secure)
+router.post('/orders/:orderId/sync', authenticate, async (req, res) => {
+  try {
+    const order = await findOwnOrder(req);
+    if (!order || !order.payment.intentId) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    if (order.orderStatus === 'cancelled') {
+      return res.status(400).json({ message: 'This order has been cancelled' });
+    }
+
+    const intent = await getPaymentProvider().retrievePaymentIntent(order.payment.intentId);
+    const { order: updatedOrder, rejection } = await applyToOrder(order, intent);
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    res.json(paymentResponse(intent, updatedOrder));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: refund a card payment in full
+// Body: { note? }
+router.post('/orders/:orderId/refund', authenticate, isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.orderId)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (order.paymentStatus !== 'completed' || !order.payment.intentId) {
+      return res.status(400).json({ message: 'Only completed card payments can be refunded' });
+    }
+
+    const refund = await getPaymentProvider().refund(order.payment.intentId);
+    order.payment.amountRefunded = (order.payment.amountRefunded || 0) + refund.amount / 100;
+
+    const rejection = await updateOrderStatus(order, { paymentStatus: 'refunded' }, {
+      actor: req.user._id,
+      role: 'admin',
+      note: req.body.note || `Refunded ${refund.id}`,
+    });
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message });
+    }
+
+    res.json(order);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Provider webhooks (signed, no login)
+// index.js gives this route the raw request body - the signature is computed over the exact bytes
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      throw new Error('Expected a JSON body');
+    }
+    event = getPaymentProvider().verifyWebhookSignature(req.body, req.headers);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const provider = paymentProviderName();
+  const intentId = event.data?.object?.id || null;
+
+  try {
+    // Record the event first - a redelivery hits the unique index and is skipped
+    let record;
+    try {
+      record = await PaymentEvent.create({ provider, eventId: event.id, type: event.type, intentId });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.json({ received: true, duplicate: true });
+      }
+      throw error;
+    }
+
+    const order = intentId ? await Order.findOne({ 'payment.intentId': intentId }) : null;
+    if (!order) {
+      return res.json({ received: true });
+    }
+    record.order = order._id;
+    await record.save();
+
+    // Events can arrive out of order, so use the payment's current state rather than the event's copy
+    const intent = await getPaymentProvider().retrievePaymentIntent(intentId);
+    const rejection = await applyPaymentUpdate(order, intent);
+    if (rejection?.status === 409) {
+      // Order changed at the same moment - let the provider send the event again
+      await record.deleteOne();
+      return res.status(409).json({ message: rejection.message });
+    }
+    if (rejection) {
+      console.warn(`Payment webhook ${event.id} (${event.type}) not applied: ${rejection.message}`);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    // Forget the event so the provider's retry is processed
+    await PaymentEvent.deleteOne({ provider, eventId: event.id }).catch(() => {});
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mock gateway only: the "bank page" of 3-D Secure
+// Body: { intentId, clientSecret, approved }
+router.post('/mock/authenticate', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (!provider.completeAuthentication) {
+      return res.status(404).json({ message: 'Not available for this payment provider' });
+    }
+
+    const { intentId, clientSecret, approved } = req.body;
+    const intent = await provider.completeAuthentication(intentId, clientSecret, approved === true);
+    res.json({ status: intent.status, orderId: intent.metadata.orderId });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
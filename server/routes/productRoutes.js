@@ -1,44 +1,166 @@
 import express from 'express';
 import Product from '../models/Product.js';
+import Category from '../models/Category.js';
 import { authenticate, isAdmin } from '../middleware/auth.js';
+import { uploadImage, IMAGE_TYPES } from '../middleware/upload.js';
+import { parsePagination, parseSearchQuery, wordPrefixRegex } from '../utils/query.js';
+import { getStorage } from '../utils/storage.js';
+import { createRenditions, removeFiles } from '../utils/images.js';
 
 const router = express.Router();
 
-// Get all products or filter by category
+// The rating aggregate is maintained from reviews, never set directly
+const withoutRating = (body) => {
+  const data = { ...body };
+  delete data.rating;
+  return data;
+};
+
+// Storage keys of a gallery image: the uploaded original (if any) and its renditions
+const imageKeys = (image) =>
+  [image.key, ...(image.renditions || []).map((rendition) => rendition.key)].filter(Boolean);
+
+// Delete the files of gallery images that no product uses any more
+// Runs after the product was saved; a failure only leaves unused files behind
+const removeUnusedImages = async (images) => {
+  for (const image of images) {
+    const keys = imageKeys(image);
+    if (keys.length === 0) continue;
+    // All files of an image travel together, so checking one key is enough
+    const inUse = await Product.exists({ $or: [{ 'images.key': keys[0] }, { 'images.renditions.key': keys[0] }] });
+    if (!inUse) await removeFiles(keys);
+  }
+};
+
+// A product's category must exist
+// @returns {Promise<string|null>} Error message, or null when it's fine (or not being changed)
+const checkCategory = async (body) =>
+  body.category !== undefined && !(await Category.exists({ slug: String(body.category).trim().toLowerCase() }))
+    ? `Unknown category "${body.category}"`
+    : null;
+
+// Sort options for product listings (ties broken by newest first)
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { new_price: 1, createdAt: -1 },
+  price_desc: { new_price: -1, createdAt: -1 },
+  discount: { discountPercent: -1, createdAt: -1 },
+};
+
+// Optional price bound from the query string
+const parsePrice = (value, name) => {
+  if (value === undefined || value === '') return { price: undefined };
+  const price = Number(value);
+  if (Number.isNaN(price) || price < 0) {
+    return { error: `${name} must be a non-negative number` };
+  }
+  return { price };
+};
+
+// Get all products or filter by category (a category slug also includes its subcategories)
+// Query: category, search, minPrice, maxPrice, sort (newest, price_asc, price_desc, discount), page, limit
+// With ?search= and no sort, results are ranked by text relevance
 router.get('/', async (req, res) => {
   try {
-    const { category, search, limit, page = 1 } = req.query;
+    const { category, search } = req.query;
     const query = {};
+    let projection;
+
+    if (req.query.sort !== undefined && !PRODUCT_SORTS[req.query.sort]) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}` });
+    }
+    let sort = PRODUCT_SORTS[req.query.sort || 'newest'];
+
+    const pagination = parsePagination(req.query, { defaultLimit: 100, maxLimit: 100 });
+    const minPrice = parsePrice(req.query.minPrice, 'minPrice');
+    const maxPrice = parsePrice(req.query.maxPrice, 'maxPrice');
+    const invalid = [pagination, minPrice, maxPrice].find((result) => result.error);
+    if (invalid) {
+      return res.status(400).json({ message: invalid.error });
+    }
+    if (minPrice.price !== undefined && maxPrice.price !== undefined && minPrice.price > maxPrice.price) {
+      return res.status(400).json({ message: 'minPrice cannot be greater than maxPrice' });
+    }
 
     if (category) {
-      query.category = category.toLowerCase();
+      query.category = { $in: await Category.subtreeSlugs(String(category).toLowerCase()) };
     }
 
-    if (search) {
-      query.name = { $regex: search, $options: 'i' };
+    if (minPrice.price !== undefined || maxPrice.price !== undefined) {
+      query.new_price = {};
+      if (minPrice.price !== undefined) query.new_price.$gte = minPrice.price;
+      if (maxPrice.price !== undefined) query.new_price.$lte = maxPrice.price;
     }
 
-    const limitNum = limit ? parseInt(limit) : 100;
-    const skip = (parseInt(page) - 1) * limitNum;
+    if (search) {
+      const parsed = parseSearchQuery(search);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      query.$text = { $search: parsed.search };
+      projection = { score: { $meta: 'textScore' } };
+      if (!req.query.sort) {
+        sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+      }
+
+      // The text index only matches whole (stemmed) words, so fall back to
+      // word prefixes on the name when nothing matched ("jack" → "Jacket")
+      if (!(await Product.exists(query))) {
+        delete query.$text;
+        query.$and = parsed.terms.map((term) => ({ name: wordPrefixRegex(term) }));
+        projection = undefined;
+        sort = PRODUCT_SORTS[req.query.sort || 'newest'];
+      }
+    }
 
-    const products = await Product.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limitNum)
-      .skip(skip);
+    const products = await Product.find(query, projection)
+      .sort(sort)
+      .limit(pagination.limit)
+      .skip(pagination.skip);
 
     const total = await Product.countDocuments(query);
 
     res.json({
       products,
       total,
-      page: parseInt(page),
-      totalPages: Math.ceil(total / limitNum),
+      page: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Autocomplete for the search bar - a few product names starting with what was typed
+// Query: q (at least 2 characters)
+router.get('/suggest', async (req, res) => {
+  try {
+    const { q = '' } = req.query;
+
+    if (typeof q !== 'string' || q.trim().length < 2) {
+      return res.json({ suggestions: [] });
+    }
+    const parsed = parseSearchQuery(q);
+    if (parsed.error) {
+      return res.json({ suggestions: [] });
+    }
+
+    // Every typed word must start a word in the name
+    const suggestions = await Product.find({
+      $and: parsed.terms.map((term) => ({ name: wordPrefixRegex(term) })),
+    })
+      .select('name category image new_price')
+      .sort({ name: 1 })
+      .limit(8)
+      .lean();
+
+    res.json({ suggestions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get single product by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -52,10 +174,51 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Upload a product image (Admin only)
+// multipart/form-data with one "image" file; returns { url, key, width, height, renditions }
+// to add to the product's `images`
+router.post('/images', authenticate, isAdmin, uploadImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please choose an image to upload' });
+    }
+
+    // Resizing first also rejects files that only claim to be images
+    let resized;
+    try {
+      resized = await createRenditions(req.file.buffer, { folder: 'products' });
+    } catch {
+      return res.status(400).json({ message: 'The file could not be read as an image' });
+    }
+
+    let stored;
+    try {
+      stored = await getStorage().save({
+        buffer: req.file.buffer,
+        contentType: req.file.mimetype,
+        extension: IMAGE_TYPES[req.file.mimetype],
+        folder: 'products',
+      });
+    } catch (error) {
+      await removeFiles(resized.renditions.map((rendition) => rendition.key));
+      throw error;
+    }
+
+    res.status(201).json({ ...stored, ...resized });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Create product (Admin only)
 router.post('/', authenticate, isAdmin, async (req, res) => {
   try {
-    const product = new Product(req.body);
+    const categoryError = await checkCategory(req.body);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    const product = new Product(withoutRating(req.body));
     await product.save();
     res.status(201).json(product);
   } catch (error) {
@@ -66,14 +229,21 @@ router.post('/', authenticate, isAdmin, async (req, res) => {
 // Update product (Admin only)
 router.put('/:id', authenticate, isAdmin, async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+    const categoryError = await checkCategory(req.body);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    const previousImages = product.images.map((image) => image.toObject());
+
+    // Load + save (instead of findByIdAndUpdate) so variant stock totals are recalculated
+    product.set(withoutRating(req.body));
+    await product.save();
+
+    await removeUnusedImages(previousImages);
     res.json(product);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -87,6 +257,7 @@ router.delete('/:id', authenticate, isAdmin, async (req, res) => {
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+    await removeUnusedImages(product.images);
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -0,0 +1,259 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import { authenticate, optionalAuthenticate, isAdmin } from '../middleware/auth.js';
+import { parsePagination } from '../utils/query.js';
+
+const router = express.Router();
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 },
+};
+
+// Add "votedHelpful" for the current user and drop the voter list
+const toClientReview = (review, user) => ({
+  ...review.toJSON(),
+  votedHelpful: Boolean(user && review.helpfulVoters.some((voter) => voter.equals(user._id))),
+});
+
+// A purchase is verified once an order containing the product has been delivered
+const hasDeliveredOrder = (userId, productId) =>
+  Order.exists({ user: userId, orderStatus: 'delivered', 'items.product': productId });
+
+// Get published reviews for a product
+// Query: page, limit, sort (newest, oldest, helpful, rating_high, rating_low)
+router.get('/product/:productId', optionalAuthenticate, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const sort = req.query.sort || 'newest';
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (!SORTS[sort]) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+    }
+    const pagination = parsePagination(req.query, { defaultLimit: 5, maxLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const product = await Product.findById(productId).select('rating');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { product: productId, status: 'published' };
+    const reviews = await Review.find(query)
+      .populate('user', 'name')
+      .sort(SORTS[sort])
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+    const total = await Review.countDocuments(query);
+
+    // The current user's own review (so the form can switch to "edit")
+    const myReview = req.user
+      ? await Review.findOne({ product: productId, user: req.user._id })
+      : null;
+
+    res.json({
+      reviews: reviews.map((review) => toClientReview(review, req.user)),
+      total,
+      page: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      rating: product.rating,
+      myReview: myReview ? toClientReview(myReview, req.user) : null,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Write a review (one per customer per product)
+router.post('/product/:productId', authenticate, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { rating, title, text } = req.body;
+
+    if (!mongoose.isValidObjectId(productId) || !(await Product.exists({ _id: productId }))) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (!rating || !text) {
+      return res.status(400).json({ message: 'Rating and review text are required' });
+    }
+
+    const existing = await Review.exists({ product: productId, user: req.user._id });
+    if (existing) {
+      return res.status(400).json({ message: 'You have already reviewed this product' });
+    }
+
+    const review = new Review({
+      product: productId,
+      user: req.user._id,
+      rating: Number(rating),
+      title,
+      text,
+      verifiedPurchase: Boolean(await hasDeliveredOrder(req.user._id, productId)),
+    });
+    await review.save();
+    await Review.updateProductRating(productId);
+
+    await review.populate('user', 'name');
+    res.status(201).json(toClientReview(review, req.user));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reviewed this product' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Edit your own review
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, user: req.user._id });
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const { rating, title, text } = req.body;
+    if (rating !== undefined) review.rating = Number(rating);
+    if (title !== undefined) review.title = title;
+    if (text !== undefined) review.text = text;
+    // Re-check in case the order was delivered after the review was written
+    review.verifiedPurchase = Boolean(await hasDeliveredOrder(req.user._id, review.product));
+
+    await review.save();
+    await Review.updateProductRating(review.product);
+
+    await review.populate('user', 'name');
+    res.json(toClientReview(review, req.user));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete a review (author or admin)
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (req.user.role !== 'admin' && !review.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    await review.deleteOne();
+    await Review.updateProductRating(review.product);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Toggle a "helpful" vote
+// Conditional updates keep helpfulCount in step with helpfulVoters under concurrent clicks
+router.post('/:id/helpful', authenticate, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, status: 'published' });
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (review.user.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    const added = await Review.updateOne(
+      { _id: review._id, helpfulVoters: { $ne: req.user._id } },
+      { $push: { helpfulVoters: req.user._id }, $inc: { helpfulCount: 1 } }
+    );
+    if (added.modifiedCount === 0) {
+      await Review.updateOne(
+        { _id: review._id, helpfulVoters: req.user._id },
+        { $pull: { helpfulVoters: req.user._id }, $inc: { helpfulCount: -1 } }
+      );
+    }
+
+    const updated = await Review.findById(review._id).populate('user', 'name');
+    res.json(toClientReview(updated, req.user));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Admin: list reviews for moderation
+// Query: status (published, hidden), product, page, limit
+router.get('/', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { status, product } = req.query;
+    const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const query = {};
+    if (status) {
+      if (!['published', 'hidden'].includes(status)) {
+        return res.status(400).json({ message: 'status must be published or hidden' });
+      }
+      query.status = status;
+    }
+    if (product) {
+      if (!mongoose.isValidObjectId(product)) {
+        return res.status(400).json({ message: 'Invalid product ID' });
+      }
+      query.product = product;
+    }
+
+    const reviews = await Review.find(query)
+      .populate('user', 'name email')
+      .populate('product', 'name image')
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      total,
+      page: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Admin: publish or hide a review
+router.put('/:id/moderate', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { status, note = '' } = req.body;
+    if (!['published', 'hidden'].includes(status)) {
+      return res.status(400).json({ message: 'status must be published or hidden' });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    review.status = status;
+    review.moderationNote = note;
+    await review.save();
+    await Review.updateProductRating(review.product);
+
+    res.json(review);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Wishlist from '../models/Wishlist.js';
+import Product from '../models/Product.js';
+import { authenticate } from '../middleware/auth.js';
+import { addItemToCart } from '../utils/cart.js';
+
+const router = express.Router();
+
+// Cap on how many products a guest wishlist can bring in at login
+const MAX_MERGE_ITEMS = 100;
+
+// All wishlist routes require authentication
+router.use(authenticate);
+
+const findOrCreateWishlist = async (userId) => {
+  const wishlist = await Wishlist.findOne({ user: userId });
+  return wishlist || new Wishlist({ user: userId, items: [] });
+};
+
+// Send the wishlist with products populated, skipping products deleted from the store
+const sendWishlist = async (res, wishlist) => {
+  await wishlist.populate('items.product');
+  const json = wishlist.toJSON();
+  res.json({ ...json, items: json.items.filter((item) => item.product) });
+};
+
+// Get user's wishlist
+router.get('/', async (req, res) => {
+  try {
+    const wishlist = await findOrCreateWishlist(req.user._id);
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Save a product
+router.post('/add', async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({ message: 'Product ID is required' });
+    }
+    if (!mongoose.isValidObjectId(productId) || !(await Product.exists({ _id: productId }))) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const wishlist = await findOrCreateWishlist(req.user._id);
+    if (!wishlist.hasProduct(productId)) {
+      wishlist.items.push({ product: productId });
+      await wishlist.save();
+    }
+
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Remove a product
+router.delete('/remove/:productId', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    wishlist.items = wishlist.items.filter(
+      (item) => item.product.toString() !== req.params.productId
+    );
+    await wishlist.save();
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Merge a guest (localStorage) wishlist into the account after login
+// Body: { productIds: [...] } - unknown or duplicate products are ignored
+router.post('/merge', async (req, res) => {
+  try {
+    const { productIds } = req.body;
+
+    if (!Array.isArray(productIds)) {
+      return res.status(400).json({ message: 'productIds must be an array' });
+    }
+
+    const ids = [...new Set(productIds.map(String))]
+      .filter((id) => mongoose.isValidObjectId(id))
+      .slice(0, MAX_MERGE_ITEMS);
+    const existing = await Product.find({ _id: { $in: ids } }).select('_id');
+
+    const wishlist = await findOrCreateWishlist(req.user._id);
+    existing.forEach((product) => {
+      if (!wishlist.hasProduct(product._id)) {
+        wishlist.items.push({ product: product._id });
+      }
+    });
+    await wishlist.save();
+
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Move a product into the cart (same checks as POST /api/cart/add)
+// Body: { productId, variantId } - variantId is required for products with sizes/colors
+router.post('/move-to-cart', async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    if (!wishlist || !productId || !wishlist.hasProduct(productId)) {
+      return res.status(404).json({ message: 'Item not found in wishlist' });
+    }
+
+    const result = await addItemToCart(req.user._id, { productId, variantId, quantity: 1 });
+    if (result.message) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    wishlist.items = wishlist.items.filter((item) => item.product.toString() !== productId);
+    await wishlist.save();
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+export default router;
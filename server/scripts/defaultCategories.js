@@ -0,0 +1,7 @@
+// Top-level categories the shop starts with (subcategories can be added from the admin dashboard)
+// Shared by the seed script and the category migration
+export const DEFAULT_CATEGORIES = [
+  { name: 'Men', slug: 'men', banner: '/assets/banner.jpg', sortOrder: 1 },
+  { name: 'Women', slug: 'women', banner: '/assets/women_banner.avif', sortOrder: 2 },
+  { name: 'Kids', slug: 'kids', banner: '/assets/kids_banner.jpg', sortOrder: 3 },
+];
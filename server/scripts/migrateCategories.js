@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import Collection from '../models/Collection.js';
+import Category, { SLUG_PATTERN } from '../models/Category.js';
+import { DEFAULT_CATEGORIES } from './defaultCategories.js';
+
+dotenv.config();
+
+// Slugs renamed when categories became a tree
+const RENAMED_SLUGS = { kid: 'kids' };
+
+// "home-decor" → "Home Decor"
+const nameFromSlug = (slug) =>
+  slug.split('-').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+// Bring a database from before the category tree up to date (safe to run more than once):
+// renames old slugs on products, coupons and collection rules, then creates a top-level
+// category for every slug products or coupons use that has no category yet
+const migrateCategories = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    for (const [from, to] of Object.entries(RENAMED_SLUGS)) {
+      const products = await Product.updateMany({ category: from }, { $set: { category: to } });
+      const coupons = await Coupon.updateMany({ category: from }, { $set: { category: to } });
+      const collections = await Collection.updateMany({ 'rules.category': from }, { $set: { 'rules.category': to } });
+      console.log(
+        `Renamed "${from}" to "${to}": ${products.modifiedCount} products, ` +
+        `${coupons.modifiedCount} coupons, ${collections.modifiedCount} collections`
+      );
+    }
+
+    const slugs = new Set([
+      ...(await Product.distinct('category')),
+      ...(await Coupon.distinct('category')),
+    ].filter(Boolean));
+
+    let created = 0;
+    for (const slug of slugs) {
+      if (!SLUG_PATTERN.test(slug)) {
+        console.warn(`Skipped "${slug}" - not a valid slug, move its products to another category`);
+        continue;
+      }
+      const defaults = DEFAULT_CATEGORIES.find((category) => category.slug === slug)
+        || { name: nameFromSlug(slug), slug };
+      // $setOnInsert - categories that already exist are left alone
+      const result = await Category.updateOne(
+        { slug },
+        { $setOnInsert: { ...defaults, parent: null } },
+        { upsert: true }
+      );
+      if (result.upsertedCount === 1) created += 1;
+    }
+    console.log(`Created ${created} categories`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating categories:', error);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { checkTransactionSupport, numberUnnumberedOrders } from '../utils/invoices.js';
+
+dotenv.config();
+
+// Give orders placed before invoices existed their invoice numbers (oldest first)
+// Run once when upgrading, before the shop takes new orders
+const numberInvoices = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+    await checkTransactionSupport(mongoose.connection);
+
+    const count = await numberUnnumberedOrders();
+    console.log(`Numbered ${count} orders`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error numbering invoices:', error);
+    process.exit(1);
+  }
+};
+
+numberInvoices();
@@ -1,9 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import Collection from '../models/Collection.js';
+import { createRenditions, removeFiles } from '../utils/images.js';
+import { DEFAULT_CATEGORIES as categories } from './defaultCategories.js';
 
 dotenv.config();
 
+// Collections for the homepage sections (rule based, so they pick up new products)
+const collections = [
+  {
+    name: 'Popular in Women',
+    slug: 'popular-in-women',
+    type: 'rule',
+    rules: { category: 'women' },
+    placement: 'home-popular',
+    limit: 4,
+  },
+  {
+    name: 'Exclusive Offers',
+    slug: 'exclusive-offers',
+    description: 'Our best sellers at 38% off or more',
+    type: 'rule',
+    rules: { minDiscount: 38 },
+    placement: 'home-offers',
+    limit: 12,
+  },
+  {
+    name: 'New Collections',
+    slug: 'new-collections',
+    type: 'rule',
+    placement: 'home-new',
+    limit: 8,
+  },
+];
+
 const products = [
   {
     name: 'Kurti',
@@ -167,7 +202,7 @@ const products = [
   },
   {
     name: 'Denim Shirt',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid1.jpg',
     new_price: 85.0,
     old_price: 140.0,
@@ -177,7 +212,7 @@ const products = [
   },
   {
     name: 'Cargo Pants',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid2.jfif',
     new_price: 88.0,
     old_price: 130.0,
@@ -187,7 +222,7 @@ const products = [
   },
   {
     name: 'Trousers',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid3.jfif',
     new_price: 76.0,
     old_price: 120.0,
@@ -197,7 +232,7 @@ const products = [
   },
   {
     name: 'Tank Top',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid4.webp',
     new_price: 49.0,
     old_price: 80.0,
@@ -207,7 +242,7 @@ const products = [
   },
   {
     name: 'Formal Pants',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid5.jfif',
     new_price: 98.0,
     old_price: 160.0,
@@ -217,7 +252,7 @@ const products = [
   },
   {
     name: 'Leather Jacket',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid6.jfif',
     new_price: 150.0,
     old_price: 250.0,
@@ -227,7 +262,7 @@ const products = [
   },
   {
     name: 'Gym Shorts',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid7.webp',
     new_price: 55.0,
     old_price: 90.0,
@@ -237,7 +272,7 @@ const products = [
   },
   {
     name: 'Casual Blazer',
-    category: 'kid',
+    category: 'kids',
     image: '/assets/kid8.jfif',
     new_price: 105.0,
     old_price: 170.0,
@@ -247,22 +282,83 @@ const products = [
   },
 ];
 
+const SIZES = ['S', 'M', 'L', 'XL', 'XXL'];
+const COLORS = ['Black', 'Blue'];
+
+// Split each product's stock across size/color variants so every
+// seeded product has real SKUs to pick from
+const withVariants = (product, index) => {
+  const combos = SIZES.flatMap((size) => COLORS.map((color) => ({ size, color })));
+  const perVariant = Math.floor(product.stockQuantity / combos.length);
+  const remainder = product.stockQuantity % combos.length;
+
+  return {
+    ...product,
+    variants: combos.map(({ size, color }, i) => ({
+      sku: `P${String(index + 1).padStart(3, '0')}-${size}-${color}`,
+      size,
+      color,
+      stockQuantity: perVariant + (i < remainder ? 1 : 0),
+    })),
+  };
+};
+
+// Frontend public folder - seeded image paths like /assets/men1.webp point into it
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../public');
+
+// Gallery entry for the product's image, with resized copies made from the file in public/
+// If the file can't be read the product still works, it just serves the original
+const withGallery = async (product) => {
+  const image = { url: product.image, alt: product.name };
+  try {
+    const buffer = await fs.readFile(path.join(PUBLIC_DIR, product.image));
+    Object.assign(image, await createRenditions(buffer, { folder: 'products' }));
+  } catch (error) {
+    console.warn(`No renditions for ${product.image}: ${error.message}`);
+  }
+  return { ...product, images: [image] };
+};
+
 const seedProducts = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI) ;
                            // || 'mongodb://localhost:27017/fashion-shop');
     console.log('Connected to MongoDB');
 
-    // Clear existing products
+    // Create the categories, or reset them if they exist (other categories are kept)
+    for (const category of categories) {
+      await Category.updateOne({ slug: category.slug }, { ...category, parent: null }, { upsert: true });
+    }
+    console.log(`Seeded ${categories.length} categories`);
+
+    // Same for the homepage collections
+    for (const collection of collections) {
+      await Collection.deleteOne({ slug: collection.slug });
+      await Collection.create(collection);
+    }
+    console.log(`Seeded ${collections.length} collections`);
+
+    // Clear existing products (and the image files they stored)
+    const existing = await Product.find({}, 'images');
+    await removeFiles(existing.flatMap((product) => product.images.flatMap((image) =>
+      [image.key, ...image.renditions.map((rendition) => rendition.key)]
+    )));
     await Product.deleteMany({});
     console.log('Cleared existing products');
 
+    // Resize images one at a time (image processing is CPU heavy)
+    const seeded = [];
+    for (const [index, product] of products.entries()) {
+      seeded.push(withVariants(await withGallery(product), index));
+    }
+    console.log('Generated image renditions');
+
     // Insert products
-    await Product.insertMany(products);
+    await Product.insertMany(seeded);
     console.log(`Successfully seeded ${products.length} products`);
-    console.log('\nNote: Image paths in the database are relative paths.');
+    console.log('\nNote: Original image paths in the database are relative paths.');
     console.log('Make sure image paths match your frontend asset structure.');
-    console.log('For production, consider using a CDN or cloud storage for images.');
+    console.log('Resized copies are stored with STORAGE_DRIVER (local: UPLOAD_DIR, served at /uploads).');
 
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,126 @@
+import { normalizeCountry } from './pricing.js';
+
+/**
+ * Address validation by country
+ *
+ * Which fields are required and what a postal code looks like depend on the
+ * country. Countries not listed here get the default rules (postal code and
+ * state optional). The checkout form mirrors these rules in
+ * src/utils/addressValidation.js - keep both in sync.
+ */
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+];
+const CA_PROVINCES = ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'];
+const AU_STATES = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'];
+
+// postalCode: { pattern, required, label }, state: { required, label, options }
+const ADDRESS_FORMATS = {
+  US: {
+    postalCode: { pattern: /^\d{5}(-\d{4})?$/, required: true, label: 'ZIP code' },
+    state: { required: true, label: 'State', options: US_STATES },
+  },
+  CA: {
+    postalCode: { pattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, required: true, label: 'Postal code' },
+    state: { required: true, label: 'Province', options: CA_PROVINCES },
+  },
+  AU: {
+    postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postcode' },
+    state: { required: true, label: 'State', options: AU_STATES },
+  },
+  GB: {
+    postalCode: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, required: true, label: 'Postcode' },
+    state: { required: false, label: 'County' },
+  },
+  IE: {
+    postalCode: { pattern: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/, required: false, label: 'Eircode' },
+    state: { required: false, label: 'County' },
+  },
+  DE: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'Postleitzahl' } },
+  FR: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'Code postal' } },
+  IT: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'CAP' } },
+  ES: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'Código postal' } },
+  PT: { postalCode: { pattern: /^\d{4}-\d{3}$/, required: true, label: 'Código postal' } },
+  NL: { postalCode: { pattern: /^\d{4} ?[A-Z]{2}$/, required: true, label: 'Postcode' } },
+  BE: { postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postal code' } },
+  AT: { postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postleitzahl' } },
+  DK: { postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postnummer' } },
+  SE: { postalCode: { pattern: /^\d{3} ?\d{2}$/, required: true, label: 'Postnummer' } },
+  PL: { postalCode: { pattern: /^\d{2}-\d{3}$/, required: true, label: 'Kod pocztowy' } },
+  IN: {
+    postalCode: { pattern: /^\d{6}$/, required: true, label: 'PIN code' },
+    state: { required: true, label: 'State' },
+  },
+  JP: { postalCode: { pattern: /^\d{3}-?\d{4}$/, required: true, label: 'Postal code' } },
+};
+
+const DEFAULT_FORMAT = {
+  postalCode: { pattern: /^[A-Z\d][A-Z\d -]{1,10}$/, required: false, label: 'Postal code' },
+  state: { required: false, label: 'State / Region' },
+};
+
+// Limits for free-text fields
+const MAX_LENGTHS = { label: 40, fullName: 100, street: 200, city: 100, state: 100, zipCode: 20, phone: 30 };
+
+export const getAddressFormat = (country) => {
+  const format = ADDRESS_FORMATS[country] || {};
+  return {
+    postalCode: format.postalCode || DEFAULT_FORMAT.postalCode,
+    state: format.state || DEFAULT_FORMAT.state,
+  };
+};
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate and normalize an address
+ * Country becomes its ISO code, postal codes and state codes are upper-cased.
+ *
+ * @param {object} input - { label?, fullName?, street, city, state, zipCode, country, phone? }
+ * @returns {object} { address } or { errors } keyed by field, plus `message` (the first error)
+ */
+export const validateAddress = (input = {}) => {
+  const country = normalizeCountry(clean(input.country));
+  const format = getAddressFormat(country);
+  const address = {
+    label: clean(input.label),
+    fullName: clean(input.fullName),
+    street: clean(input.street),
+    city: clean(input.city),
+    state: format.state.options ? clean(input.state).toUpperCase() : clean(input.state),
+    zipCode: clean(input.zipCode).toUpperCase(),
+    country,
+    phone: clean(input.phone),
+  };
+
+  const errors = {};
+  if (!/^[A-Z]{2}$/.test(country)) errors.country = 'Please choose a country';
+  if (!address.street) errors.street = 'Street address is required';
+  if (!address.city) errors.city = 'City is required';
+
+  if (!address.state && format.state.required) {
+    errors.state = `${format.state.label} is required`;
+  } else if (address.state && format.state.options && !format.state.options.includes(address.state)) {
+    errors.state = `Please choose a valid ${format.state.label.toLowerCase()}`;
+  }
+
+  if (!address.zipCode) {
+    if (format.postalCode.required) errors.zipCode = `${format.postalCode.label} is required`;
+  } else if (!format.postalCode.pattern.test(address.zipCode)) {
+    errors.zipCode = `Please enter a valid ${format.postalCode.label.toLowerCase()}`;
+  }
+
+  Object.entries(MAX_LENGTHS).forEach(([field, max]) => {
+    if (address[field].length > max && !errors[field]) {
+      errors[field] = `Must be ${max} characters or less`;
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return { errors, message: Object.values(errors)[0] };
+  }
+  return { address };
+};
@@ -0,0 +1,103 @@
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+
+// A cart line is identified by its product plus the chosen variant (if any)
+export const findItemIndex = (cart, productId, variantId) =>
+  cart.items.findIndex(
+    (item) =>
+      item.product.toString() === productId.toString() &&
+      (item.variant ? item.variant.toString() : null) === (variantId ? variantId.toString() : null)
+  );
+
+// Cart quantities are whole numbers of at least 1 ("2" from a form is fine; "2abc", 0, -1 and 1.5 are not)
+export const parseQuantity = (value) => {
+  const quantity = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+/**
+ * Check a whole cart line against stock (the variant's, or the product's when it has no variants)
+ * Checkout reserves the same amounts, so a line that passes here can be ordered.
+ *
+ * @param {object} product - Product document
+ * @param {object|null} variant - Chosen variant (null for products without variants)
+ * @param {number} quantity - Units the line would hold
+ * @returns {string|null} Why the line doesn't fit, or null when it does
+ */
+export const checkLineStock = (product, variant, quantity) => {
+  const available = variant ? variant.stockQuantity : product.stockQuantity;
+  if (available < 1) {
+    return variant ? 'This variant is out of stock' : 'This product is out of stock';
+  }
+  if (quantity > available) {
+    return `Only ${available} left in stock`;
+  }
+  return null;
+};
+
+/**
+ * Add a product (or one of its variants) to a user's cart
+ * Shared by POST /api/cart/add and the wishlist "move to cart" action
+ *
+ * @param {string} userId - Cart owner
+ * @param {object} item - { productId, variantId, quantity }
+ * @returns {object} { cart } or { status, message } when the item can't be added
+ */
+export const addItemToCart = async (userId, { productId, variantId, quantity = 1 }) => {
+  if (!productId) {
+    return { status: 400, message: 'Product ID is required' };
+  }
+  const amount = parseQuantity(quantity);
+  if (!amount) {
+    return { status: 400, message: 'Quantity must be a whole number of at least 1' };
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  let variant = null;
+  if (product.variants.length > 0) {
+    if (!variantId) {
+      return { status: 400, message: 'Please select a size' };
+    }
+    variant = product.findVariant(variantId);
+    if (!variant) {
+      return { status: 404, message: 'Variant not found' };
+    }
+  } else if (variantId) {
+    return { status: 400, message: 'Product has no variants' };
+  }
+
+  let cart = await Cart.findOne({ user: userId });
+
+  if (!cart) {
+    cart = new Cart({ user: userId, items: [] });
+  }
+
+  const existingItemIndex = findItemIndex(cart, productId, variantId);
+  const existingQuantity = existingItemIndex > -1 ? cart.items[existingItemIndex].quantity : 0;
+
+  // The whole cart line has to fit in stock, not just the units being added
+  const stockProblem = checkLineStock(product, variant, existingQuantity + amount);
+  if (stockProblem) {
+    return {
+      status: 400,
+      message: stockProblem + (existingQuantity > 0 ? ` (${existingQuantity} already in your cart)` : ''),
+    };
+  }
+
+  if (existingItemIndex > -1) {
+    cart.items[existingItemIndex].quantity += amount;
+  } else {
+    cart.items.push({
+      product: productId,
+      variant: variantId || null,
+      quantity: amount,
+    });
+  }
+
+  await cart.save();
+  return { cart };
+};
@@ -0,0 +1,114 @@
+import Coupon from '../models/Coupon.js';
+import Category from '../models/Category.js';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const countUserRedemptions = (coupon, userId) =>
+  coupon.redemptions.filter((redemption) => redemption.user.toString() === userId.toString()).length;
+
+/**
+ * Category slugs a coupon applies to: its category and every subcategory
+ * @returns {Promise<string[]>} Empty for coupons valid on the whole store
+ */
+export const getCouponCategories = async (coupon) =>
+  coupon && coupon.category ? Category.subtreeSlugs(coupon.category) : [];
+
+/**
+ * Check a coupon against a cart and work out the discount
+ *
+ * @param {object} coupon - Coupon document
+ * @param {object} cart - { lines: [{ price, quantity, category }], subtotal, userId,
+ *   categories } - categories is getCouponCategories(coupon), for category-restricted coupons
+ * @returns {object} { discount } or { error } when the coupon can't be used
+ */
+export const evaluateCoupon = (coupon, { lines, subtotal, userId, categories = [] }) => {
+  if (!coupon || !coupon.active) {
+    return { error: 'This promo code is not valid' };
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+    return { error: 'This promo code has expired' };
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'This promo code has reached its usage limit' };
+  }
+  if (coupon.perUserLimit !== null && countUserRedemptions(coupon, userId) >= coupon.perUserLimit) {
+    return { error: 'You have already used this promo code' };
+  }
+  if (subtotal < coupon.minCartValue) {
+    return { error: `Add $${(coupon.minCartValue - subtotal).toFixed(2)} more to use this promo code` };
+  }
+
+  // Category-restricted coupons only discount matching items
+  const eligibleSubtotal = coupon.category
+    ? lines
+        .filter((line) => categories.includes(line.category))
+        .reduce((sum, line) => sum + line.price * line.quantity, 0)
+    : subtotal;
+
+  if (eligibleSubtotal <= 0) {
+    return { error: `This promo code only applies to ${coupon.category} products` };
+  }
+
+  const discount = coupon.discountType === 'percent'
+    ? eligibleSubtotal * (coupon.discountValue / 100)
+    : coupon.discountValue;
+
+  return { discount: roundMoney(Math.min(discount, eligibleSubtotal)) };
+};
+
+/**
+ * Count a coupon use for an order
+ * All limits are re-checked inside one atomic update, so two checkouts racing
+ * for the last use can't both succeed.
+ *
+ * @returns {Promise<boolean>} true if the use was recorded
+ */
+export const redeemCoupon = async (coupon, userId, orderId) => {
+  const filter = {
+    _id: coupon._id,
+    active: true,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    $and: [
+      { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+    ],
+  };
+
+  if (coupon.perUserLimit !== null) {
+    filter.$and.push({
+      $expr: {
+        $lt: [
+          { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', userId] } } } },
+          '$perUserLimit',
+        ],
+      },
+    });
+  }
+
+  const result = await Coupon.updateOne(filter, {
+    $inc: { usedCount: 1 },
+    $push: { redemptions: { user: userId, order: orderId } },
+  });
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Undo a redemption (used when the order could not be saved)
+ */
+export const releaseCoupon = async (couponId, orderId) => {
+  await Coupon.updateOne(
+    { _id: couponId, 'redemptions.order': orderId },
+    { $inc: { usedCount: -1 }, $pull: { redemptions: { order: orderId } } }
+  );
+};
+
+/**
+ * Give back the coupon use of a cancelled order (if it used one)
+ * Matches on the recorded redemption, so it only ever counts once per order.
+ */
+export const releaseOrderCoupon = async (orderId) => {
+  await Coupon.updateOne(
+    { 'redemptions.order': orderId },
+    { $inc: { usedCount: -1 }, $pull: { redemptions: { order: orderId } } }
+  );
+};
@@ -0,0 +1,40 @@
+/**
+ * CSV export helpers
+ */
+
+// Quote a value when needed, and neutralize values a spreadsheet would run as a
+// formula (=, +, -, @ at the start) by prefixing them with a quote
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<object>} columns - [{ header, value: (row) => any }]
+ * @param {Array<object>} rows - Data rows
+ * @returns {string} CSV text (CRLF line endings, header row first)
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(column.value(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Send CSV text as a file download
+ * @param {object} res - Express response object
+ * @param {string} fileName - Suggested file name
+ * @param {string} csv - CSV text
+ */
+export const sendCsv = (res, fileName, csv) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(csv);
+};
@@ -0,0 +1,84 @@
+import sharp from 'sharp';
+import { getStorage } from './storage.js';
+
+/**
+ * Product image renditions
+ *
+ * Every uploaded or seeded product image is resized to a few fixed widths and
+ * encoded as AVIF and WebP. The frontend lists them in srcset so browsers
+ * download the smallest file that is sharp enough instead of the original.
+ */
+
+// Widths in pixels - grid cards, product page, zoomed product page
+export const RENDITION_WIDTHS = [240, 480, 960];
+
+// Encoder settings per format (effort is kept low so seeding stays quick)
+const FORMATS = {
+  avif: { contentType: 'image/avif', extension: '.avif', options: { quality: 50, effort: 2 } },
+  webp: { contentType: 'image/webp', extension: '.webp', options: { quality: 75 } },
+};
+
+/**
+ * Resize an image to RENDITION_WIDTHS and store the results
+ * Widths above the original are skipped (never upscaled); an image narrower
+ * than the smallest width gets one rendition at its own width.
+ *
+ * @param {Buffer} buffer - Original image file
+ * @param {object} options - { folder } passed to the storage driver
+ * @returns {Promise<object>} { width, height, renditions: [{ format, width, height, url, key }] }
+ *   Throws if the file isn't an image sharp can read.
+ */
+export const createRenditions = async (buffer, { folder = '' } = {}) => {
+  const metadata = await sharp(buffer).metadata();
+  // EXIF orientations 5-8 are rotated by 90°, so the displayed width is the stored height
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const widths = RENDITION_WIDTHS.filter((renditionWidth) => renditionWidth < width);
+  if (widths.length < RENDITION_WIDTHS.length) widths.push(width);
+
+  const storage = getStorage();
+  const renditions = [];
+  try {
+    for (const renditionWidth of widths) {
+      for (const [format, settings] of Object.entries(FORMATS)) {
+        // rotate() applies the EXIF orientation before resizing
+        const output = await sharp(buffer)
+          .rotate()
+          .resize({ width: renditionWidth, withoutEnlargement: true })
+          .toFormat(format, settings.options)
+          .toBuffer({ resolveWithObject: true });
+
+        const stored = await storage.save({
+          buffer: output.data,
+          contentType: settings.contentType,
+          extension: settings.extension,
+          folder,
+        });
+        renditions.push({ format, width: output.info.width, height: output.info.height, ...stored });
+      }
+    }
+  } catch (error) {
+    // Don't leave half a set of files behind
+    await removeFiles(renditions.map((rendition) => rendition.key));
+    throw error;
+  }
+
+  return { width, height, renditions };
+};
+
+/**
+ * Delete stored files, logging (not throwing) on failure
+ * @param {string[]} keys - Storage keys
+ */
+export const removeFiles = async (keys) => {
+  const storage = getStorage();
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error('Failed to remove image:', error.message);
+    }
+  }
+};
@@ -0,0 +1,121 @@
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+
+// Conditional $inc so two buyers racing for the last unit can never both win:
+// MongoDB applies the stock check and the decrement as a single atomic update.
+const decrementLine = (line) => {
+  if (line.variant) {
+    return Product.updateOne(
+      {
+        _id: line.product,
+        variants: { $elemMatch: { _id: line.variant, stockQuantity: { $gte: line.quantity } } },
+      },
+      { $inc: { 'variants.$.stockQuantity': -line.quantity, stockQuantity: -line.quantity } }
+    );
+  }
+
+  return Product.updateOne(
+    { _id: line.product, stockQuantity: { $gte: line.quantity } },
+    { $inc: { stockQuantity: -line.quantity } }
+  );
+};
+
+const incrementLine = (line) => {
+  if (line.variant) {
+    return Product.updateOne(
+      { _id: line.product, 'variants._id': line.variant },
+      { $inc: { 'variants.$.stockQuantity': line.quantity, stockQuantity: line.quantity } }
+    );
+  }
+
+  return Product.updateOne(
+    { _id: line.product },
+    { $inc: { stockQuantity: line.quantity } }
+  );
+};
+
+// Keep the inStock flag in line with the stock counter
+const syncInStock = async (productIds) => {
+  await Product.updateMany(
+    { _id: { $in: productIds }, stockQuantity: { $lte: 0 }, inStock: true },
+    { inStock: false }
+  );
+  await Product.updateMany(
+    { _id: { $in: productIds }, stockQuantity: { $gt: 0 }, inStock: false },
+    { inStock: true }
+  );
+};
+
+// How many units of a line are currently available
+const availableFor = async (line) => {
+  const product = await Product.findById(line.product);
+  if (!product) return 0;
+  if (!line.variant) return product.stockQuantity;
+  const variant = product.findVariant(line.variant);
+  return variant ? variant.stockQuantity : 0;
+};
+
+/**
+ * Put stock back for the given order lines
+ * @param {Array} lines - [{ product, variant, quantity }]
+ */
+export const releaseStock = async (lines) => {
+  for (const line of lines) {
+    await incrementLine(line);
+  }
+  await syncInStock(lines.map((line) => line.product));
+};
+
+/**
+ * Reserve (decrement) stock for every order line, all or nothing
+ * If any line is short, everything already reserved is put back.
+ *
+ * @param {Array} lines - [{ product, variant, quantity, name, size, color }]
+ * @returns {Promise<Array>} Shortages (empty when the reservation succeeded)
+ */
+export const reserveStock = async (lines) => {
+  const reserved = [];
+  const shortages = [];
+
+  for (const line of lines) {
+    const result = await decrementLine(line);
+    if (result.modifiedCount === 1) {
+      reserved.push(line);
+    } else {
+      shortages.push({
+        product: line.product,
+        variant: line.variant || null,
+        name: line.name,
+        size: line.size || '',
+        color: line.color || '',
+        requested: line.quantity,
+        available: await availableFor(line),
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    await releaseStock(reserved);
+    return shortages;
+  }
+
+  await syncInStock(lines.map((line) => line.product));
+  return [];
+};
+
+/**
+ * Return a cancelled order's items to stock (only ever once per order)
+ * @param {object} order - Order document
+ */
+export const restockOrder = async (order) => {
+  // Flip the flag atomically so concurrent cancellations can't restock twice
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReleased: false },
+    { stockReleased: true }
+  );
+  if (!claimed) return false;
+
+  await releaseStock(order.items);
+  order.stockReleased = true;
+  return true;
+};
@@ -0,0 +1,242 @@
+import PDFDocument from 'pdfkit';
+import Counter from '../models/Counter.js';
+import Order from '../models/Order.js';
+
+/**
+ * PDF invoices
+ *
+ * Invoice numbers come from the "invoice" Counter and are taken in the same
+ * transaction that stores the order, so they follow creation order with no
+ * gaps or duplicates. Seller details are read from the SELLER_* environment
+ * variables.
+ */
+
+const INVOICE_SEQUENCE = 'invoice';
+
+const PAYMENT_METHOD_LABELS = {
+  credit_card: 'Credit card',
+  debit_card: 'Debit card',
+  paypal: 'PayPal',
+  cash_on_delivery: 'Cash on delivery',
+};
+
+/**
+ * Seller shown at the top of every invoice
+ * SELLER_ADDRESS may span several lines ("\n" inside a double-quoted .env value)
+ */
+export const sellerDetails = () => ({
+  name: process.env.SELLER_NAME || 'Shopify',
+  address: (process.env.SELLER_ADDRESS || '').split('\n').map((line) => line.trim()).filter(Boolean),
+  email: process.env.SELLER_EMAIL || '',
+  phone: process.env.SELLER_PHONE || '',
+  taxId: process.env.SELLER_TAX_ID || '',
+});
+
+// 42 → "INV-000042"
+export const formatInvoiceNumber = (invoiceNumber) =>
+  `${process.env.INVOICE_PREFIX ?? 'INV-'}${String(invoiceNumber).padStart(6, '0')}`;
+
+/**
+ * Make sure the database can run transactions (a replica set or a sharded cluster)
+ * Checked at startup, so a standalone mongod is reported straight away rather
+ * than by the first checkout failing.
+ *
+ * @param {object} connection - Open Mongoose connection
+ * @throws {Error} When MongoDB is a standalone server
+ */
+export const checkTransactionSupport = async (connection) => {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    throw new Error(
+      'MongoDB is running as a standalone server, but checkout needs transactions. ' +
+      'Start mongod with --replSet rs0 and run rs.initiate() once (see the README), or use MongoDB Atlas.'
+    );
+  }
+};
+
+/**
+ * Store a new order together with the next invoice number
+ * Both happen in one transaction: if the order can't be stored, the number is
+ * not used up either. Transactions need MongoDB to run as a replica set.
+ *
+ * @param {object} order - New Order document (invoiceNumber is set in place)
+ * @returns {Promise<object>} The stored order
+ */
+export const saveNumberedOrder = async (order) => {
+  // Retried as a whole on transient errors (e.g. two checkouts taking a number at once)
+  await Order.db.transaction(async (session) => {
+    order.invoiceNumber = await Counter.next(INVOICE_SEQUENCE, { session });
+    await order.save({ session });
+  });
+  return order;
+};
+
+/**
+ * Number orders stored before invoices existed, oldest first
+ * Run once when upgrading (npm run number-invoices), before new orders come in.
+ *
+ * @returns {Promise<number>} How many orders were numbered
+ */
+export const numberUnnumberedOrders = async () => {
+  const orders = await Order.find({ invoiceNumber: null }).sort({ createdAt: 1, _id: 1 }).select('_id');
+  for (const { _id } of orders) {
+    await Order.db.transaction(async (session) => {
+      const invoiceNumber = await Counter.next(INVOICE_SEQUENCE, { session });
+      // invoiceNumber: null in the filter - never renumber an order
+      const result = await Order.updateOne({ _id, invoiceNumber: null }, { $set: { invoiceNumber } }, { session });
+      if (result.modifiedCount === 0) {
+        throw new Error(`Order ${_id} was numbered in the meantime`);
+      }
+    });
+  }
+  return orders.length;
+};
+
+const money = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+const addressLines = (address, fallbackName) => [
+  address.fullName || fallbackName,
+  address.street,
+  [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+  address.country,
+  address.phone,
+].filter(Boolean);
+
+// Item column text: name, then size/color and SKU
+const itemDescription = (item) => {
+  const variant = [item.size, item.color].filter(Boolean).join(' / ');
+  return [item.name, variant, item.sku && `SKU ${item.sku}`].filter(Boolean).join('\n');
+};
+
+/**
+ * Draw the invoice for an order
+ * @param {object} order - Order document with `user` populated (name, email) and an invoiceNumber
+ * @returns {PDFDocument} Finished document (already ended - pipe it somewhere)
+ */
+export const renderInvoice = (order) => {
+  const seller = sellerDetails();
+  const invoiceId = formatInvoiceNumber(order.invoiceNumber);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Invoice ${invoiceId}`, Author: seller.name },
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const customerName = order.user?.name || '';
+
+  // Header: seller on the left, invoice details on the right
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#000').text(seller.name, left, 50, { width: width / 2 });
+  doc.font('Helvetica').fontSize(9).fillColor('#555');
+  [...seller.address, seller.email, seller.phone, seller.taxId && `Tax ID: ${seller.taxId}`]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: width / 2 }));
+  const sellerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#000').text('INVOICE', left, 50, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor('#555');
+  [
+    `Invoice number: ${invoiceId}`,
+    `Invoice date: ${formatDate(order.createdAt)}`,
+    `Order: #${String(order._id).slice(-8).toUpperCase()}`,
+    `Payment: ${PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod} (${order.paymentStatus})`,
+  ].forEach((line) => doc.text(line, left, doc.y, { width, align: 'right' }));
+
+  // Bill to / ship to
+  const addressTop = Math.max(sellerBottom, doc.y) + 30;
+  const columnWidth = width / 2 - 10;
+  const billTo = addressLines(order.billingAddress || order.shippingAddress, customerName);
+  if (order.user?.email) billTo.push(order.user.email);
+  [
+    ['Bill to', billTo, left],
+    ['Ship to', addressLines(order.shippingAddress, customerName), left + width / 2],
+  ].forEach(([title, lines, x]) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#000').text(title, x, addressTop, { width: columnWidth });
+    doc.font('Helvetica').fontSize(9).fillColor('#333');
+    lines.forEach((line) => doc.text(line, x, doc.y, { width: columnWidth }));
+  });
+
+  // Line items
+  const columns = [
+    { header: 'Item', x: left, width: 270, align: 'left' },
+    { header: 'Qty', x: left + 280, width: 40, align: 'right' },
+    { header: 'Unit price', x: left + 330, width: 80, align: 'right' },
+    { header: 'Amount', x: left + 420, width: width - 420, align: 'right' },
+  ];
+
+  const drawRow = (values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(9).fillColor('#000');
+    values.forEach((value, index) => {
+      const column = columns[index];
+      doc.text(value, column.x, y, { width: column.width, align: column.align });
+    });
+  };
+
+  const drawTableHeader = (y) => {
+    drawRow(columns.map((column) => column.header), y, 'Helvetica-Bold');
+    doc.moveTo(left, y + 14).lineTo(left + width, y + 14).strokeColor('#999').stroke();
+    return y + 22;
+  };
+
+  let y = drawTableHeader(doc.y + 30);
+  order.items.forEach((item) => {
+    const description = itemDescription(item);
+    const rowHeight = doc.font('Helvetica').fontSize(9).heightOfString(description, { width: columns[0].width }) + 8;
+    if (y + rowHeight > bottom) {
+      doc.addPage();
+      y = drawTableHeader(doc.page.margins.top);
+    }
+    drawRow([description, String(item.quantity), money(item.price), money(item.price * item.quantity)], y);
+    y += rowHeight;
+  });
+  doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#999').stroke();
+
+  // Totals (older orders only have totalAmount)
+  const pricing = order.pricing || {};
+  const taxPercent = `${+((pricing.taxRate || 0) * 100).toFixed(2)}%`;
+  const totals = [
+    ['Subtotal', money(pricing.subtotal ?? order.totalAmount)],
+    pricing.discount > 0 && [`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`, `-${money(pricing.discount)}`],
+    ['Shipping', money(pricing.shipping)],
+    [pricing.taxIncluded ? `Includes tax (${taxPercent})` : `Tax (${taxPercent})`, money(pricing.tax)],
+  ].filter(Boolean);
+
+  if (y + (totals.length + 2) * 16 > bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  y += 10;
+  totals.forEach(([label, value]) => {
+    drawRow(['', '', label, value], y);
+    y += 16;
+  });
+  drawRow(['', '', 'Total', money(order.totalAmount)], y + 4, 'Helvetica-Bold');
+
+  doc.font('Helvetica').fontSize(9).fillColor('#555').text(
+    'Thank you for shopping with us.',
+    left,
+    y + 40,
+    { width, align: 'center' }
+  );
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Send an order's invoice as a PDF download
+ * @param {object} res - Express response object
+ * @param {object} order - Order document with `user` populated and an invoiceNumber
+ */
+export const sendInvoice = async (res, order) => {
+  const doc = renderInvoice(order);
+
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="invoice-${formatInvoiceNumber(order.invoiceNumber)}.pdf"`);
+  doc.pipe(res);
+};
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Outgoing email
+ *
+ * The transport is picked with MAIL_TRANSPORT:
+ * - console (default outside production): print the message to the server log
+ * - file: write each message to MAIL_DIR (default ./mail-outbox) as an .eml file
+ *
+ * Emails carry single-use links (password reset, email confirmation), so the
+ * console transport is never used in production (NODE_ENV=production) - there
+ * MAIL_TRANSPORT has to be set, otherwise sending fails.
+ *
+ * A real provider (SMTP, SES, ...) can be plugged in with registerTransport()
+ * without touching the code that sends mail.
+ */
+
+const transports = {
+  console: async (message) => {
+    console.log(
+      `📧 Mail to ${message.to}\n` +
+      `Subject: ${message.subject}\n\n` +
+      `${message.text}\n`
+    );
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || 'mail-outbox';
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const lines = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text,
+    ];
+    await fs.writeFile(path.join(dir, fileName), lines.join('\r\n'));
+  },
+};
+
+/**
+ * Add (or replace) a transport
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {function} send - async (message) => void, message is { from, to, subject, text, html }
+ */
+export const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} mail - { to, subject, text, html }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const production = process.env.NODE_ENV === 'production';
+  const transportName = process.env.MAIL_TRANSPORT || (production ? null : 'console');
+  if (!transportName) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  if (production && transportName === 'console') {
+    throw new Error('The console mail transport is disabled in production');
+  }
+
+  const send = transports[transportName];
+  if (!send) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${transportName}"`);
+  }
+
+  await send({
+    from: process.env.MAIL_FROM || 'Shopify <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+// Absolute link to a frontend page, for use in emails
+export const clientUrl = (pagePath) =>
+  `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '')}${pagePath}`;
@@ -0,0 +1,284 @@
+import crypto from 'crypto';
+import { clientUrl } from './mailer.js';
+
+/**
+ * Mock card processor (PAYMENT_PROVIDER=mock, the default outside production)
+ *
+ * Behaves like a real card gateway so the whole checkout can be built and
+ * tested offline: payment intents, declines, a 3-D Secure style "requires_action"
+ * step and signed webhooks sent back to this server. Intents are kept in memory,
+ * so they are lost when the server restarts.
+ *
+ * Test cards (any future expiry date, any 3-digit CVC):
+ * - 4242 4242 4242 4242  succeeds
+ * - 4000 0000 0000 3220  asks for 3-D Secure authentication first
+ * - 4000 0000 0000 0002  declined (card_declined)
+ * - 4000 0000 0000 9995  declined (insufficient_funds)
+ * - 4000 0000 0000 0069  declined (expired_card)
+ */
+
+const DECLINES = {
+  '4000000000000002': { code: 'card_declined', message: 'Your card was declined' },
+  '4000000000009995': { code: 'insufficient_funds', message: 'Your card has insufficient funds' },
+  '4000000000000069': { code: 'expired_card', message: 'Your card has expired' },
+};
+const THREE_D_SECURE_CARD = '4000000000003220';
+
+// Signed webhooks are accepted for this long after they were sent (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const intents = new Map();
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(12).toString('hex')}`;
+
+// No built-in fallback - a secret anyone can read in the source would let anyone forge webhooks
+const webhookSecret = () => {
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider');
+  }
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+};
+
+const webhookUrl = () =>
+  process.env.MOCK_PAYMENT_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+const sign = (timestamp, payload) =>
+  crypto.createHmac('sha256', webhookSecret()).update(`${timestamp}.${payload}`).digest('hex');
+
+// Copy without internal fields, like the JSON a real gateway would return
+const publicIntent = (intent) => {
+  const { cardNumber, ...rest } = intent;
+  return { ...rest, card: cardNumber ? { last4: cardNumber.slice(-4) } : null };
+};
+
+const findIntent = (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    throw new Error(`No such payment intent: ${intentId}`);
+  }
+  return intent;
+};
+
+// Luhn checksum - catches mistyped card numbers
+const passesLuhn = (number) => {
+  let sum = 0;
+  [...number].reverse().forEach((digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+};
+
+// Basic card checks a processor does before contacting the bank
+const validateCard = (card = {}) => {
+  const number = String(card.number || '').replace(/[\s-]/g, '');
+  if (!/^\d{12,19}$/.test(number) || !passesLuhn(number)) {
+    return { error: { code: 'invalid_number', message: 'Your card number is invalid' } };
+  }
+
+  const month = Number(card.expMonth);
+  let year = Number(card.expYear);
+  if (year < 100) year += 2000;
+  const now = new Date();
+  if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year) ||
+      year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) {
+    return { error: { code: 'invalid_expiry', message: "Your card's expiration date is invalid or in the past" } };
+  }
+
+  if (!/^\d{3,4}$/.test(String(card.cvc || ''))) {
+    return { error: { code: 'invalid_cvc', message: "Your card's security code is invalid" } };
+  }
+
+  return { number };
+};
+
+/**
+ * Send a signed webhook to the shop, retrying a few times like a real gateway
+ * Runs in the background - the API call that caused the event doesn't wait for it
+ */
+const deliverWebhook = (type, object) => {
+  if (process.env.MOCK_PAYMENT_WEBHOOKS === 'false') return;
+
+  const event = { id: randomId('evt'), type, created: Math.floor(Date.now() / 1000), data: { object } };
+  const payload = JSON.stringify(event);
+
+  const attempt = async (attemptNumber) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(webhookUrl(), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Mock-Signature': `t=${timestamp},v1=${sign(timestamp, payload)}`,
+        },
+        body: payload,
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      if (attemptNumber >= 3) {
+        console.error(`Mock gateway: webhook ${event.id} (${type}) failed:`, error.message);
+        return;
+      }
+      setTimeout(() => attempt(attemptNumber + 1), attemptNumber * 2000);
+    }
+  };
+
+  setTimeout(() => attempt(1), 0);
+};
+
+// Outcome of charging a card that needs no (more) authentication
+const chargeCard = (intent) => {
+  const decline = DECLINES[intent.cardNumber];
+  if (decline) {
+    // Like real gateways, a declined intent can be retried with another card
+    intent.status = 'requires_payment_method';
+    intent.lastPaymentError = decline;
+    intent.nextAction = null;
+    deliverWebhook('payment_intent.payment_failed', publicIntent(intent));
+  } else {
+    intent.status = 'succeeded';
+    intent.lastPaymentError = null;
+    intent.nextAction = null;
+    deliverWebhook('payment_intent.succeeded', publicIntent(intent));
+  }
+};
+
+const mockGateway = {
+  name: 'mock',
+
+  createPaymentIntent: async ({ amount, currency, metadata = {} }) => {
+    const id = randomId('pi');
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount,
+      amountRefunded: 0,
+      currency,
+      status: 'requires_payment_method',
+      clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      metadata,
+      lastPaymentError: null,
+      nextAction: null,
+      created: Math.floor(Date.now() / 1000),
+    };
+    intents.set(id, intent);
+    return publicIntent(intent);
+  },
+
+  retrievePaymentIntent: async (intentId) => publicIntent(findIntent(intentId)),
+
+  confirmPaymentIntent: async (intentId, { card } = {}) => {
+    const intent = findIntent(intentId);
+    if (intent.status !== 'requires_payment_method') {
+      throw new Error(`This payment can't be confirmed (status: ${intent.status})`);
+    }
+
+    const checked = validateCard(card);
+    if (checked.error) {
+      // Rejected before reaching the bank - nothing is charged and no webhook is sent
+      const error = new Error(checked.error.message);
+      error.code = checked.error.code;
+      error.type = 'card_error';
+      throw error;
+    }
+    intent.cardNumber = checked.number;
+
+    if (checked.number === THREE_D_SECURE_CARD) {
+      // The customer must approve the payment on their bank's page first
+      intent.status = 'requires_action';
+      intent.lastPaymentError = null;
+      intent.nextAction = {
+        type: 'redirect_to_url',
+        url: clientUrl(`/payment/authenticate?intent=${intent.id}&secret=${intent.clientSecret}`),
+      };
+      return publicIntent(intent);
+    }
+
+    chargeCard(intent);
+    return publicIntent(intent);
+  },
+
+  refund: async (intentId, { amount } = {}) => {
+    const intent = findIntent(intentId);
+    if (intent.status !== 'succeeded') {
+      throw new Error('Only successful payments can be refunded');
+    }
+    const refundAmount = amount ?? intent.amount - intent.amountRefunded;
+    if (refundAmount <= 0 || intent.amountRefunded + refundAmount > intent.amount) {
+      throw new Error('Refund amount is more than what is left to refund');
+    }
+
+    intent.amountRefunded += refundAmount;
+    const refund = {
+      id: randomId('re'),
+      object: 'refund',
+      amount: refundAmount,
+      paymentIntent: intent.id,
+      status: 'succeeded',
+    };
+    deliverWebhook('charge.refunded', publicIntent(intent));
+    return refund;
+  },
+
+  /**
+   * Check the X-Mock-Signature header ("t=<unix time>,v1=<hmac>") of a webhook
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {object} Parsed event (throws if the signature is wrong or too old)
+   */
+  verifyWebhookSignature: (rawBody, headers) => {
+    const header = headers['x-mock-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map((part) => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const payload = rawBody.toString('utf8');
+    const expected = Buffer.from(sign(timestamp, payload), 'hex');
+    const given = Buffer.from(parts.v1, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(payload);
+  },
+
+  /**
+   * The "bank page" step of 3-D Secure (mock only)
+   * @param {string} intentId - Payment intent waiting for authentication
+   * @param {string} clientSecret - Secret from the redirect link (proves the caller started the payment)
+   * @param {boolean} approved - Whether the customer approved the payment
+   */
+  completeAuthentication: async (intentId, clientSecret, approved) => {
+    const intent = intents.get(intentId);
+    if (!intent || intent.clientSecret !== clientSecret) {
+      throw new Error('Unknown payment');
+    }
+    if (intent.status !== 'requires_action') {
+      return publicIntent(intent);
+    }
+
+    if (approved) {
+      chargeCard(intent);
+    } else {
+      intent.status = 'requires_payment_method';
+      intent.nextAction = null;
+      intent.lastPaymentError = {
+        code: 'authentication_failed',
+        message: 'The payment was not approved by the card holder',
+      };
+      deliverWebhook('payment_intent.payment_failed', publicIntent(intent));
+    }
+    return publicIntent(intent);
+  },
+};
+
+export default mockGateway;
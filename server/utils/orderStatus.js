@@ -0,0 +1,141 @@
+import { restockOrder } from './inventory.js';
+import { releaseOrderCoupon } from './coupons.js';
+
+// Allowed status transitions and who may trigger them.
+// Roles: 'user' = the customer who owns the order, 'admin' = store staff,
+// 'system' = automatic updates (payment provider results and webhooks).
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: { processing: ['admin'], cancelled: ['user', 'admin'] },
+  processing: { shipped: ['admin'], cancelled: ['user', 'admin'] },
+  shipped: { delivered: ['admin'] },
+  delivered: {},
+  cancelled: {},
+};
+
+export const PAYMENT_STATUS_TRANSITIONS = {
+  pending: { completed: ['admin', 'system'], failed: ['admin', 'system'] },
+  failed: { pending: ['admin'], completed: ['admin', 'system'] },
+  completed: { refunded: ['admin', 'system'] },
+  refunded: {},
+};
+
+const TRANSITIONS = {
+  orderStatus: ORDER_STATUS_TRANSITIONS,
+  paymentStatus: PAYMENT_STATUS_TRANSITIONS,
+};
+
+const LABELS = {
+  orderStatus: 'order status',
+  paymentStatus: 'payment status',
+};
+
+/**
+ * Check whether a status change is allowed
+ * @returns {object|null} { status, message } describing why it is rejected, or null if allowed
+ */
+export const checkStatusChange = (field, from, to, role) => {
+  const transitions = TRANSITIONS[field];
+  const label = LABELS[field];
+
+  if (!transitions || !Object.prototype.hasOwnProperty.call(transitions, to)) {
+    return { status: 400, message: `Invalid ${label}: ${to}` };
+  }
+  if (from === to) {
+    return { status: 400, message: `The ${label} is already ${to}` };
+  }
+
+  const allowedRoles = transitions[from]?.[to];
+  if (!allowedRoles) {
+    const next = Object.keys(transitions[from] || {});
+    return {
+      status: 400,
+      message: next.length > 0
+        ? `Cannot change ${label} from ${from} to ${to} (allowed: ${next.join(', ')})`
+        : `Cannot change ${label} once it is ${from}`,
+    };
+  }
+  if (!allowedRoles.includes(role)) {
+    return { status: 403, message: `You are not allowed to change the ${label} to ${to}` };
+  }
+
+  return null;
+};
+
+/**
+ * Apply a status change to an order and record it in the status history
+ * The order is not saved - the caller saves it once all changes are applied.
+ *
+ * @param {object} order - Order document
+ * @param {string} field - 'orderStatus' or 'paymentStatus'
+ * @param {string} to - New status
+ * @param {object} change - { actor (user id or null), role, note }
+ * @returns {object|null} Rejection ({ status, message }) or null on success
+ */
+export const applyStatusChange = (order, field, to, { actor = null, role, note = '' }) => {
+  const from = order[field];
+  const rejection = checkStatusChange(field, from, to, role);
+  if (rejection) return rejection;
+
+  order[field] = to;
+  order.statusHistory.push({ field, from, to, actor, role, note });
+  return null;
+};
+
+/**
+ * Save an order, turning a concurrent-write conflict into a 409 rejection
+ * @returns {Promise<object|null>} Rejection ({ status, message }) or null when saved
+ */
+export const saveOrder = async (order) => {
+  try {
+    await order.save();
+    return null;
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return { status: 409, message: 'Order was updated by someone else, please retry' };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply the requested status changes to an order, save it and restock if it was cancelled
+ * Cancelling also gives the promo code use back to the customer.
+ * Used by the customer status route and the admin (single and bulk) routes.
+ *
+ * @param {object} order - Order document
+ * @param {object} updates - { orderStatus, paymentStatus } (either may be omitted)
+ * @param {object} change - { actor, role, note }
+ * @returns {Promise<object|null>} Rejection ({ status, message }) or null on success
+ */
+export const updateOrderStatus = async (order, { orderStatus, paymentStatus }, change) => {
+  if (!orderStatus && !paymentStatus) {
+    return { status: 400, message: 'orderStatus or paymentStatus is required' };
+  }
+
+  const wasCancelled = order.orderStatus === 'cancelled';
+
+  // Cancelling doesn't refund, so a paid order is cancelled by the store (which can refund it)
+  if (orderStatus === 'cancelled' && change.role === 'user' && order.paymentStatus === 'completed') {
+    return { status: 403, message: 'This order has already been paid - please contact us to cancel it' };
+  }
+
+  if (orderStatus) {
+    const rejection = applyStatusChange(order, 'orderStatus', orderStatus, change);
+    if (rejection) return rejection;
+  }
+  if (paymentStatus) {
+    const rejection = applyStatusChange(order, 'paymentStatus', paymentStatus, change);
+    if (rejection) return rejection;
+  }
+
+  const conflict = await saveOrder(order);
+  if (conflict) return conflict;
+
+  // Cancelling an order puts its items back in stock and frees its coupon use
+  if (!wasCancelled && order.orderStatus === 'cancelled') {
+    await restockOrder(order);
+    await releaseOrderCoupon(order._id);
+  }
+
+  return null;
+};
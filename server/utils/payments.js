@@ -0,0 +1,106 @@
+import mockGateway from './mockGateway.js';
+import { updateOrderStatus, saveOrder } from './orderStatus.js';
+
+/**
+ * Payment providers
+ *
+ * The provider is picked with PAYMENT_PROVIDER (default: mock). The mock gateway
+ * accepts test cards and exposes a fake 3-D Secure page, so it is refused when
+ * NODE_ENV=production - a real provider has to be configured there. A provider is
+ * an object with these async methods (amounts are in the smallest currency unit):
+ *
+ * - createPaymentIntent({ amount, currency, metadata }) → intent
+ * - retrievePaymentIntent(intentId) → intent
+ * - confirmPaymentIntent(intentId, { card }) → intent (throws an error with type 'card_error' for invalid card details)
+ * - refund(intentId, { amount }) → refund (amount omitted = everything not yet refunded)
+ * - verifyWebhookSignature(rawBody, headers) → event (throws if the signature is invalid)
+ *
+ * An intent looks like { id, amount, currency, status, clientSecret, metadata,
+ * lastPaymentError: { code, message } | null, nextAction: { type, url } | null }
+ * with status one of requires_payment_method, requires_action, processing, succeeded.
+ *
+ * Webhook events look like { id, type, data: { object: intent } } with type
+ * payment_intent.succeeded, payment_intent.payment_failed or charge.refunded.
+ * Events can arrive late or out of order, so the webhook route re-reads the
+ * intent from the provider instead of trusting the copy inside the event.
+ *
+ * A real gateway (Stripe, Adyen, ...) can be added with registerPaymentProvider()
+ * without touching the order or payment routes.
+ */
+
+const providers = {
+  mock: mockGateway,
+};
+
+// Payment methods that are charged through the provider (cash on delivery isn't)
+export const CARD_PAYMENT_METHODS = ['credit_card', 'debit_card'];
+
+// Payment methods a new order can use - each one needs a way to be paid (PayPal has none yet)
+export const CHECKOUT_PAYMENT_METHODS = [...CARD_PAYMENT_METHODS, 'cash_on_delivery'];
+
+export const PAYMENT_CURRENCY = 'usd';
+
+/**
+ * Add (or replace) a provider
+ * @param {string} name - Value of PAYMENT_PROVIDER that selects it
+ * @param {object} provider - Object implementing the methods above
+ */
+export const registerPaymentProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Name of the configured provider (stored on orders and webhook events)
+export const paymentProviderName = () => process.env.PAYMENT_PROVIDER || 'mock';
+
+/**
+ * The configured provider
+ * @returns {object} Provider (throws if PAYMENT_PROVIDER names an unknown one, or mock in production)
+ */
+export const getPaymentProvider = () => {
+  const name = paymentProviderName();
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider is disabled in production - set PAYMENT_PROVIDER');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  }
+  return provider;
+};
+
+// Order totals are stored in dollars, providers work in cents
+export const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// Provider intent → order paymentStatus (null = nothing to change yet, e.g. waiting for 3-D Secure)
+const paymentStatusFor = (intent) => {
+  if (intent.amountRefunded > 0 && intent.amountRefunded >= intent.amount) return 'refunded';
+  if (intent.status === 'succeeded') return 'completed';
+  // The last attempt failed (declined, 3-D Secure not approved)
+  if (intent.status === 'requires_payment_method' && intent.lastPaymentError) return 'failed';
+  return null;
+};
+
+/**
+ * Bring an order's paymentStatus in line with the provider
+ * Safe to call more than once for the same outcome (the confirm response, the
+ * webhook and a later sync can all report the same payment).
+ *
+ * @param {object} order - Order document
+ * @param {object} intent - Current payment intent from the provider
+ * @returns {Promise<object|null>} Rejection ({ status, message }) or null when up to date
+ */
+export const applyPaymentUpdate = async (order, intent) => {
+  order.payment.status = intent.status;
+  order.payment.lastError = intent.lastPaymentError?.message || '';
+  if (intent.amountRefunded !== undefined) {
+    order.payment.amountRefunded = intent.amountRefunded / 100;
+  }
+
+  const paymentStatus = paymentStatusFor(intent);
+  if (!paymentStatus || paymentStatus === order.paymentStatus) {
+    return saveOrder(order);
+  }
+
+  const note = intent.lastPaymentError?.message || `Payment ${intent.status} (${intent.id})`;
+  return updateOrderStatus(order, { paymentStatus }, { actor: null, role: 'system', note });
+};
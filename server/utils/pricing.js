@@ -0,0 +1,200 @@
+import Coupon from '../models/Coupon.js';
+import { evaluateCoupon, getCouponCategories } from './coupons.js';
+import { SHIPPING_ZONES, TAX_RULES, COUNTRY_NAMES, DEFAULT_ITEM_WEIGHT_KG } from './pricingRules.js';
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// PRICES_INCLUDE_TAX=true: catalog prices and shipping rates already contain tax (EU/UK style)
+// otherwise tax is added on top at checkout (US style)
+export const pricesIncludeTax = () => process.env.PRICES_INCLUDE_TAX === 'true';
+
+// "Germany", "de" → "DE"
+export const normalizeCountry = (country) => {
+  const value = String(country || '').trim();
+  if (/^[a-z]{2}$/i.test(value)) return value.toUpperCase();
+  return COUNTRY_NAMES[value.toLowerCase()] || value.toUpperCase();
+};
+
+const normalizeState = (state) => String(state || '').trim().toUpperCase();
+
+/**
+ * First shipping zone that covers an address
+ * @param {object} address - { country, state }
+ * @returns {object|null} Zone from SHIPPING_ZONES, null when we don't ship there
+ */
+export const findShippingZone = (address) => {
+  const country = normalizeCountry(address.country);
+  const state = normalizeState(address.state);
+  return SHIPPING_ZONES.find((zone) =>
+    (zone.countries.includes(country) || zone.countries.includes('*')) &&
+    (!zone.states || zone.states.includes(state))
+  ) || null;
+};
+
+/**
+ * Tax rule for an address - a state rule wins over the country rule
+ * @param {object} address - { country, state }
+ * @returns {object|null} Rule from TAX_RULES, null when the address isn't taxed
+ */
+export const findTaxRule = (address) => {
+  const country = normalizeCountry(address.country);
+  const state = normalizeState(address.state);
+  return TAX_RULES.find((rule) => rule.country === country && rule.state && rule.state === state) ||
+    TAX_RULES.find((rule) => rule.country === country && !rule.state) ||
+    null;
+};
+
+// Total weight in kg (products without a weight count as DEFAULT_ITEM_WEIGHT_KG)
+export const getCartWeight = (lines) =>
+  lines.reduce((sum, line) => sum + (line.product.weight ?? DEFAULT_ITEM_WEIGHT_KG) * line.quantity, 0);
+
+// Amount of the first tier that covers the value (upTo: null = no upper limit)
+const amountForTier = (tiers, value) =>
+  (tiers.find((tier) => tier.upTo === null || value <= tier.upTo) || tiers[tiers.length - 1]).amount;
+
+/**
+ * Shipping fee for a zone
+ * @param {object} zone - Zone from SHIPPING_ZONES
+ * @param {object} cart - { lines, goodsTotal } - goodsTotal is the subtotal after discount
+ * @returns {number} Fee (0 when the free shipping threshold is reached)
+ */
+export const calculateShipping = (zone, { lines, goodsTotal }) => {
+  if (zone.freeShippingThreshold !== null && goodsTotal >= zone.freeShippingThreshold) {
+    return 0;
+  }
+  const { rate } = zone;
+  if (rate.type === 'flat') return rate.amount;
+  if (rate.type === 'weight') return amountForTier(rate.tiers, getCartWeight(lines));
+  return amountForTier(rate.tiers, goodsTotal);
+};
+
+// Tax on an amount: added on top of it, or the part already inside it for tax-inclusive prices
+const taxOn = (amount, rate, included) => (included ? amount - amount / (1 + rate) : amount * rate);
+
+/**
+ * Shipping and tax for an address
+ *
+ * @param {Array<object>} lines - Priced cart lines
+ * @param {number} goodsTotal - Subtotal after discount
+ * @param {object} address - Shipping address ({ country, state, ... })
+ * @returns {object} { shipping, tax, taxRate, taxIncluded, shippingZone, freeShippingRemaining } or { error }
+ */
+export const calculateShippingAndTax = (lines, goodsTotal, address) => {
+  const zone = findShippingZone(address);
+  if (!zone) {
+    return { error: `Sorry, we don't ship to ${address.country} yet` };
+  }
+
+  const shipping = lines.length > 0 ? calculateShipping(zone, { lines, goodsTotal }) : 0;
+  const rule = findTaxRule(address);
+  const taxRate = rule ? rule.rate : 0;
+  const taxIncluded = pricesIncludeTax();
+  const taxableAmount = goodsTotal + (rule?.shippingTaxable ? shipping : 0);
+
+  return {
+    shipping: roundMoney(shipping),
+    tax: roundMoney(taxOn(taxableAmount, taxRate, taxIncluded)),
+    taxRate,
+    taxIncluded,
+    shippingZone: zone.name,
+    // How much more to spend for free shipping (null when the zone has no threshold or it's reached)
+    freeShippingRemaining: zone.freeShippingThreshold !== null && shipping > 0
+      ? roundMoney(zone.freeShippingThreshold - goodsTotal)
+      : null,
+  };
+};
+
+/**
+ * Turn a cart (with items.product populated) into priced lines
+ * Lines whose product has been deleted are skipped.
+ */
+export const getCartLines = (cart) =>
+  cart.items
+    .filter((item) => item.product)
+    .map((item) => {
+      const variant = item.product.findVariant(item.variant);
+      return {
+        product: item.product,
+        variant,
+        quantity: item.quantity,
+        price: item.product.getPrice(variant),
+        category: item.product.category,
+      };
+    });
+
+// Sum of price × quantity for priced lines
+export const getSubtotal = (lines) =>
+  roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+/**
+ * Price a cart - shared by the cart totals and checkout so both always agree
+ * Shipping and tax need an address; without one they are null and the total
+ * covers the goods only.
+ *
+ * @param {object} cart - Cart document with items.product populated
+ * @param {object} user - User the cart belongs to
+ * @param {object} [shippingAddress] - Address to calculate shipping and tax for
+ * @returns {Promise<object>} { lines, coupon, totals: { subtotal, discount, shipping, tax, taxRate,
+ *   taxIncluded, shippingZone, freeShippingRemaining, total, couponCode, couponError, shippingError } }
+ */
+export const priceCart = async (cart, user, shippingAddress = null) => {
+  const lines = getCartLines(cart);
+  const subtotal = getSubtotal(lines);
+
+  let discount = 0;
+  let coupon = null;
+  let couponError = null;
+
+  if (cart.couponCode) {
+    const found = await Coupon.findOne({ code: cart.couponCode });
+    const result = evaluateCoupon(found, {
+      lines,
+      subtotal,
+      userId: user._id,
+      categories: await getCouponCategories(found),
+    });
+    if (result.error) {
+      couponError = result.error;
+    } else {
+      coupon = found;
+      discount = result.discount;
+    }
+  }
+
+  const goodsTotal = roundMoney(subtotal - discount);
+  let delivery = {
+    shipping: null,
+    tax: null,
+    taxRate: null,
+    taxIncluded: pricesIncludeTax(),
+    shippingZone: null,
+    freeShippingRemaining: null,
+  };
+  let shippingError = null;
+
+  if (shippingAddress?.country) {
+    const result = calculateShippingAndTax(lines, goodsTotal, shippingAddress);
+    if (result.error) {
+      shippingError = result.error;
+    } else {
+      delivery = result;
+    }
+  }
+
+  // Tax-inclusive prices already contain the tax, so it is only added on top for exclusive prices
+  const total = goodsTotal + (delivery.shipping || 0) + (delivery.taxIncluded ? 0 : delivery.tax || 0);
+
+  return {
+    lines,
+    coupon,
+    totals: {
+      subtotal,
+      discount,
+      ...delivery,
+      total: roundMoney(total),
+      couponCode: cart.couponCode || null,
+      couponError,
+      shippingError,
+    },
+  };
+};
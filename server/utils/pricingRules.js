@@ -0,0 +1,139 @@
+/**
+ * Shipping zones and tax rules used by the pricing engine (utils/pricing.js)
+ *
+ * These are plain data so rates can be changed without touching the engine.
+ * Money amounts are in the store currency (USD), weights in kg.
+ */
+
+// Weight used for products that don't have one set
+export const DEFAULT_ITEM_WEIGHT_KG = 0.5;
+
+/**
+ * Shipping zones - the first zone matching the address is used
+ *
+ * - countries: ISO country codes, or ['*'] for everywhere else
+ * - states: optional list of state/province codes (zone only matches those)
+ * - rate: { type: 'flat', amount }
+ *         { type: 'weight', tiers: [{ upTo: kg, amount }] }     total cart weight
+ *         { type: 'value', tiers: [{ upTo: dollars, amount }] } cart value after discount
+ *   Tiers are checked in order; upTo: null matches anything above the previous tier.
+ * - freeShippingThreshold: cart value (after discount) from which shipping is free, null = never
+ */
+export const SHIPPING_ZONES = [
+  {
+    id: 'us-remote',
+    name: 'Alaska & Hawaii',
+    countries: ['US'],
+    states: ['AK', 'HI'],
+    rate: {
+      type: 'weight',
+      tiers: [
+        { upTo: 1, amount: 9.99 },
+        { upTo: 5, amount: 19.99 },
+        { upTo: null, amount: 34.99 },
+      ],
+    },
+    freeShippingThreshold: null,
+  },
+  {
+    id: 'us',
+    name: 'United States',
+    countries: ['US'],
+    rate: {
+      type: 'value',
+      tiers: [
+        { upTo: 50, amount: 5.99 },
+        { upTo: null, amount: 3.99 },
+      ],
+    },
+    freeShippingThreshold: 100,
+  },
+  {
+    id: 'canada',
+    name: 'Canada',
+    countries: ['CA'],
+    rate: {
+      type: 'weight',
+      tiers: [
+        { upTo: 1, amount: 12.99 },
+        { upTo: 5, amount: 24.99 },
+        { upTo: null, amount: 39.99 },
+      ],
+    },
+    freeShippingThreshold: 150,
+  },
+  {
+    id: 'europe',
+    name: 'Europe',
+    countries: ['GB', 'IE', 'DE', 'FR', 'IT', 'ES', 'PT', 'NL', 'BE', 'AT', 'DK', 'SE', 'PL'],
+    rate: {
+      type: 'weight',
+      tiers: [
+        { upTo: 1, amount: 14.99 },
+        { upTo: 5, amount: 29.99 },
+        { upTo: null, amount: 49.99 },
+      ],
+    },
+    freeShippingThreshold: 200,
+  },
+  {
+    id: 'international',
+    name: 'International',
+    countries: ['*'],
+    rate: {
+      type: 'weight',
+      tiers: [
+        { upTo: 1, amount: 19.99 },
+        { upTo: 5, amount: 39.99 },
+        { upTo: null, amount: 69.99 },
+      ],
+    },
+    freeShippingThreshold: null,
+  },
+];
+
+/**
+ * Tax rules - a rule for the address's state wins over one for its country
+ * Countries without a rule are not taxed.
+ *
+ * - rate: fraction, e.g. 0.2 for 20%
+ * - shippingTaxable: whether the shipping fee is taxed too
+ */
+export const TAX_RULES = [
+  { country: 'US', state: 'CA', rate: 0.0725, shippingTaxable: false },
+  { country: 'US', state: 'NY', rate: 0.04, shippingTaxable: true },
+  { country: 'US', state: 'TX', rate: 0.0625, shippingTaxable: true },
+  { country: 'US', state: 'WA', rate: 0.065, shippingTaxable: true },
+  { country: 'CA', rate: 0.05, shippingTaxable: true },
+  { country: 'CA', state: 'ON', rate: 0.13, shippingTaxable: true },
+  { country: 'GB', rate: 0.2, shippingTaxable: true },
+  { country: 'IE', rate: 0.23, shippingTaxable: true },
+  { country: 'DE', rate: 0.19, shippingTaxable: true },
+  { country: 'FR', rate: 0.2, shippingTaxable: true },
+  { country: 'IT', rate: 0.22, shippingTaxable: true },
+  { country: 'ES', rate: 0.21, shippingTaxable: true },
+  { country: 'NL', rate: 0.21, shippingTaxable: true },
+];
+
+// Country names customers may type instead of the code
+export const COUNTRY_NAMES = {
+  'united states': 'US',
+  'united states of america': 'US',
+  usa: 'US',
+  canada: 'CA',
+  'united kingdom': 'GB',
+  uk: 'GB',
+  'great britain': 'GB',
+  ireland: 'IE',
+  germany: 'DE',
+  france: 'FR',
+  italy: 'IT',
+  spain: 'ES',
+  portugal: 'PT',
+  netherlands: 'NL',
+  belgium: 'BE',
+  austria: 'AT',
+  denmark: 'DK',
+  sweden: 'SE',
+  poland: 'PL',
+};
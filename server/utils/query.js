@@ -0,0 +1,93 @@
+// Helpers for turning request query strings into safe MongoDB queries
+
+// Escape user input so it can be used inside a RegExp literally
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse page/limit query params
+ * @returns {object} { page, limit, skip } or { error } when a value is invalid
+ */
+export const parsePagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { error: `limit must be an integer between 1 and ${maxLimit}` };
+  }
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Parse a sort param like "-createdAt" or "totalAmount" against a whitelist
+ * @returns {object} { sort } or { error } when the field is not allowed
+ */
+export const parseSort = (value, allowedFields, defaultSort) => {
+  if (!value) return { sort: defaultSort };
+  if (typeof value !== 'string') return { error: 'sort must be a single value' };
+
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!allowedFields.includes(field)) {
+    return { error: `sort must be one of: ${allowedFields.join(', ')} (prefix with - for descending)` };
+  }
+
+  return { sort: { [field]: descending ? -1 : 1 } };
+};
+
+/**
+ * Parse an optional date query param
+ * @returns {object} { date } (undefined when not provided) or { error }
+ */
+export const parseDate = (value, name) => {
+  if (value === undefined || value === '') return { date: undefined };
+  if (typeof value !== 'string') return { error: `${name} must be a single value` };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `${name} must be a valid date` };
+  }
+  return { date };
+};
+
+/**
+ * Parse an optional free-text query param (repeated params arrive as arrays)
+ * @returns {object} { value } (trimmed, undefined when not provided) or { error }
+ */
+export const parseText = (value, name) => {
+  if (value === undefined || value === '') return { value: undefined };
+  if (typeof value !== 'string') return { error: `${name} must be a single value` };
+  return { value: value.trim() || undefined };
+};
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Reduce a free-text search to plain words
+ * $text gives "quoted phrases" and -negation special meaning, and the words are
+ * also used in regexes, so only letters and digits are kept
+ * @returns {object} { search, terms } or { error } when there is nothing to search for
+ */
+export const parseSearchQuery = (value) => {
+  if (typeof value !== 'string') {
+    return { error: 'Search query must be a single string' };
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > MAX_SEARCH_LENGTH) {
+    return { error: `Search query must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+
+  const terms = [...new Set(trimmed.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean))]
+    .slice(0, MAX_SEARCH_TERMS);
+  if (terms.length === 0) {
+    return { error: 'Search query must contain letters or numbers' };
+  }
+
+  return { search: terms.join(' '), terms };
+};
+
+// Case-insensitive match for a word starting with `term` ("jack" matches "Blue Jacket")
+export const wordPrefixRegex = (term) => ({ $regex: `\\b${escapeRegex(term)}`, $options: 'i' });
@@ -0,0 +1,125 @@
+/**
+ * Rate limiting
+ *
+ * Counts requests per key (IP address, email, ...) in fixed time windows.
+ * Counters live in a store - in memory by default, which is enough for a
+ * single server. Several servers need a shared store (Redis, ...), which can
+ * be plugged in with setRateLimitStore() without touching the routes.
+ *
+ * A store has two async methods:
+ * - increment(key, windowMs) → { count, resetAt } (a new window starts when the old one is over)
+ * - reset(key)
+ */
+
+/**
+ * In-memory store (the default)
+ * @returns {object} Store with increment() and reset()
+ */
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Use a different store (e.g. one backed by Redis)
+ * @param {object} newStore - Object with increment(key, windowMs) and reset(key)
+ */
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+/**
+ * Count one request against a limit
+ * @param {string} key - What is being limited (e.g. "login-ip:1.2.3.4")
+ * @param {object} limit - { windowMs, max }
+ * @returns {Promise<object>} { limited, retryAfter } - retryAfter in seconds
+ */
+export const hitRateLimit = async (key, { windowMs, max }) => {
+  const { count, resetAt } = await store.increment(key, windowMs);
+  return {
+    limited: count > max,
+    retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1),
+  };
+};
+
+// Forget the count for a key (e.g. after a successful login)
+export const resetRateLimit = (key) => store.reset(key);
+
+// "30 seconds", "1 minute", "15 minutes"
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Send a 429 Too Many Requests response with a Retry-After header
+ * @param {object} res - Express response object
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @param {string} message - Start of the message, e.g. "Too many login attempts"
+ */
+export const sendTooManyRequests = (res, retryAfter, message = 'Too many requests') => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: `${message}. Please try again in ${formatWait(retryAfter)}.`,
+    retryAfter,
+  });
+};
+
+/**
+ * Rate limiting middleware
+ *
+ * USAGE:
+ * router.post('/login', rateLimit({ name: 'login-ip', windowMs: 15 * 60 * 1000, max: 20 }), ...)
+ *
+ * @param {object} options
+ * @param {string} options.name - Prefix that keeps this limit's counters apart from others
+ * @param {number} options.windowMs - Length of the window
+ * @param {number} options.max - Requests allowed per window
+ * @param {function} options.key - (req) => key to count by (default: client IP); no key = not limited
+ * @param {string} options.message - Start of the 429 message
+ */
+export const rateLimit = ({ name, windowMs, max, key = (req) => req.ip, message }) =>
+  async (req, res, next) => {
+    try {
+      const value = key(req);
+      if (!value) return next();
+
+      const { limited, retryAfter } = await hitRateLimit(`${name}:${value}`, { windowMs, max });
+      if (limited) {
+        return sendTooManyRequests(res, retryAfter, message);
+      }
+      next();
+    } catch (error) {
+      // A broken store shouldn't take login down with it
+      console.error(`Rate limiter "${name}" failed:`, error.message);
+      next();
+    }
+  };
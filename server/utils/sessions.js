@@ -0,0 +1,108 @@
+import Session from '../models/Session.js';
+import { createToken, hashToken } from './tokens.js';
+
+/**
+ * Login sessions and refresh tokens
+ *
+ * Access tokens (JWTs) are short-lived; the refresh token is what keeps a
+ * device logged in. Every refresh hands out a new refresh token and retires
+ * the old one, so a refresh token that shows up a second time must have been
+ * copied - the whole session is revoked when that happens.
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// How many retired refresh tokens each session remembers for reuse detection
+const PREVIOUS_TOKENS_KEPT = 20;
+
+// Two browser tabs can refresh with the same token at the same moment; the one
+// that loses the race is told to retry instead of the session being revoked
+const REUSE_GRACE_SECONDS = 10;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Start a session for a user who just logged in
+ * @param {object} user - User document
+ * @param {object} req - Express request (device details are taken from it)
+ * @returns {Promise<object>} { session, refreshToken }
+ */
+export const createSession = async (user, req) => {
+  const { token, tokenHash } = createToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: tokenHash,
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || '',
+    expiresAt: refreshExpiry(),
+  });
+  return { session, refreshToken: token };
+};
+
+/**
+ * Swap a refresh token for a new one
+ * The swap is a single conditional update, so a token can only ever be used once.
+ * @param {string} refreshToken - Refresh token sent by the client
+ * @returns {Promise<object>} { session, refreshToken } or { status, message }
+ */
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const { token, tokenHash: newTokenHash } = createToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, ...Session.activeFilter() },
+    {
+      $set: { refreshTokenHash: newTokenHash, lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -PREVIOUS_TOKENS_KEPT } },
+    },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: token };
+  }
+
+  // An already-rotated token: someone else has (or had) a copy of it
+  const reused = await Session.findOne({ previousTokenHashes: tokenHash, revokedAt: null });
+  if (reused) {
+    const justRotated = reused.previousTokenHashes[reused.previousTokenHashes.length - 1] === tokenHash &&
+      Date.now() - reused.lastUsedAt.getTime() < REUSE_GRACE_SECONDS * 1000;
+    if (justRotated) {
+      return { status: 409, message: 'This refresh token was just used, please retry with the new one' };
+    }
+
+    await Session.updateOne(
+      { _id: reused._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+    );
+    console.warn(`Refresh token reuse detected - session ${reused._id} of user ${reused.user} revoked`);
+  }
+
+  return { status: 401, message: 'Session expired, please log in again' };
+};
+
+/**
+ * Short device label from a User-Agent header, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device description
+ */
+export const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
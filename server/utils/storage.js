@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * File storage for uploaded product images
+ *
+ * The driver is picked with STORAGE_DRIVER (default: local). A driver is an
+ * object with two async methods:
+ *
+ * - save({ buffer, contentType, extension, folder }) → { key, url }
+ * - remove(key) → nothing (a key that no longer exists is not an error)
+ *
+ * `key` identifies the file inside the driver and is stored next to the URL so
+ * the file can be removed later; `url` is what the browser loads.
+ *
+ * An S3-style backend can be added with registerStorage() without touching
+ * the upload routes.
+ */
+
+// Where the local driver writes files (served by server/index.js at /uploads)
+export const uploadDir = () => process.env.UPLOAD_DIR || 'uploads';
+
+// Random file name, e.g. "1715000000000-a1b2c3d4.jpg"
+// The extension comes from the checked content type, never from the uploaded name
+const uniqueFileName = (extension) => `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${extension}`;
+
+const local = {
+  save: async ({ buffer, extension, folder = '' }) => {
+    const key = path.posix.join(folder, uniqueFileName(extension));
+    const filePath = path.join(uploadDir(), key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    // The frontend runs on another origin, so the URL has to be absolute
+    const baseUrl = process.env.UPLOAD_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return { key, url: `${baseUrl.replace(/\/$/, '')}/uploads/${key}` };
+  },
+
+  remove: async (key) => {
+    // Keys come from the database, but never let one point outside the upload folder
+    const root = path.resolve(uploadDir());
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) return;
+    await fs.rm(filePath, { force: true });
+  },
+};
+
+const drivers = {
+  local,
+};
+
+/**
+ * Add (or replace) a driver
+ * @param {string} name - Value of STORAGE_DRIVER that selects it
+ * @param {object} driver - Object implementing save() and remove()
+ */
+export const registerStorage = (name, driver) => {
+  drivers[name] = driver;
+};
+
+/**
+ * The configured driver
+ * @returns {object} Driver (throws if STORAGE_DRIVER names an unknown one)
+ */
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  }
+  return driver;
+};
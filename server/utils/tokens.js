@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+// One-time tokens sent by email (password reset, email verification, newsletter confirmation)
+// Only the SHA-256 hash is stored, so a leaked database can't be used to take over accounts
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a random token
+ * @returns {object} { token, tokenHash } - email the token, store the hash
+ */
+export const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Signed links (e.g. newsletter unsubscribe) - anyone holding the link can use it,
+// but the signature can't be produced without the server secret
+const signingSecret = () =>
+  process.env.JWT_SECRET || 'default-jwt-secret-for-development-change-in-production';
+
+/**
+ * HMAC signature of a value
+ * @param {string} value - Value to sign (e.g. a subscriber ID)
+ * @returns {string} Hex signature
+ */
+export const signValue = (value) =>
+  crypto.createHmac('sha256', signingSecret()).update(String(value)).digest('hex');
+
+/**
+ * Check a signature made by signValue (constant-time comparison)
+ * @returns {boolean} True if the signature matches
+ */
+export const verifySignature = (value, signature) => {
+  if (typeof signature !== 'string') return false;
+  const expected = Buffer.from(signValue(value), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
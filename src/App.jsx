@@ -1,14 +1,23 @@
 import Navbar from "./Components/Navbar/Navbar"
-import {BrowserRouter, Route, Routes} from "react-router-dom"
+import {BrowserRouter, Navigate, Route, Routes} from "react-router-dom"
 import Shop from "./Pages/Shop"
 import ShopCategory from "./Pages/ShopCategory"
+import Collection from "./Pages/Collection"
 import Product from "./Pages/Product"
 import Cart from "./Pages/Cart"
+import Wishlist from "./Pages/Wishlist"
+import Search from "./Pages/Search"
 import LoginSignup from "./Pages/LoginSignup"
+import ForgotPassword from "./Pages/ForgotPassword"
+import ResetPassword from "./Pages/ResetPassword"
+import VerifyEmail from "./Pages/VerifyEmail"
+import Account from "./Pages/Account"
+import NewsletterConfirm from "./Pages/NewsletterConfirm"
+import NewsletterUnsubscribe from "./Pages/NewsletterUnsubscribe"
+import PaymentAuthenticate from "./Pages/PaymentAuthenticate"
+import Admin from "./Pages/Admin"
+import ProtectedRoute from "./Components/ProtectedRoute/ProtectedRoute"
 import Footer from "./Components/Footer/Footer"
-import men_banner from "./assets/banner.jpg"
-import women_banner from "./assets/women_banner.avif"
-import kids_banner from "./assets/kids_banner.jpg"
 function App() {
  
   return (
@@ -17,13 +26,26 @@ function App() {
       <Navbar/>
       <Routes>
         <Route path="/" element={<Shop/>}/>
-        <Route path="/mens" element={<ShopCategory banner={men_banner} category="men"/> }/>
-        <Route path="/womens" element={<ShopCategory banner={women_banner}category="women"/>}/>
-        <Route path="/kids" element={<ShopCategory banner={kids_banner}category="kid"/>}/>
+        <Route path="/category/:slug" element={<ShopCategory/>}/>
+        <Route path="/collections/:slug" element={<Collection/>}/>
+        {/* Old category URLs */}
+        <Route path="/mens" element={<Navigate to="/category/men" replace/>}/>
+        <Route path="/womens" element={<Navigate to="/category/women" replace/>}/>
+        <Route path="/kids" element={<Navigate to="/category/kids" replace/>}/>
         <Route path="/product" element={<Product/>}/>
         <Route path="/product/:productId" element={<Product/>}/>
         <Route path="/cart" element={<Cart/>}/>
+        <Route path="/wishlist" element={<Wishlist/>}/>
+        <Route path="/search" element={<Search/>}/>
         <Route path="/login" element={<LoginSignup/>}/>
+        <Route path="/forgot-password" element={<ForgotPassword/>}/>
+        <Route path="/reset-password" element={<ResetPassword/>}/>
+        <Route path="/verify-email" element={<VerifyEmail/>}/>
+        <Route path="/newsletter/confirm" element={<NewsletterConfirm/>}/>
+        <Route path="/newsletter/unsubscribe" element={<NewsletterUnsubscribe/>}/>
+        <Route path="/payment/authenticate" element={<ProtectedRoute><PaymentAuthenticate/></ProtectedRoute>}/>
+        <Route path="/account/*" element={<ProtectedRoute><Account/></ProtectedRoute>}/>
+        <Route path="/admin/*" element={<ProtectedRoute adminOnly><Admin/></ProtectedRoute>}/>
       </Routes>
       <Footer/>
       </BrowserRouter>
@@ -0,0 +1,222 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom'
+import { orderAPI, saveFile } from '../../services/api'
+import { ShopContext } from '../../Context/ShopContext'
+import { getImageSrc } from '../../utils/imageHelper'
+import { getVariantLabel } from '../../utils/variantHelper'
+import { getCountryName, formatAddress } from '../../utils/addressValidation'
+import { getOrderReference, getPaymentMethodLabel, formatDate, formatMoney } from '../../utils/orderHelper'
+
+// Timeline wording for each status an order or its payment can move to
+const TIMELINE_LABELS = {
+  orderStatus: {
+    pending: 'Order placed',
+    processing: 'Being prepared',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+  },
+  paymentStatus: {
+    pending: 'Awaiting payment',
+    completed: 'Payment received',
+    failed: 'Payment failed',
+    refunded: 'Payment refunded',
+  },
+};
+
+// One of the customer's orders: items, addresses, payment and status timeline
+const AccountOrderDetail = () => {
+  const { orderId } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { buyAgain } = useContext(ShopContext);
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState('');
+  // Which action is running: 'buy' or 'invoice'
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setOrder(null);
+    setError('');
+    orderAPI.getById(orderId)
+      .then((data) => { if (!cancelled) setOrder(data); })
+      .catch((err) => { if (!cancelled) setError(err.message || 'Failed to load order'); });
+    return () => { cancelled = true; };
+  }, [orderId]);
+
+  const handleBuyAgain = async () => {
+    try {
+      setBusy('buy');
+      const skipped = await buyAgain(order.items);
+      if (skipped === order.items.length) {
+        alert('These items are no longer available.');
+        return;
+      }
+      if (skipped > 0) {
+        alert(`${skipped} item(s) are no longer available and were not added to your cart.`);
+      }
+      navigate('/cart');
+    } catch (err) {
+      alert(err.message || 'Failed to add the items to your cart');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDownloadInvoice = async () => {
+    try {
+      setBusy('invoice');
+      saveFile(await orderAPI.downloadInvoice(orderId));
+    } catch (err) {
+      alert(err.message || 'Failed to download invoice');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className='account-section'>
+        <p className='account-error'>{error}</p>
+        <Link to='/account/orders'>Back to orders</Link>
+      </div>
+    );
+  }
+  if (!order) {
+    return <div className='account-section'><p className='account-muted'>Loading order...</p></div>;
+  }
+
+  const { shippingAddress: address, pricing } = order;
+  // Card orders that haven't been paid can be paid from the cart page
+  const canPay = order.paymentMethod !== 'cash_on_delivery'
+    && ['pending', 'failed'].includes(order.paymentStatus)
+    && order.orderStatus !== 'cancelled';
+
+  return (
+    <div className='account-section'>
+      <div className='account-section-header'>
+        <h1>Order {getOrderReference(order)}</h1>
+        <Link to='/account/orders'>Back to orders</Link>
+      </div>
+
+      {location.state?.placed && (
+        <p className='account-success'>Thank you! Your order has been placed.</p>
+      )}
+
+      <div className='account-actions'>
+        {canPay && (
+          <button
+            type='button'
+            className='account-primary'
+            onClick={() => navigate('/cart', { state: { payOrderId: order._id } })}
+          >
+            Complete payment
+          </button>
+        )}
+        <button type='button' onClick={handleBuyAgain} disabled={busy !== null}>
+          {busy === 'buy' ? 'Adding...' : 'Buy again'}
+        </button>
+        <button type='button' onClick={handleDownloadInvoice} disabled={busy !== null}>
+          {busy === 'invoice' ? 'Preparing...' : 'Download invoice'}
+        </button>
+      </div>
+
+      <div className='account-grid'>
+        <div className='account-card'>
+          <h3>Shipping address</h3>
+          {address.fullName && <p>{address.fullName}</p>}
+          <p>{address.street}</p>
+          <p>{[address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ')}</p>
+          <p>{getCountryName(address.country)}</p>
+          {address.phone && <p>{address.phone}</p>}
+          <p className='account-muted'>
+            Billing: {order.billingAddress ? formatAddress(order.billingAddress) : 'same as shipping'}
+          </p>
+        </div>
+        <div className='account-card'>
+          <h3>Payment</h3>
+          <p>{getPaymentMethodLabel(order.paymentMethod)}</p>
+          <p>Status: <span className={`account-status account-status-${order.paymentStatus}`}>{order.paymentStatus}</span></p>
+          {order.payment?.lastError && order.paymentStatus !== 'completed' && (
+            <p className='account-muted'>{order.payment.lastError}</p>
+          )}
+          {order.payment?.amountRefunded > 0 && <p>Refunded: {formatMoney(order.payment.amountRefunded)}</p>}
+        </div>
+        <div className='account-card'>
+          <h3>Status</h3>
+          <p>Placed: {formatDate(order.createdAt)}</p>
+          <p>Order: <span className={`account-status account-status-${order.orderStatus}`}>{order.orderStatus}</span></p>
+        </div>
+      </div>
+
+      <table className='account-table'>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Price</th>
+            <th>Qty</th>
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {order.items.map((item) => (
+            <tr key={item._id}>
+              <td>
+                <div className='account-item-cell'>
+                  <img src={getImageSrc(item.image)} alt={item.name} />
+                  {item.product?._id ? (
+                    <Link to={`/product/${item.product._id}`}>{getVariantLabel(item, item)}</Link>
+                  ) : (
+                    getVariantLabel(item, item)
+                  )}
+                </div>
+              </td>
+              <td>{formatMoney(item.price)}</td>
+              <td>{item.quantity}</td>
+              <td>{formatMoney(item.price * item.quantity)}</td>
+            </tr>
+          ))}
+          {pricing && (
+            <>
+              <tr>
+                <td colSpan="3">Subtotal</td>
+                <td>{formatMoney(pricing.subtotal)}</td>
+              </tr>
+              {pricing.discount > 0 && (
+                <tr>
+                  <td colSpan="3">Discount{order.coupon?.code ? ` (${order.coupon.code})` : ''}</td>
+                  <td>-{formatMoney(pricing.discount)}</td>
+                </tr>
+              )}
+              <tr>
+                <td colSpan="3">Shipping</td>
+                <td>{pricing.shipping > 0 ? formatMoney(pricing.shipping) : 'Free'}</td>
+              </tr>
+              <tr>
+                <td colSpan="3">{pricing.taxIncluded ? 'Includes tax' : 'Tax'} ({+((pricing.taxRate || 0) * 100).toFixed(2)}%)</td>
+                <td>{formatMoney(pricing.tax)}</td>
+              </tr>
+            </>
+          )}
+          <tr>
+            <td colSpan="3"><strong>Total</strong></td>
+            <td><strong>{formatMoney(order.totalAmount)}</strong></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <h3>Timeline</h3>
+      <ul className='account-timeline'>
+        {(order.statusHistory || []).map((entry) => (
+          <li key={entry._id}>
+            <strong>{TIMELINE_LABELS[entry.field]?.[entry.to] || entry.to}</strong>
+            <div className='account-muted'>{formatDate(entry.changedAt)}</div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default AccountOrderDetail
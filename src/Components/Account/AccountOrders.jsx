@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { orderAPI } from '../../services/api'
+import { getImageSrc } from '../../utils/imageHelper'
+import { getOrderReference, formatDate, formatMoney } from '../../utils/orderHelper'
+
+const PAGE_SIZE = 10;
+
+// Thumbnails shown per order before "+N"
+const MAX_THUMBNAILS = 4;
+
+// The customer's orders, newest first (page number lives in the URL so "back" keeps it)
+const AccountOrders = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = Math.max(parseInt(searchParams.get('page')) || 1, 1);
+  const [orders, setOrders] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    orderAPI.getAll({ page, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setOrders(data.orders || []);
+        setTotalPages(Math.max(data.totalPages || 1, 1));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load your orders');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [page]);
+
+  const goToPage = (nextPage) => setSearchParams(nextPage > 1 ? { page: nextPage } : {});
+
+  return (
+    <div className='account-section'>
+      <h1>Orders</h1>
+      {error && <p className='account-error'>{error}</p>}
+      {loading ? (
+        <p className='account-muted'>Loading...</p>
+      ) : orders.length === 0 ? (
+        <p className='account-muted'>
+          {page > 1 ? 'No more orders.' : <>You haven't placed any orders yet. <Link to='/'>Start shopping</Link></>}
+        </p>
+      ) : (
+        <ul className='account-orders'>
+          {orders.map((order) => {
+            const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+            return (
+              <li key={order._id} className='account-order'>
+                <div>
+                  <div className='account-order-title'>
+                    Order {getOrderReference(order)}
+                    <span className={`account-status account-status-${order.orderStatus}`}>{order.orderStatus}</span>
+                  </div>
+                  <p className='account-muted'>
+                    {formatDate(order.createdAt)} · {itemCount} item{itemCount === 1 ? '' : 's'} · {formatMoney(order.totalAmount)}
+                  </p>
+                </div>
+                <div className='account-order-images'>
+                  {order.items.slice(0, MAX_THUMBNAILS).map((item) => (
+                    <img key={item._id} src={getImageSrc(item.image)} alt={item.name} />
+                  ))}
+                  {order.items.length > MAX_THUMBNAILS && (
+                    <span className='account-muted'>+{order.items.length - MAX_THUMBNAILS}</span>
+                  )}
+                </div>
+                <Link to={`/account/orders/${order._id}`}>View order</Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {totalPages > 1 && (
+        <div className='account-pagination'>
+          <button type='button' disabled={page <= 1} onClick={() => goToPage(page - 1)}>Previous</button>
+          <span>Page {page} of {totalPages}</span>
+          <button type='button' disabled={page >= totalPages} onClick={() => goToPage(page + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AccountOrders
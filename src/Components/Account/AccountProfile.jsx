@@ -0,0 +1,90 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { authAPI } from '../../services/api'
+import { ShopContext } from '../../Context/ShopContext'
+
+// Name and phone number (email changes aren't supported)
+const AccountProfile = () => {
+  const { updateUser } = useContext(ShopContext);
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({ name: '', phone: '' });
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    authAPI.getCurrentUser()
+      .then((data) => {
+        if (cancelled) return;
+        setProfile(data);
+        setForm({ name: data.name || '', phone: data.phone || '' });
+      })
+      .catch((err) => { if (!cancelled) setError(err.message || 'Failed to load your profile'); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleChange = (e) => {
+    setSaved(false);
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const name = form.name.trim();
+    if (!name) {
+      setError('Please enter your name');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      const updated = await authAPI.updateProfile({ name, phone: form.phone.trim() });
+      setProfile(updated);
+      setForm({ name: updated.name, phone: updated.phone || '' });
+      // The navbar greets the user by name
+      updateUser({ name: updated.name });
+      setSaved(true);
+    } catch (err) {
+      setError(err.message || 'Failed to save your profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className='account-section'>
+      <h1>Profile</h1>
+      {error && <p className='account-error'>{error}</p>}
+      {saved && <p className='account-success'>Your profile has been saved.</p>}
+      {!profile ? (
+        !error && <p className='account-muted'>Loading...</p>
+      ) : (
+        <form className='account-form' onSubmit={handleSubmit} noValidate>
+          <label>
+            Email
+            <input type='email' value={profile.email} disabled />
+            <span className='account-muted'>
+              {profile.emailVerified ? 'Confirmed' : 'Not confirmed yet - check your inbox for the confirmation link'}
+            </span>
+          </label>
+          <label>
+            Name
+            <input type='text' name='name' autoComplete='name' value={form.name} onChange={handleChange} />
+          </label>
+          <label>
+            Phone (optional)
+            <input type='tel' name='phone' autoComplete='tel' value={form.phone} onChange={handleChange} />
+          </label>
+          <div className='account-actions'>
+            <button type='submit' className='account-primary' disabled={saving}>
+              {saving ? 'Saving...' : 'Save changes'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default AccountProfile
@@ -0,0 +1,83 @@
+import React from 'react'
+import "./AddressForm.css"
+import { COUNTRIES, getAddressFormat } from '../../utils/addressValidation'
+
+// Address fields that adapt to the chosen country (state list, postal code label)
+// Controlled: the parent keeps the values and the errors from validateAddress()
+const AddressForm = ({ address, onChange, errors = {}, showLabel = false }) => {
+  const format = getAddressFormat(address.country);
+
+  const setField = (field, value) => onChange({ ...address, [field]: value });
+
+  // A state from another country's list makes no sense after switching country
+  const setCountry = (country) => onChange({ ...address, country, state: '' });
+
+  const fieldError = (field) => errors[field] && <span className='addressform-error'>{errors[field]}</span>;
+
+  return (
+    <div className='addressform'>
+      {showLabel && (
+        <label>
+          Label (optional)
+          <input type='text' placeholder='Home, Work...' value={address.label} onChange={(e) => setField('label', e.target.value)} />
+        </label>
+      )}
+      <label>
+        Full name
+        <input type='text' autoComplete='name' value={address.fullName} onChange={(e) => setField('fullName', e.target.value)} />
+      </label>
+      <label>
+        Country
+        <select autoComplete='country' value={address.country} onChange={(e) => setCountry(e.target.value)}>
+          {COUNTRIES.map((country) => (
+            <option key={country.code} value={country.code}>{country.name}</option>
+          ))}
+        </select>
+        {fieldError('country')}
+      </label>
+      <label>
+        Street address
+        <input type='text' autoComplete='street-address' value={address.street} onChange={(e) => setField('street', e.target.value)} />
+        {fieldError('street')}
+      </label>
+      <div className='addressform-row'>
+        <label>
+          City
+          <input type='text' autoComplete='address-level2' value={address.city} onChange={(e) => setField('city', e.target.value)} />
+          {fieldError('city')}
+        </label>
+        <label>
+          {format.state.label}{format.state.required ? '' : ' (optional)'}
+          {format.state.options ? (
+            <select autoComplete='address-level1' value={address.state} onChange={(e) => setField('state', e.target.value)}>
+              <option value=''>Choose...</option>
+              {format.state.options.map(([code, name]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          ) : (
+            <input type='text' autoComplete='address-level1' value={address.state} onChange={(e) => setField('state', e.target.value)} />
+          )}
+          {fieldError('state')}
+        </label>
+        <label>
+          {format.postalCode.label}{format.postalCode.required ? '' : ' (optional)'}
+          <input
+            type='text'
+            autoComplete='postal-code'
+            placeholder={format.postalCode.placeholder}
+            value={address.zipCode}
+            onChange={(e) => setField('zipCode', e.target.value)}
+          />
+          {fieldError('zipCode')}
+        </label>
+      </div>
+      <label>
+        Phone (optional)
+        <input type='tel' autoComplete='tel' value={address.phone} onChange={(e) => setField('phone', e.target.value)} />
+      </label>
+    </div>
+  )
+}
+
+export default AddressForm
@@ -0,0 +1,229 @@
+import React, { useContext, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { adminAPI } from '../../services/api'
+import { ShopContext } from '../../Context/ShopContext'
+import { getImageSrc } from '../../utils/imageHelper'
+import { flattenCategories, getCategoryUrl } from '../../utils/categoryHelper'
+
+const EMPTY_CATEGORY = { name: '', slug: '', parent: '', banner: '', sortOrder: '0' };
+
+// Same rule as the Category schema (server/models/Category.js)
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const validateCategory = (category) => {
+  const errors = {};
+  if (!category.name.trim()) {
+    errors.name = 'Name is required';
+  }
+  if (category.slug.trim() && !SLUG_PATTERN.test(category.slug.trim())) {
+    errors.slug = 'Use lowercase letters, numbers and dashes only (e.g. mens-shirts)';
+  }
+  if (Number.isNaN(Number(category.sortOrder))) {
+    errors.sortOrder = 'Sort order must be a number';
+  }
+  return errors;
+};
+
+// Category tree management - the navbar, category pages and product forms all read from it
+const AdminCategories = () => {
+  const { categories, fetchCategories } = useContext(ShopContext);
+  // null = no form open, otherwise the category being edited ({} for a new one)
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_CATEGORY);
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  const rows = flattenCategories(categories);
+
+  const openForm = (category = {}) => {
+    setEditing(category);
+    setErrors({});
+    setError('');
+    setForm(category._id
+      ? {
+        name: category.name,
+        slug: category.slug,
+        parent: category.parent || '',
+        banner: category.banner || '',
+        sortOrder: String(category.sortOrder ?? 0),
+      }
+      : EMPTY_CATEGORY);
+  };
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  // A category can't be moved below itself or its own subcategories
+  const blockedParents = new Set(
+    editing?._id ? flattenCategories([editing]).map(({ category }) => category._id) : []
+  );
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setUploading(true);
+      const { url } = await adminAPI.uploadProductImage(file);
+      setField('banner', url);
+    } catch (err) {
+      setError(err.message || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const validationErrors = validateCategory(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      slug: form.slug.trim(),
+      parent: form.parent || null,
+      banner: form.banner.trim(),
+      sortOrder: Number(form.sortOrder),
+    };
+
+    try {
+      setSaving(true);
+      if (editing._id) {
+        await adminAPI.updateCategory(editing._id, payload);
+      } else {
+        await adminAPI.createCategory(payload);
+      }
+      await fetchCategories();
+      setEditing(null);
+    } catch (err) {
+      setError(err.message || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) return;
+    try {
+      await adminAPI.deleteCategory(category._id);
+      await fetchCategories();
+    } catch (err) {
+      alert(err.message || 'Failed to delete category');
+    }
+  };
+
+  const fieldError = (field) => errors[field] && <span className='admin-field-error'>{errors[field]}</span>;
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>Categories <span>({rows.length})</span></h1>
+        <button type='button' className='admin-button' onClick={() => openForm()}>Add Category</button>
+      </div>
+
+      {editing && (
+        <form className='admin-form admin-card' onSubmit={handleSubmit} noValidate>
+          <h3>{editing._id ? `Edit ${editing.name}` : 'New Category'}</h3>
+          {error && <div className='admin-error'>{error}</div>}
+          <div className='admin-form-row'>
+            <label>
+              Name
+              <input type='text' value={form.name} onChange={(e) => setField('name', e.target.value)} />
+              {fieldError('name')}
+            </label>
+            <label>
+              Slug (used in the URL - leave empty to use the name)
+              <input type='text' value={form.slug} onChange={(e) => setField('slug', e.target.value.toLowerCase())} />
+              {fieldError('slug')}
+              {editing._id && form.slug !== editing.slug && (
+                <span className='admin-muted'>Products, coupons and collections using this category are moved to the new slug; old links stop working</span>
+              )}
+            </label>
+          </div>
+          <div className='admin-form-row'>
+            <label>
+              Parent
+              <select value={form.parent} onChange={(e) => setField('parent', e.target.value)}>
+                <option value=''>None (shown in the navbar)</option>
+                {rows
+                  .filter(({ category }) => !blockedParents.has(category._id))
+                  .map(({ category, depth }) => (
+                    <option key={category._id} value={category._id}>
+                      {'\u00a0\u00a0'.repeat(depth)}{category.name}
+                    </option>
+                  ))}
+              </select>
+            </label>
+            <label>
+              Sort order (lower first)
+              <input type='number' value={form.sortOrder} onChange={(e) => setField('sortOrder', e.target.value)} />
+              {fieldError('sortOrder')}
+            </label>
+          </div>
+          <div className='admin-variant-row'>
+            <input
+              type='text'
+              className='admin-image-url'
+              placeholder='Banner image URL (optional)'
+              value={form.banner}
+              onChange={(e) => setField('banner', e.target.value)}
+            />
+            <label className='admin-upload'>
+              {uploading ? 'Uploading...' : 'Upload banner'}
+              <input type='file' accept='image/jpeg,image/png,image/webp,image/gif,image/avif' onChange={handleUpload} disabled={uploading} />
+            </label>
+          </div>
+          {form.banner && <img className='admin-banner-preview' src={getImageSrc(form.banner)} alt='' />}
+          <div className='admin-actions'>
+            <button type='submit' className='admin-button' disabled={saving || uploading}>
+              {saving ? 'Saving...' : editing._id ? 'Save Changes' : 'Create Category'}
+            </button>
+            <button type='button' onClick={() => setEditing(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      <table className='admin-table'>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Slug</th>
+            <th>Banner</th>
+            <th>Sort order</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 ? (
+            <tr><td colSpan="5">No categories yet</td></tr>
+          ) : (
+            rows.map(({ category, depth }) => (
+              <tr key={category._id}>
+                <td style={{ paddingLeft: `${10 + depth * 25}px` }}>
+                  {depth > 0 && '↳ '}<Link to={getCategoryUrl(category)}>{category.name}</Link>
+                </td>
+                <td>{category.slug}</td>
+                <td>{category.banner ? <img src={getImageSrc(category.banner)} alt='' height="40px" /> : <span className='admin-muted'>None</span>}</td>
+                <td>{category.sortOrder}</td>
+                <td>
+                  <div className='admin-actions'>
+                    <button type='button' onClick={() => openForm(category)}>Edit</button>
+                    <button type='button' className='admin-danger' onClick={() => handleDelete(category)}>Delete</button>
+                  </div>
+                </td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default AdminCategories
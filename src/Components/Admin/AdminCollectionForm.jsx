@@ -0,0 +1,344 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { adminAPI, collectionAPI, productAPI } from '../../services/api'
+import { ShopContext } from '../../Context/ShopContext'
+import { getImageSrc } from '../../utils/imageHelper'
+import { flattenCategories } from '../../utils/categoryHelper'
+import { COLLECTION_PLACEMENTS, MAX_COLLECTION_LIMIT, MAX_COLLECTION_PRODUCTS, toDateTimeInput } from '../../utils/collectionHelper'
+
+const EMPTY_COLLECTION = {
+  name: '',
+  slug: '',
+  description: '',
+  banner: '',
+  type: 'manual',
+  // Manual collections: picked products ({ _id, name, image }) in display order
+  products: [],
+  rules: { category: '', minDiscount: '', createdWithinDays: '' },
+  placement: '',
+  limit: '8',
+  startsAt: '',
+  endsAt: '',
+  active: true,
+};
+
+// Same rule as the Collection schema (server/models/Collection.js)
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const isBlank = (value) => value === '' || value === null || value === undefined;
+
+// Convert an API collection (and its products, for manual ones) into form values
+const toFormValues = (collection, products) => ({
+  name: collection.name || '',
+  slug: collection.slug || '',
+  description: collection.description || '',
+  banner: collection.banner || '',
+  type: collection.type || 'manual',
+  products: collection.type === 'manual' ? products : [],
+  rules: {
+    category: collection.rules?.category || '',
+    minDiscount: isBlank(collection.rules?.minDiscount) ? '' : String(collection.rules.minDiscount),
+    createdWithinDays: isBlank(collection.rules?.createdWithinDays) ? '' : String(collection.rules.createdWithinDays),
+  },
+  placement: collection.placement || '',
+  limit: String(collection.limit ?? 8),
+  startsAt: toDateTimeInput(collection.startsAt),
+  endsAt: toDateTimeInput(collection.endsAt),
+  active: collection.active !== false,
+});
+
+const validateCollection = (form) => {
+  const errors = {};
+  if (!form.name.trim()) {
+    errors.name = 'Name is required';
+  }
+  if (form.slug.trim() && !SLUG_PATTERN.test(form.slug.trim())) {
+    errors.slug = 'Use lowercase letters, numbers and dashes only (e.g. summer-sale)';
+  }
+  const limit = Number(form.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COLLECTION_LIMIT) {
+    errors.limit = `Show between 1 and ${MAX_COLLECTION_LIMIT} products`;
+  }
+  if (form.type === 'manual' && form.products.length === 0) {
+    errors.products = 'Add at least one product';
+  }
+  if (form.type === 'rule') {
+    const minDiscount = Number(form.rules.minDiscount);
+    if (!isBlank(form.rules.minDiscount) && (Number.isNaN(minDiscount) || minDiscount < 0 || minDiscount > 100)) {
+      errors.minDiscount = 'Discount must be between 0 and 100';
+    }
+    const days = Number(form.rules.createdWithinDays);
+    if (!isBlank(form.rules.createdWithinDays) && (!Number.isInteger(days) || days < 1)) {
+      errors.createdWithinDays = 'Days must be a whole number of 1 or more';
+    }
+  }
+  if (form.startsAt && form.endsAt && new Date(form.endsAt) <= new Date(form.startsAt)) {
+    errors.endsAt = 'The end must be after the start';
+  }
+  return errors;
+};
+
+// Form values → API payload (empty rule fields and dates become null)
+const toCollectionPayload = (form) => ({
+  name: form.name.trim(),
+  slug: form.slug.trim(),
+  description: form.description.trim(),
+  banner: form.banner.trim(),
+  type: form.type,
+  products: form.type === 'manual' ? form.products.map((product) => product._id) : [],
+  rules: {
+    category: form.rules.category || null,
+    minDiscount: isBlank(form.rules.minDiscount) ? null : Number(form.rules.minDiscount),
+    createdWithinDays: isBlank(form.rules.createdWithinDays) ? null : Number(form.rules.createdWithinDays),
+  },
+  placement: form.placement || null,
+  limit: Number(form.limit),
+  startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+  endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+  active: form.active,
+});
+
+const AdminCollectionForm = () => {
+  const { collectionSlug } = useParams();
+  const isEdit = Boolean(collectionSlug);
+  const navigate = useNavigate();
+  const { categories } = useContext(ShopContext);
+  const [collectionId, setCollectionId] = useState(null);
+  const [form, setForm] = useState(EMPTY_COLLECTION);
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState('');
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  useEffect(() => {
+    if (!collectionSlug) return;
+    // Admins can load collections that aren't live; a manual collection has at most 100 products
+    collectionAPI.getBySlug(collectionSlug, { limit: MAX_COLLECTION_PRODUCTS })
+      .then((data) => {
+        setCollectionId(data.collection._id);
+        setForm(toFormValues(data.collection, data.products));
+      })
+      .catch((err) => setServerError(err.message || 'Failed to load collection'))
+      .finally(() => setLoading(false));
+  }, [collectionSlug]);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setRule = (field, value) => setForm((prev) => ({ ...prev, rules: { ...prev.rules, [field]: value } }));
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!search.trim()) return;
+    try {
+      setSearching(true);
+      const data = await productAPI.search(search.trim(), { limit: 10 });
+      setResults(data.products || []);
+    } catch (err) {
+      setServerError(err.message || 'Failed to search products');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const addProduct = (product) =>
+    setForm((prev) => (
+      prev.products.some((item) => item._id === product._id) || prev.products.length >= MAX_COLLECTION_PRODUCTS
+        ? prev
+        : { ...prev, products: [...prev.products, product] }
+    ));
+
+  const removeProduct = (index) =>
+    setForm((prev) => ({ ...prev, products: prev.products.filter((_, i) => i !== index) }));
+
+  // Swap a product with its neighbour (direction -1 = up, 1 = down)
+  const moveProduct = (index, direction) =>
+    setForm((prev) => {
+      const products = [...prev.products];
+      [products[index], products[index + direction]] = [products[index + direction], products[index]];
+      return { ...prev, products };
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setServerError('');
+
+    const validationErrors = validateCollection(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const payload = toCollectionPayload(form);
+      if (isEdit) {
+        await adminAPI.updateCollection(collectionId, payload);
+      } else {
+        await adminAPI.createCollection(payload);
+      }
+      navigate('/admin/collections');
+    } catch (err) {
+      setServerError(err.message || 'Failed to save collection');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className='admin-section'>Loading collection...</div>;
+  }
+
+  const fieldError = (field) => errors[field] && <span className='admin-field-error'>{errors[field]}</span>;
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>{isEdit ? 'Edit Collection' : 'New Collection'}</h1>
+        <Link to="/admin/collections">Back to collections</Link>
+      </div>
+
+      {serverError && <div className='admin-error'>{serverError}</div>}
+
+      <form className='admin-form' onSubmit={handleSubmit} noValidate>
+        <div className='admin-form-row'>
+          <label>
+            Name
+            <input type='text' value={form.name} onChange={(e) => setField('name', e.target.value)} />
+            {fieldError('name')}
+          </label>
+          <label>
+            Slug (used in the URL - leave empty to use the name)
+            <input type='text' value={form.slug} onChange={(e) => setField('slug', e.target.value.toLowerCase())} />
+            {fieldError('slug')}
+          </label>
+        </div>
+        <label>
+          Description
+          <textarea rows="2" value={form.description} onChange={(e) => setField('description', e.target.value)} />
+        </label>
+        <label>
+          Banner image URL (optional, shown on the collection page)
+          <input type='text' value={form.banner} onChange={(e) => setField('banner', e.target.value)} />
+        </label>
+
+        <div className='admin-form-row'>
+          <label>
+            Homepage placement
+            <select value={form.placement} onChange={(e) => setField('placement', e.target.value)}>
+              <option value=''>None (only at its own URL)</option>
+              {COLLECTION_PLACEMENTS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Products shown on the homepage
+            <input type='number' min="1" max={MAX_COLLECTION_LIMIT} step="1" value={form.limit} onChange={(e) => setField('limit', e.target.value)} />
+            {fieldError('limit')}
+          </label>
+        </div>
+
+        <div className='admin-form-row'>
+          <label>
+            Starts (empty = now)
+            <input type='datetime-local' value={form.startsAt} onChange={(e) => setField('startsAt', e.target.value)} />
+          </label>
+          <label>
+            Ends (empty = no end)
+            <input type='datetime-local' value={form.endsAt} onChange={(e) => setField('endsAt', e.target.value)} />
+            {fieldError('endsAt')}
+          </label>
+        </div>
+        <label className='admin-checkbox'>
+          <input type='checkbox' checked={form.active} onChange={(e) => setField('active', e.target.checked)} />
+          Active (switch off to hide the collection without deleting it)
+        </label>
+
+        <label>
+          Products
+          <select value={form.type} onChange={(e) => setField('type', e.target.value)}>
+            <option value='manual'>Picked by hand</option>
+            <option value='rule'>Every product matching rules</option>
+          </select>
+        </label>
+
+        {form.type === 'manual' ? (
+          <div className='admin-variants'>
+            <h3>Products ({form.products.length})</h3>
+            {form.products.map((product, index) => (
+              <div className='admin-image-row' key={product._id}>
+                <img src={getImageSrc(product.image)} alt={product.name} />
+                <span className='admin-collection-product'>{product.name}</span>
+                <button type='button' onClick={() => moveProduct(index, -1)} disabled={index === 0}>↑</button>
+                <button type='button' onClick={() => moveProduct(index, 1)} disabled={index === form.products.length - 1}>↓</button>
+                <button type='button' onClick={() => removeProduct(index)}>Remove</button>
+              </div>
+            ))}
+            {fieldError('products')}
+            <div className='admin-variant-row'>
+              <input
+                type='text'
+                className='admin-image-url'
+                placeholder='Search products to add'
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSearch(e)}
+              />
+              <button type='button' onClick={handleSearch} disabled={searching}>{searching ? 'Searching...' : 'Search'}</button>
+            </div>
+            {results.map((product) => (
+              <div className='admin-image-row' key={product._id}>
+                <img src={getImageSrc(product.image)} alt={product.name} />
+                <span className='admin-collection-product'>{product.name} <span className='admin-muted'>${product.new_price}</span></span>
+                <button
+                  type='button'
+                  onClick={() => addProduct(product)}
+                  disabled={form.products.some((item) => item._id === product._id)}
+                >
+                  Add
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className='admin-variants'>
+            <h3>Rules</h3>
+            <p className='admin-muted'>Products must match every rule that is filled in; the newest are shown first.</p>
+            <div className='admin-form-row'>
+              <label>
+                Category
+                <select value={form.rules.category} onChange={(e) => setRule('category', e.target.value)}>
+                  <option value=''>Any category</option>
+                  {flattenCategories(categories).map(({ category, depth }) => (
+                    <option key={category._id} value={category.slug}>
+                      {'\u00a0\u00a0'.repeat(depth)}{category.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Discount of at least (%)
+                <input type='number' min="0" max="100" value={form.rules.minDiscount} onChange={(e) => setRule('minDiscount', e.target.value)} />
+                {fieldError('minDiscount')}
+              </label>
+              <label>
+                Added in the last (days)
+                <input type='number' min="1" step="1" value={form.rules.createdWithinDays} onChange={(e) => setRule('createdWithinDays', e.target.value)} />
+                {fieldError('createdWithinDays')}
+              </label>
+            </div>
+          </div>
+        )}
+
+        <button type='submit' className='admin-button' disabled={saving}>
+          {saving ? 'Saving...' : isEdit ? 'Save Changes' : 'Create Collection'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default AdminCollectionForm
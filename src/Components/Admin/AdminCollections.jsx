@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { adminAPI } from '../../services/api'
+import { formatDate } from '../../utils/orderHelper'
+import { getCollectionStatus, getPlacementLabel } from '../../utils/collectionHelper'
+
+// Merchandising collections - the homepage sections show the live collection placed in them
+const AdminCollections = () => {
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    adminAPI.getCollections()
+      .then((data) => {
+        if (!cancelled) setCollections(data.collections || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load collections');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  const handleDelete = async (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.name}"?`)) return;
+    try {
+      await adminAPI.deleteCollection(collection._id);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      alert(err.message || 'Failed to delete collection');
+    }
+  };
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>Collections <span>({collections.length})</span></h1>
+        <Link to="/admin/collections/new" className='admin-button'>+ New Collection</Link>
+      </div>
+
+      <p className='admin-muted'>
+        When several live collections share a placement, the one that started last is shown.
+      </p>
+
+      {error && <div className='admin-error'>{error}</div>}
+
+      <table className='admin-table'>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Type</th>
+            <th>Placement</th>
+            <th>Schedule</th>
+            <th>Status</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr><td colSpan="6">Loading collections...</td></tr>
+          ) : collections.length === 0 ? (
+            <tr><td colSpan="6">No collections yet</td></tr>
+          ) : (
+            collections.map((collection) => {
+              const status = getCollectionStatus(collection);
+              return (
+                <tr key={collection._id}>
+                  <td>
+                    <Link to={`/collections/${collection.slug}`}>{collection.name}</Link>
+                    <div className='admin-muted'>{collection.slug}</div>
+                  </td>
+                  <td>{collection.type === 'manual' ? `Manual (${collection.products.length} products)` : 'Rule'}</td>
+                  <td>{getPlacementLabel(collection.placement)}</td>
+                  <td>
+                    {collection.startsAt || collection.endsAt
+                      ? <>{formatDate(collection.startsAt) || 'Now'} - {formatDate(collection.endsAt) || 'no end'}</>
+                      : <span className='admin-muted'>Always</span>}
+                  </td>
+                  <td><span className={`admin-status admin-status-${status}`}>{status}</span></td>
+                  <td className='admin-actions'>
+                    <Link to={`/admin/collections/${collection.slug}/edit`}>Edit</Link>
+                    <button type='button' className='admin-danger' onClick={() => handleDelete(collection)}>Delete</button>
+                  </td>
+                </tr>
+              );
+            })
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default AdminCollections
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react'
+import { adminAPI, saveFile } from '../../services/api'
+
+const STATUSES = [
+  { key: 'confirmed', label: 'Confirmed' },
+  { key: 'pending', label: 'Awaiting confirmation' },
+  { key: 'unsubscribed', label: 'Unsubscribed' },
+];
+
+const AdminNewsletter = () => {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    adminAPI.getNewsletterStats()
+      .then((data) => {
+        if (!cancelled) setStats(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load subscribers');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError('');
+      saveFile(await adminAPI.exportSubscribers());
+    } catch (err) {
+      setError(err.message || 'Failed to export subscribers');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>Newsletter</h1>
+        <button type='button' className='admin-button' onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Exporting...' : 'Export confirmed (CSV)'}
+        </button>
+      </div>
+
+      {error && <div className='admin-error'>{error}</div>}
+
+      <div className='admin-detail-grid'>
+        {STATUSES.map(({ key, label }) => (
+          <div key={key} className='admin-card'>
+            <h3>{label}</h3>
+            <p>{stats ? stats[key] : '...'}</p>
+          </div>
+        ))}
+      </div>
+      <p className='admin-muted'>
+        The export includes a personal unsubscribe link for every subscriber - add it to each newsletter you send.
+      </p>
+    </div>
+  )
+}
+
+export default AdminNewsletter
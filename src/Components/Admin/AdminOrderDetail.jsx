@@ -0,0 +1,227 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { adminAPI, orderAPI, saveFile } from '../../services/api'
+import { getImageSrc } from '../../utils/imageHelper'
+import { getVariantLabel } from '../../utils/variantHelper'
+import { getCountryName, formatAddress } from '../../utils/addressValidation'
+import { ORDER_STATUSES, PAYMENT_STATUSES, getOrderReference, formatDate, formatMoney } from '../../utils/orderHelper'
+
+const AdminOrderDetail = () => {
+  const { orderId } = useParams();
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState('');
+  const [orderStatus, setOrderStatus] = useState('');
+  const [paymentStatus, setPaymentStatus] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [refunding, setRefunding] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const loadOrder = useCallback(() => {
+    setError('');
+    return adminAPI.getOrder(orderId)
+      .then(setOrder)
+      .catch((err) => setError(err.message || 'Failed to load order'));
+  }, [orderId]);
+
+  useEffect(() => {
+    loadOrder();
+  }, [loadOrder]);
+
+  const handleStatusChange = async (e) => {
+    e.preventDefault();
+    if (!orderStatus && !paymentStatus) return;
+
+    try {
+      setSaving(true);
+      await adminAPI.updateOrderStatus(orderId, {
+        ...(orderStatus && { orderStatus }),
+        ...(paymentStatus && { paymentStatus }),
+        note,
+      });
+      setOrderStatus('');
+      setPaymentStatus('');
+      setNote('');
+      await loadOrder();
+    } catch (err) {
+      alert(err.message || 'Failed to update status');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Refund through the payment provider (card payments only)
+  const handleRefund = async () => {
+    if (!window.confirm(`Refund ${formatMoney(order.totalAmount)} to the customer's card?`)) return;
+
+    try {
+      setRefunding(true);
+      await adminAPI.refundOrder(orderId, note || undefined);
+      setNote('');
+      await loadOrder();
+    } catch (err) {
+      alert(err.message || 'Failed to refund payment');
+    } finally {
+      setRefunding(false);
+    }
+  };
+
+  const handleDownloadInvoice = async () => {
+    try {
+      setDownloading(true);
+      saveFile(await orderAPI.downloadInvoice(orderId));
+    } catch (err) {
+      alert(err.message || 'Failed to download invoice');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  if (error) {
+    return <div className='admin-section'><div className='admin-error'>{error}</div></div>;
+  }
+  if (!order) {
+    return <div className='admin-section'>Loading order...</div>;
+  }
+
+  const { shippingAddress: address } = order;
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>Order {getOrderReference(order)}</h1>
+        <div className='admin-header-actions'>
+          <button type='button' className='admin-button' onClick={handleDownloadInvoice} disabled={downloading}>
+            {downloading ? 'Preparing...' : 'Download invoice'}
+          </button>
+          <Link to="/admin/orders">Back to orders</Link>
+        </div>
+      </div>
+
+      <div className='admin-detail-grid'>
+        <div className='admin-card'>
+          <h3>Customer</h3>
+          {order.user ? (
+            <>
+              <p>{order.user.name}</p>
+              <p>{order.user.email}</p>
+              {order.user.phone && <p>{order.user.phone}</p>}
+            </>
+          ) : (
+            <p>Deleted user</p>
+          )}
+        </div>
+        <div className='admin-card'>
+          <h3>Shipping address</h3>
+          {address.fullName && <p>{address.fullName}</p>}
+          <p>{address.street}</p>
+          <p>{address.city}, {address.state} {address.zipCode}</p>
+          <p>{getCountryName(address.country)}</p>
+          {address.phone && <p>{address.phone}</p>}
+          <p className='admin-muted'>
+            Billing: {order.billingAddress ? formatAddress(order.billingAddress) : 'same as shipping'}
+          </p>
+        </div>
+        <div className='admin-card'>
+          <h3>Status</h3>
+          <p>Placed: {formatDate(order.createdAt)}</p>
+          <p>Order: <span className={`admin-status admin-status-${order.orderStatus}`}>{order.orderStatus}</span></p>
+          <p>Payment: {order.paymentStatus} ({order.paymentMethod})</p>
+          {order.payment?.intentId && (
+            <>
+              <p className='admin-muted'>{order.payment.provider}: {order.payment.intentId}</p>
+              {order.payment.lastError && <p className='admin-muted'>Last error: {order.payment.lastError}</p>}
+              {order.payment.amountRefunded > 0 && <p>Refunded: {formatMoney(order.payment.amountRefunded)}</p>}
+            </>
+          )}
+          {order.paymentStatus === 'completed' && order.payment?.intentId && (
+            <button className='admin-button' onClick={handleRefund} disabled={refunding}>
+              {refunding ? 'Refunding...' : 'Refund payment'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <table className='admin-table'>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>SKU</th>
+            <th>Price</th>
+            <th>Qty</th>
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {order.items.map((item) => (
+            <tr key={item._id}>
+              <td className='admin-item-cell'>
+                <img src={getImageSrc(item.image)} alt={item.name} height="40px" />
+                {getVariantLabel(item, item)}
+              </td>
+              <td>{item.sku || '-'}</td>
+              <td>{formatMoney(item.price)}</td>
+              <td>{item.quantity}</td>
+              <td>{formatMoney(item.price * item.quantity)}</td>
+            </tr>
+          ))}
+          {order.pricing && (
+            <>
+              <tr>
+                <td colSpan="4">Subtotal</td>
+                <td>{formatMoney(order.pricing.subtotal)}</td>
+              </tr>
+              {order.pricing.discount > 0 && (
+                <tr>
+                  <td colSpan="4">Discount{order.coupon?.code ? ` (${order.coupon.code})` : ''}</td>
+                  <td>-{formatMoney(order.pricing.discount)}</td>
+                </tr>
+              )}
+              <tr>
+                <td colSpan="4">Shipping{order.pricing.shippingZone ? ` (${order.pricing.shippingZone})` : ''}</td>
+                <td>{formatMoney(order.pricing.shipping)}</td>
+              </tr>
+              <tr>
+                <td colSpan="4">{order.pricing.taxIncluded ? 'Includes tax' : 'Tax'} ({+(order.pricing.taxRate * 100).toFixed(2)}%)</td>
+                <td>{formatMoney(order.pricing.tax)}</td>
+              </tr>
+            </>
+          )}
+          <tr>
+            <td colSpan="4"><strong>Total</strong></td>
+            <td><strong>{formatMoney(order.totalAmount)}</strong></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <form className='admin-toolbar' onSubmit={handleStatusChange}>
+        <select value={orderStatus} onChange={(e) => setOrderStatus(e.target.value)}>
+          <option value=''>Order status...</option>
+          {ORDER_STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <select value={paymentStatus} onChange={(e) => setPaymentStatus(e.target.value)}>
+          <option value=''>Payment status...</option>
+          {PAYMENT_STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <input type='text' placeholder='Note (optional)' value={note} onChange={(e) => setNote(e.target.value)} />
+        <button type='submit' disabled={saving || (!orderStatus && !paymentStatus)}>
+          {saving ? 'Saving...' : 'Update status'}
+        </button>
+      </form>
+
+      <h3>Status history</h3>
+      <ul className='admin-history'>
+        {(order.statusHistory || []).map((entry) => (
+          <li key={entry._id}>
+            <span>{formatDate(entry.changedAt)}</span>
+            {' '}{entry.field === 'paymentStatus' ? 'Payment' : 'Order'}: {entry.from || 'new'} → <strong>{entry.to}</strong>
+            {' '}by {entry.actor?.name || entry.role}
+            {entry.note && <em> — {entry.note}</em>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default AdminOrderDetail
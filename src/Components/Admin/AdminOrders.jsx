@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { adminAPI } from '../../services/api'
+import { ORDER_STATUSES, PAYMENT_STATUSES, getOrderReference, formatDate, formatMoney } from '../../utils/orderHelper'
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  status: '',
+  paymentStatus: '',
+  from: '',
+  to: '',
+  email: '',
+  minTotal: '',
+  sort: '-createdAt',
+};
+
+const AdminOrders = () => {
+  const [filterInput, setFilterInput] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [orders, setOrders] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [bulkStatus, setBulkStatus] = useState('processing');
+  const [bulkNote, setBulkNote] = useState('');
+  const [bulkResult, setBulkResult] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    adminAPI.getOrders({ ...filters, page, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setOrders(data.orders || []);
+        setTotal(data.total || 0);
+        setTotalPages(Math.max(data.totalPages || 1, 1));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load orders');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, page, reloadKey]);
+
+  const setFilter = (field, value) => setFilterInput((prev) => ({ ...prev, [field]: value }));
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSelected([]);
+    setFilters(filterInput);
+  };
+
+  const resetFilters = () => {
+    setFilterInput(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setSelected([]);
+  };
+
+  const toggleSelected = (id) =>
+    setSelected((prev) => (prev.includes(id) ? prev.filter((orderId) => orderId !== id) : [...prev, id]));
+
+  const allSelected = orders.length > 0 && orders.every((order) => selected.includes(order._id));
+
+  const toggleAll = () => setSelected(allSelected ? [] : orders.map((order) => order._id));
+
+  const handleBulkUpdate = async () => {
+    if (selected.length === 0) return;
+    if (!window.confirm(`Set ${selected.length} order(s) to "${bulkStatus}"?`)) return;
+
+    try {
+      const result = await adminAPI.bulkUpdateOrderStatus({
+        orderIds: selected,
+        orderStatus: bulkStatus,
+        note: bulkNote,
+      });
+      setBulkResult(result);
+      setSelected([]);
+      setBulkNote('');
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      alert(err.message || 'Bulk update failed');
+    }
+  };
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>Orders <span>({total})</span></h1>
+      </div>
+
+      <form className='admin-toolbar admin-filters' onSubmit={applyFilters}>
+        <select value={filterInput.status} onChange={(e) => setFilter('status', e.target.value)}>
+          <option value=''>Any status</option>
+          {ORDER_STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <select value={filterInput.paymentStatus} onChange={(e) => setFilter('paymentStatus', e.target.value)}>
+          <option value=''>Any payment</option>
+          {PAYMENT_STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <label>From <input type='date' value={filterInput.from} onChange={(e) => setFilter('from', e.target.value)} /></label>
+        <label>To <input type='date' value={filterInput.to} onChange={(e) => setFilter('to', e.target.value)} /></label>
+        <input type='text' placeholder='Customer email' value={filterInput.email} onChange={(e) => setFilter('email', e.target.value)} />
+        <input type='number' min="0" placeholder='Min total' value={filterInput.minTotal} onChange={(e) => setFilter('minTotal', e.target.value)} />
+        <select value={filterInput.sort} onChange={(e) => setFilter('sort', e.target.value)}>
+          <option value='-createdAt'>Newest first</option>
+          <option value='createdAt'>Oldest first</option>
+          <option value='-totalAmount'>Total: high to low</option>
+          <option value='totalAmount'>Total: low to high</option>
+        </select>
+        <button type='submit'>Apply</button>
+        <button type='button' onClick={resetFilters}>Reset</button>
+      </form>
+
+      <div className='admin-toolbar'>
+        <span>{selected.length} selected</span>
+        <select value={bulkStatus} onChange={(e) => setBulkStatus(e.target.value)}>
+          {ORDER_STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <input type='text' placeholder='Note (optional)' value={bulkNote} onChange={(e) => setBulkNote(e.target.value)} />
+        <button type='button' disabled={selected.length === 0} onClick={handleBulkUpdate}>Update selected</button>
+      </div>
+
+      {bulkResult && (
+        <div className={bulkResult.failed.length > 0 ? 'admin-error' : 'admin-success'}>
+          Updated {bulkResult.updated.length} order(s).
+          {bulkResult.failed.length > 0 && (
+            <ul>
+              {bulkResult.failed.map((failure) => (
+                <li key={failure.id}>#{failure.id.slice(-8).toUpperCase()}: {failure.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {error && <div className='admin-error'>{error}</div>}
+
+      <table className='admin-table'>
+        <thead>
+          <tr>
+            <th><input type='checkbox' checked={allSelected} onChange={toggleAll} /></th>
+            <th>Order</th>
+            <th>Date</th>
+            <th>Customer</th>
+            <th>Items</th>
+            <th>Total</th>
+            <th>Status</th>
+            <th>Payment</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr><td colSpan="8">Loading orders...</td></tr>
+          ) : orders.length === 0 ? (
+            <tr><td colSpan="8">No orders match these filters</td></tr>
+          ) : (
+            orders.map((order) => (
+              <tr key={order._id}>
+                <td>
+                  <input type='checkbox' checked={selected.includes(order._id)} onChange={() => toggleSelected(order._id)} />
+                </td>
+                <td><Link to={`/admin/orders/${order._id}`}>{getOrderReference(order)}</Link></td>
+                <td>{formatDate(order.createdAt)}</td>
+                <td>{order.user ? `${order.user.name} (${order.user.email})` : 'Deleted user'}</td>
+                <td>{order.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                <td>{formatMoney(order.totalAmount)}</td>
+                <td><span className={`admin-status admin-status-${order.orderStatus}`}>{order.orderStatus}</span></td>
+                <td>{order.paymentStatus}</td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+
+      <div className='admin-pagination'>
+        <button type='button' disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+        <span>Page {page} of {totalPages}</span>
+        <button type='button' disabled={page >= totalPages} onClick={() => setPage(page + 1)}>Next</button>
+      </div>
+    </div>
+  )
+}
+
+export default AdminOrders
@@ -0,0 +1,298 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { adminAPI, productAPI } from '../../services/api'
+import { ShopContext } from '../../Context/ShopContext'
+import { getImageSrc } from '../../utils/imageHelper'
+import { MAX_PRODUCT_IMAGES, validateProduct, toProductPayload } from '../../utils/productValidation'
+import { flattenCategories } from '../../utils/categoryHelper'
+
+const EMPTY_PRODUCT = {
+  name: '',
+  category: '',
+  images: [],
+  new_price: '',
+  old_price: '',
+  description: '',
+  weight: '',
+  stockQuantity: '0',
+  variants: [],
+};
+
+const EMPTY_VARIANT = { sku: '', size: '', color: '', price: '', stockQuantity: '0' };
+
+// width/height/renditions are filled in by the server for uploaded images
+const EMPTY_IMAGE = { url: '', key: '', alt: '', color: '', width: null, height: null, renditions: [] };
+
+// Convert an API product into form values (inputs work with strings)
+const toFormValues = (product) => ({
+  name: product.name || '',
+  category: product.category || '',
+  // Products from before galleries only have `image` - it becomes the first gallery image
+  images: product.images?.length > 0
+    ? product.images.map((image) => ({
+      _id: image._id,
+      url: image.url || '',
+      key: image.key || '',
+      alt: image.alt || '',
+      color: image.color || '',
+      width: image.width ?? null,
+      height: image.height ?? null,
+      renditions: image.renditions || [],
+    }))
+    : product.image ? [{ ...EMPTY_IMAGE, url: product.image }] : [],
+  new_price: String(product.new_price ?? ''),
+  old_price: String(product.old_price ?? ''),
+  description: product.description || '',
+  weight: product.weight === undefined || product.weight === null ? '' : String(product.weight),
+  stockQuantity: String(product.stockQuantity ?? 0),
+  variants: (product.variants || []).map((variant) => ({
+    _id: variant._id,
+    sku: variant.sku || '',
+    size: variant.size || '',
+    color: variant.color || '',
+    price: variant.price === undefined || variant.price === null ? '' : String(variant.price),
+    stockQuantity: String(variant.stockQuantity ?? 0),
+  })),
+});
+
+const AdminProductForm = () => {
+  const { productId } = useParams();
+  const isEdit = Boolean(productId);
+  const navigate = useNavigate();
+  const { fetchProducts, categories } = useContext(ShopContext);
+  const [form, setForm] = useState(EMPTY_PRODUCT);
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState('');
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [imageUrl, setImageUrl] = useState('');
+
+  useEffect(() => {
+    if (!productId) return;
+    productAPI.getById(productId)
+      .then((product) => setForm(toFormValues(product)))
+      .catch((err) => setServerError(err.message || 'Failed to load product'))
+      .finally(() => setLoading(false));
+  }, [productId]);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setVariantField = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      variants: prev.variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)),
+    }));
+
+  const addVariant = () => setForm((prev) => ({ ...prev, variants: [...prev.variants, { ...EMPTY_VARIANT }] }));
+
+  const removeVariant = (index) =>
+    setForm((prev) => ({ ...prev, variants: prev.variants.filter((_, i) => i !== index) }));
+
+  const setImageField = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      images: prev.images.map((image, i) => (i === index ? { ...image, [field]: value } : image)),
+    }));
+
+  const addImages = (images) => setForm((prev) => ({ ...prev, images: [...prev.images, ...images] }));
+
+  const removeImage = (index) =>
+    setForm((prev) => ({ ...prev, images: prev.images.filter((_, i) => i !== index) }));
+
+  // Swap an image with its neighbour (direction -1 = up, 1 = down)
+  const moveImage = (index, direction) =>
+    setForm((prev) => {
+      const images = [...prev.images];
+      [images[index], images[index + direction]] = [images[index + direction], images[index]];
+      return { ...prev, images };
+    });
+
+  // Uploaded files are only attached to the product when the form is saved
+  const handleUpload = async (e) => {
+    const files = [...e.target.files].slice(0, MAX_PRODUCT_IMAGES - form.images.length);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setUploading(true);
+      setServerError('');
+      const uploaded = [];
+      for (const file of files) {
+        const { url, key, width, height, renditions } = await adminAPI.uploadProductImage(file);
+        uploaded.push({ ...EMPTY_IMAGE, url, key, width, height, renditions });
+      }
+      addImages(uploaded);
+    } catch (err) {
+      setServerError(err.message || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleAddImageUrl = () => {
+    if (!imageUrl.trim()) return;
+    addImages([{ ...EMPTY_IMAGE, url: imageUrl.trim() }]);
+    setImageUrl('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setServerError('');
+
+    const validationErrors = validateProduct(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const payload = toProductPayload(form);
+      if (isEdit) {
+        await adminAPI.updateProduct(productId, payload);
+      } else {
+        await adminAPI.createProduct(payload);
+      }
+      // Keep the storefront catalog in sync
+      fetchProducts();
+      navigate('/admin/products');
+    } catch (err) {
+      setServerError(err.message || 'Failed to save product');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className='admin-section'>Loading product...</div>;
+  }
+
+  // Every category, subcategories indented below their parent
+  const categoryOptions = flattenCategories(categories);
+
+  // Colors offered for linking images to variants
+  const colors = [...new Set(form.variants.map((variant) => variant.color.trim()).filter(Boolean))];
+
+  const fieldError = (field) => errors[field] && <span className='admin-field-error'>{errors[field]}</span>;
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>{isEdit ? 'Edit Product' : 'New Product'}</h1>
+        <Link to="/admin/products">Back to products</Link>
+      </div>
+
+      {serverError && <div className='admin-error'>{serverError}</div>}
+
+      <form className='admin-form' onSubmit={handleSubmit} noValidate>
+        <label>
+          Name
+          <input type='text' value={form.name} onChange={(e) => setField('name', e.target.value)} />
+          {fieldError('name')}
+        </label>
+        <label>
+          Category
+          <select value={form.category} onChange={(e) => setField('category', e.target.value)}>
+            <option value=''>Choose a category</option>
+            {categoryOptions.map(({ category, depth }) => (
+              <option key={category._id} value={category.slug}>
+                {'\u00a0\u00a0'.repeat(depth)}{category.name}
+              </option>
+            ))}
+            {/* Keep a category that was deleted or never existed selectable, so it shows up */}
+            {form.category && !categoryOptions.some(({ category }) => category.slug === form.category) && (
+              <option value={form.category}>{form.category} (unknown)</option>
+            )}
+          </select>
+          {fieldError('category')}
+        </label>
+        <div className='admin-form-row'>
+          <label>
+            Price
+            <input type='number' min="0" step="0.01" value={form.new_price} onChange={(e) => setField('new_price', e.target.value)} />
+            {fieldError('new_price')}
+          </label>
+          <label>
+            Old price
+            <input type='number' min="0" step="0.01" value={form.old_price} onChange={(e) => setField('old_price', e.target.value)} />
+            {fieldError('old_price')}
+          </label>
+          <label>
+            Weight (kg)
+            <input type='number' min="0" step="0.01" placeholder='0.5' value={form.weight} onChange={(e) => setField('weight', e.target.value)} />
+            {fieldError('weight')}
+          </label>
+          {form.variants.length === 0 && (
+            <label>
+              Stock
+              <input type='number' min="0" step="1" value={form.stockQuantity} onChange={(e) => setField('stockQuantity', e.target.value)} />
+              {fieldError('stockQuantity')}
+            </label>
+          )}
+        </div>
+        <label>
+          Description
+          <textarea rows="4" value={form.description} onChange={(e) => setField('description', e.target.value)} />
+        </label>
+
+        <div className='admin-variants'>
+          <h3>Images</h3>
+          <p className='admin-muted'>
+            The first image is the main product image. Link an image to a color to show it first when that color is chosen.
+          </p>
+          {form.images.map((image, index) => (
+            <div className='admin-image-row' key={image._id || image.key || `${image.url}-${index}`}>
+              <img src={getImageSrc(image.url)} alt={image.alt} />
+              <input type='text' placeholder='Alt text (describe the photo)' value={image.alt} onChange={(e) => setImageField(index, 'alt', e.target.value)} />
+              <select value={image.color} onChange={(e) => setImageField(index, 'color', e.target.value)}>
+                <option value=''>All colors</option>
+                {colors.map((color) => <option key={color} value={color}>{color}</option>)}
+                {image.color && !colors.includes(image.color) && <option value={image.color}>{image.color}</option>}
+              </select>
+              <button type='button' onClick={() => moveImage(index, -1)} disabled={index === 0}>↑</button>
+              <button type='button' onClick={() => moveImage(index, 1)} disabled={index === form.images.length - 1}>↓</button>
+              <button type='button' onClick={() => removeImage(index)}>Remove</button>
+            </div>
+          ))}
+          {fieldError('images')}
+          {form.images.length < MAX_PRODUCT_IMAGES && (
+            <div className='admin-variant-row'>
+              <label className='admin-upload'>
+                {uploading ? 'Uploading...' : 'Upload images'}
+                <input type='file' accept='image/jpeg,image/png,image/webp,image/gif,image/avif' multiple onChange={handleUpload} disabled={uploading} />
+              </label>
+              <input type='text' className='admin-image-url' placeholder='or a path/URL, e.g. /assets/men1.webp' value={imageUrl} onChange={(e) => setImageUrl(e.target.value)} />
+              <button type='button' onClick={handleAddImageUrl}>Add</button>
+            </div>
+          )}
+        </div>
+
+        <div className='admin-variants'>
+          <h3>Variants</h3>
+          <p className='admin-muted'>Each size/color SKU has its own stock. Leave price empty to use the product price.</p>
+          {form.variants.map((variant, index) => (
+            <div className='admin-variant-row' key={variant._id || index}>
+              <input type='text' placeholder='SKU' value={variant.sku} onChange={(e) => setVariantField(index, 'sku', e.target.value)} />
+              <input type='text' placeholder='Size' value={variant.size} onChange={(e) => setVariantField(index, 'size', e.target.value)} />
+              <input type='text' placeholder='Color' value={variant.color} onChange={(e) => setVariantField(index, 'color', e.target.value)} />
+              <input type='number' min="0" step="0.01" placeholder='Price' value={variant.price} onChange={(e) => setVariantField(index, 'price', e.target.value)} />
+              <input type='number' min="0" step="1" placeholder='Stock' value={variant.stockQuantity} onChange={(e) => setVariantField(index, 'stockQuantity', e.target.value)} />
+              <button type='button' onClick={() => removeVariant(index)}>Remove</button>
+              {['sku', 'size', 'price', 'stockQuantity'].map((field) => (
+                <React.Fragment key={field}>{fieldError(`variants.${index}.${field}`)}</React.Fragment>
+              ))}
+            </div>
+          ))}
+          <button type='button' onClick={addVariant}>+ Add variant</button>
+        </div>
+
+        <button type='submit' className='admin-button' disabled={saving || uploading}>
+          {saving ? 'Saving...' : isEdit ? 'Save Changes' : 'Create Product'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default AdminProductForm
@@ -0,0 +1,134 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { adminAPI } from '../../services/api'
+import { ShopContext } from '../../Context/ShopContext'
+import { getImageSrc } from '../../utils/imageHelper'
+import { getCategoryLabel } from '../../utils/categoryHelper'
+
+const PAGE_SIZE = 20;
+
+const AdminProducts = () => {
+  const { fetchProducts, categories } = useContext(ShopContext);
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    adminAPI.getProducts({ page, limit: PAGE_SIZE, ...(search && { search }) })
+      .then((data) => {
+        if (cancelled) return;
+        setProducts(data.products || []);
+        setTotal(data.total || 0);
+        setTotalPages(Math.max(data.totalPages || 1, 1));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load products');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [page, search, reloadKey]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  const handleDelete = async (product) => {
+    if (!window.confirm(`Delete "${product.name}"? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await adminAPI.deleteProduct(product._id);
+      setReloadKey((key) => key + 1);
+      // Keep the storefront catalog in sync
+      fetchProducts();
+    } catch (err) {
+      alert(err.message || 'Failed to delete product');
+    }
+  };
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>Products <span>({total})</span></h1>
+        <Link to="/admin/products/new" className='admin-button'>+ New Product</Link>
+      </div>
+
+      <form className='admin-toolbar' onSubmit={handleSearch}>
+        <input
+          type='text'
+          placeholder='Search products by name'
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <button type='submit'>Search</button>
+      </form>
+
+      {error && <div className='admin-error'>{error}</div>}
+
+      <table className='admin-table'>
+        <thead>
+          <tr>
+            <th>Image</th>
+            <th>Name</th>
+            <th>Category</th>
+            <th>Price</th>
+            <th>Stock</th>
+            <th>Variants</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr><td colSpan="7">Loading products...</td></tr>
+          ) : products.length === 0 ? (
+            <tr><td colSpan="7">No products found</td></tr>
+          ) : (
+            products.map((product) => (
+              <tr key={product._id}>
+                <td><img src={getImageSrc(product.image)} alt={product.name} height="50px" /></td>
+                <td>{product.name}</td>
+                <td>{getCategoryLabel(categories, product.category)}</td>
+                <td>
+                  ${product.new_price} <span className='admin-muted'>(${product.old_price})</span>
+                </td>
+                <td className={product.inStock ? '' : 'admin-danger'}>
+                  {product.stockQuantity}{!product.inStock && ' (out)'}
+                </td>
+                <td>{product.variants?.length || 0}</td>
+                <td className='admin-actions'>
+                  <Link to={`/admin/products/${product._id}/edit`}>Edit</Link>
+                  <button type='button' onClick={() => handleDelete(product)}>Delete</button>
+                </td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+
+      <div className='admin-pagination'>
+        <button type='button' disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+        <span>Page {page} of {totalPages}</span>
+        <button type='button' disabled={page >= totalPages} onClick={() => setPage(page + 1)}>Next</button>
+      </div>
+    </div>
+  )
+}
+
+export default AdminProducts
@@ -0,0 +1,153 @@
+import React, { useContext, useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { adminAPI } from '../../services/api'
+import { ShopContext } from '../../Context/ShopContext'
+import { formatDate } from '../../utils/orderHelper'
+import StarRating from '../StarRating/StarRating'
+
+const PAGE_SIZE = 20;
+
+const AdminReviews = () => {
+  const { fetchProducts } = useContext(ShopContext);
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [reviews, setReviews] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    adminAPI.getReviews({ status, page, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setReviews(data.reviews || []);
+        setTotal(data.total || 0);
+        setTotalPages(Math.max(data.totalPages || 1, 1));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load reviews');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [status, page, reloadKey]);
+
+  // Hiding/deleting changes the product's average rating, so refresh the catalog too
+  const afterChange = () => {
+    setReloadKey((key) => key + 1);
+    fetchProducts();
+  };
+
+  const handleModerate = async (review, nextStatus) => {
+    const note = nextStatus === 'hidden' ? window.prompt('Reason for hiding (optional)', '') : '';
+    if (note === null) return;
+    try {
+      await adminAPI.moderateReview(review._id, { status: nextStatus, note });
+      afterChange();
+    } catch (err) {
+      alert(err.message || 'Failed to update review');
+    }
+  };
+
+  const handleDelete = async (review) => {
+    if (!window.confirm('Delete this review? This cannot be undone.')) return;
+    try {
+      await adminAPI.deleteReview(review._id);
+      afterChange();
+    } catch (err) {
+      alert(err.message || 'Failed to delete review');
+    }
+  };
+
+  return (
+    <div className='admin-section'>
+      <div className='admin-section-header'>
+        <h1>Reviews <span>({total})</span></h1>
+      </div>
+
+      <div className='admin-toolbar'>
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value=''>All reviews</option>
+          <option value='published'>Published</option>
+          <option value='hidden'>Hidden</option>
+        </select>
+      </div>
+
+      {error && <div className='admin-error'>{error}</div>}
+
+      <table className='admin-table'>
+        <thead>
+          <tr>
+            <th>Product</th>
+            <th>Customer</th>
+            <th>Rating</th>
+            <th>Review</th>
+            <th>Date</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {loading ? (
+            <tr><td colSpan="7">Loading reviews...</td></tr>
+          ) : reviews.length === 0 ? (
+            <tr><td colSpan="7">No reviews found</td></tr>
+          ) : (
+            reviews.map((review) => (
+              <tr key={review._id}>
+                <td>
+                  {review.product
+                    ? <Link to={`/product/${review.product._id}`}>{review.product.name}</Link>
+                    : 'Deleted product'}
+                </td>
+                <td>{review.user ? `${review.user.name} (${review.user.email})` : 'Deleted user'}</td>
+                <td><StarRating value={review.rating} size={14} /></td>
+                <td>
+                  {review.title && <strong>{review.title}<br /></strong>}
+                  {review.text}
+                  {review.moderationNote && <div className='admin-muted'>Note: {review.moderationNote}</div>}
+                </td>
+                <td>{formatDate(review.createdAt)}</td>
+                <td><span className={`admin-status admin-status-${review.status}`}>{review.status}</span></td>
+                <td>
+                  <div className='admin-actions'>
+                    {review.status === 'published' ? (
+                      <button type='button' onClick={() => handleModerate(review, 'hidden')}>Hide</button>
+                    ) : (
+                      <button type='button' onClick={() => handleModerate(review, 'published')}>Publish</button>
+                    )}
+                    <button type='button' className='admin-danger' onClick={() => handleDelete(review)}>Delete</button>
+                  </div>
+                </td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+
+      <div className='admin-pagination'>
+        <button type='button' disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+        <span>Page {page} of {totalPages}</span>
+        <button type='button' disabled={page >= totalPages} onClick={() => setPage(page + 1)}>Next</button>
+      </div>
+    </div>
+  )
+}
+
+export default AdminReviews
@@ -1,13 +1,36 @@
-import React from 'react'
+import React, { useContext } from 'react'
+import { Link } from 'react-router-dom';
 import "./BredCrums.css";
 import arrow_icon from "../../assets/arrow_icon.png"
+import { ShopContext } from '../../Context/ShopContext';
+import { findCategoryPath, getCategoryUrl } from '../../utils/categoryHelper';
+
+// Home > SHOP > category path (e.g. Men > Shirts) > product
+// Pass `product` on product pages, or `category` (a slug) on category pages
 const Bredcrums = (props) => {
-const {product} = props;
+  const {product} = props;
+  const {categories} = useContext(ShopContext);
+  const slug = product ? product.category : props.category;
+  const path = findCategoryPath(categories, slug);
+  const arrow = <img src={arrow_icon} alt="" height="10px" />;
+
   return (
     <div className='bredcrums'>
-Home <img src={arrow_icon} alt="" height="10px"/> SHOP <img src={arrow_icon} alt="" height="10px" />{product.category} <img src={arrow_icon} alt="" height="10px" /> {product.name} 
+      <Link to="/">Home</Link> {arrow} SHOP
+      {path.length > 0
+        ? path.map((category, index) => (
+            <React.Fragment key={category._id}>
+              {arrow}
+              {/* On category pages the last crumb is the page itself */}
+              {!product && index === path.length - 1
+                ? category.name
+                : <Link to={getCategoryUrl(category)}>{category.name}</Link>}
+            </React.Fragment>
+          ))
+        : <>{arrow} {slug}</>}
+      {product && <>{arrow} {product.name}</>}
     </div>
   )
 }
 
-export default Bredcrums
\ No newline at end of file
+export default Bredcrums
@@ -1,33 +1,173 @@
-import React, { useContext, useState } from 'react'
+import React, { useContext, useEffect, useState } from 'react'
 import "./CartItems.css"
 import remove_icon from "../../assets/remove.webp"
 import { ShopContext } from '../../Context/ShopContext'
 import { getImageSrc } from '../../utils/imageHelper'
-import { orderAPI, authAPI } from '../../services/api'
-import { useNavigate } from 'react-router-dom'
+import { getVariantLabel } from '../../utils/variantHelper'
+import { orderAPI, authAPI, paymentAPI, cartAPI } from '../../services/api'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import AddressForm from '../AddressForm/AddressForm'
+import { EMPTY_ADDRESS, validateAddress, formatAddress } from '../../utils/addressValidation'
+
+const PAYMENT_METHODS = [
+    { value: 'cash_on_delivery', label: 'Cash on delivery' },
+    { value: 'credit_card', label: 'Credit card' },
+    { value: 'debit_card', label: 'Debit card' },
+];
+
+// "MM/YY" → { expMonth, expYear }
+const parseExpiry = (expiry) => {
+    const [expMonth = '', expYear = ''] = expiry.split('/').map((part) => part.trim());
+    return { expMonth, expYear };
+};
 
 const CartItems = () => {
-    const { getTotalCartAmount, all_product, cartItems, removeFromCart, user } = useContext(ShopContext);
+    const { getTotalCartAmount, getCartLines, removeFromCart, user, cart, applyCoupon, removeCoupon, fetchCart } = useContext(ShopContext);
+    const cartLines = getCartLines();
+    const [promoCode, setPromoCode] = useState('');
+    const [promoError, setPromoError] = useState('');
+    const [promoLoading, setPromoLoading] = useState(false);
+
+    // Discount, shipping and tax come from the server so they match what checkout charges
+    // Shipping and tax need the address, so they are quoted once a country is entered
+    const [quote, setQuote] = useState(null);
+    const subtotal = Number(getTotalCartAmount());
+    const discount = cart?.totals?.discount || 0;
+    const shipping = quote?.shipping ?? null;
+    const tax = quote?.tax ?? null;
+    const total = quote ? quote.total : Math.max(subtotal - discount, 0);
+
+    const handleApplyPromo = async (e) => {
+        e.preventDefault();
+        setPromoError('');
+        if (!authAPI.isAuthenticated() || !user) {
+            setPromoError('Please login to use a promo code');
+            return;
+        }
+        if (!promoCode.trim()) {
+            setPromoError('Please enter a promo code');
+            return;
+        }
+        try {
+            setPromoLoading(true);
+            await applyCoupon(promoCode.trim());
+            setPromoCode('');
+        } catch (error) {
+            setPromoError(error.message || 'Invalid promo code');
+        } finally {
+            setPromoLoading(false);
+        }
+    };
+
+    const handleRemovePromo = async () => {
+        setPromoError('');
+        try {
+            await removeCoupon();
+        } catch (error) {
+            setPromoError(error.message || 'Failed to remove promo code');
+        }
+    };
     const [loading, setLoading] = useState(false);
-    const [shippingAddress, setShippingAddress] = useState({
-        street: '',
-        city: '',
-        state: '',
-        zipCode: '',
-        country: ''
-    });
     const [showAddressForm, setShowAddressForm] = useState(false);
+    // Saved addresses (loaded when checkout starts); 'new' = the customer types an address
+    const [addressBook, setAddressBook] = useState(null);
+    const [selectedAddressId, setSelectedAddressId] = useState('new');
+    const [newAddress, setNewAddress] = useState(EMPTY_ADDRESS);
+    const [addressErrors, setAddressErrors] = useState({});
+    const [saveAddress, setSaveAddress] = useState(true);
+    // 'same' = bill to the shipping address, otherwise the id of a saved address
+    const [billingChoice, setBillingChoice] = useState('same');
+    const [paymentMethod, setPaymentMethod] = useState('cash_on_delivery');
+    const [card, setCard] = useState({ number: '', expiry: '', cvc: '' });
+    const [paymentError, setPaymentError] = useState('');
+    // Card order that was placed but not paid yet (declined card, 3-D Secure not approved)
+    // Paying again reuses it instead of placing a second order
+    const [pendingOrder, setPendingOrder] = useState(null);
     const navigate = useNavigate();
+    const location = useLocation();
+    const isCardPayment = paymentMethod !== 'cash_on_delivery';
+
+    const savedAddresses = addressBook?.addresses || [];
+    const shippingAddress = savedAddresses.find((address) => address._id === selectedAddressId) || newAddress;
+
+    // Start from the default shipping (and billing) address
+    useEffect(() => {
+        if (!showAddressForm || !user) return;
+        let cancelled = false;
+        authAPI.getAddresses()
+            .then((book) => {
+                if (cancelled) return;
+                setAddressBook(book);
+                setSelectedAddressId(book.defaultShippingAddress || book.addresses[0]?._id || 'new');
+                if (book.defaultBillingAddress && book.defaultBillingAddress !== book.defaultShippingAddress) {
+                    setBillingChoice(book.defaultBillingAddress);
+                }
+            })
+            .catch((error) => console.error('Failed to load addresses:', error));
+        return () => { cancelled = true; };
+    }, [showAddressForm, user]);
+
+    // Re-quote when the destination or the cart changes (typing is debounced)
+    const { country, state: region } = shippingAddress;
+    useEffect(() => {
+        if (!user || !showAddressForm || !country) {
+            setQuote(null);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            cartAPI.quote({ country, state: region })
+                .then((data) => { if (!cancelled) setQuote(data.totals); })
+                .catch(() => { if (!cancelled) setQuote(null); });
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [country, region, cart, user, showAddressForm]);
+
+    // Coming back from a failed 3-D Secure check: /cart with { payOrderId } in the route state
+    const payOrderId = location.state?.payOrderId;
+    useEffect(() => {
+        if (!payOrderId || !user) return;
+        let cancelled = false;
+        orderAPI.getById(payOrderId)
+            .then((order) => {
+                if (cancelled || !['pending', 'failed'].includes(order.paymentStatus)) return;
+                setPendingOrder(order);
+                setPaymentMethod(order.paymentMethod);
+                setShowAddressForm(true);
+                setPaymentError(order.payment?.lastError || '');
+            })
+            .catch((error) => console.error('Failed to load order:', error));
+        return () => { cancelled = true; };
+    }, [payOrderId, user]);
+
+    // Charge the card for an order that has been placed
+    // Returns true when paid, false when the customer was sent to 3-D Secure
+    const payForOrder = async (order) => {
+        await paymentAPI.createIntent(order._id);
+        const result = await paymentAPI.confirm(order._id, {
+            number: card.number,
+            ...parseExpiry(card.expiry),
+            cvc: card.cvc,
+        });
+        if (result.status === 'requires_action' && result.nextAction?.url) {
+            window.location.assign(result.nextAction.url);
+            return false;
+        }
+        return true;
+    };
 
     const handleCheckout = async () => {
         if (!authAPI.isAuthenticated() || !user) {
             alert('Please login to proceed to checkout');
-            navigate('/login');
+            // Guest cart is merged into the account on login, then we come back here
+            navigate('/login', { state: { from: '/cart' } });
             return;
         }
 
-        const cartItemCount = Object.values(cartItems).reduce((sum, qty) => sum + (qty > 0 ? 1 : 0), 0);
-        if (cartItemCount === 0) {
+        if (cartLines.length === 0 && !pendingOrder) {
             alert('Your cart is empty');
             return;
         }
@@ -37,23 +177,72 @@ const CartItems = () => {
             return;
         }
 
-        // Validate address
-        if (!shippingAddress.street || !shippingAddress.city || !shippingAddress.state || !shippingAddress.zipCode || !shippingAddress.country) {
-            alert('Please fill in all address fields');
+        // Validate a newly typed address (required fields and postal code depend on the country)
+        const isNewAddress = !pendingOrder && selectedAddressId === 'new';
+        if (isNewAddress) {
+            const errors = validateAddress(newAddress);
+            setAddressErrors(errors);
+            if (Object.keys(errors).length > 0) return;
+        }
+
+        if (isCardPayment && (!card.number || !card.expiry || !card.cvc)) {
+            setPaymentError('Please fill in your card details');
             return;
         }
 
+        setPaymentError('');
         try {
             setLoading(true);
-            await orderAPI.create({
-                shippingAddress,
-                paymentMethod: 'cash_on_delivery'
-            });
-            alert('Order placed successfully!');
-            navigate('/');
+            if (isNewAddress && saveAddress) {
+                try {
+                    const book = await authAPI.addAddress(newAddress);
+                    setAddressBook(book);
+                    setSelectedAddressId(book.address._id);
+                } catch (error) {
+                    // Invalid address - show it on the form; anything else (e.g. the book is full) shouldn't stop the order
+                    if (error.data?.errors) {
+                        setAddressErrors(error.data.errors);
+                        return;
+                    }
+                    console.error('Failed to save address:', error);
+                }
+            }
+
+            let order = pendingOrder;
+            if (!order) {
+                const billingAddress = savedAddresses.find((address) => address._id === billingChoice);
+                order = await orderAPI.create({
+                    shippingAddress,
+                    ...(billingAddress && { billingAddress }),
+                    paymentMethod,
+                });
+                // Server empties the cart after the order is created
+                await fetchCart();
+            }
+
+            if (!isCardPayment) {
+                navigate(`/account/orders/${order._id}`, { state: { placed: true } });
+                return;
+            }
+
+            setPendingOrder(order);
+            try {
+                if (!await payForOrder(order)) return;
+            } catch (error) {
+                // Declined or invalid card - the order is kept so the customer can try another card
+                setPaymentError(error.message || 'Payment failed. Please try again.');
+                return;
+            }
+            setPendingOrder(null);
+            navigate(`/account/orders/${order._id}`, { state: { placed: true } });
         } catch (error) {
             console.error('Checkout error:', error);
-            alert(error.message || 'Failed to place order. Please try again.');
+            // Out-of-stock lines come back as a per-item list
+            const shortages = error.data?.items || [];
+            const details = shortages.map((item) =>
+                `${getVariantLabel(item, item)}: ${item.available > 0 ? `only ${item.available} left` : 'out of stock'}`
+            );
+            alert([error.message || 'Failed to place order. Please try again.', ...details].join('\n'));
         } finally {
             setLoading(false);
         }
@@ -70,95 +259,193 @@ const CartItems = () => {
                 <p>Remove</p>
             </div>
             <hr />
-            {all_product.map((e) => {
-                const productId = e._id || e.id;
-                if (cartItems[productId] > 0) {
-                    const imageSrc = getImageSrc(e.image);
-                    return <div key={productId}>
-                        <div className='cartItems-format cartitems-format-main'>
-                            <img src={imageSrc} alt={e.name || ''} height="100px" />
-                            <p>{e.name}</p>
-                            <p>${e.new_price}</p>
-                            <button className='cartitems-quantity'>
-                                {cartItems[productId]}
-                            </button>
-                            <p>${(e.new_price*cartItems[productId]).toFixed(2)}</p>
-                            <img src={remove_icon} alt="" onClick={()=> removeFromCart(productId)} height="20px" style={{cursor: 'pointer'}}/>
-                        </div>
-                        <hr/>
+            {cartLines.map((line) => {
+                const imageSrc = getImageSrc(line.product.image);
+                return <div key={line.key}>
+                    <div className='cartItems-format cartitems-format-main'>
+                        <img src={imageSrc} alt={line.product.name || ''} height="100px" />
+                        <p>{getVariantLabel(line.product, line.variant)}</p>
+                        <p>${line.price}</p>
+                        <button className='cartitems-quantity'>
+                            {line.quantity}
+                        </button>
+                        <p>${(line.price*line.quantity).toFixed(2)}</p>
+                        <img src={remove_icon} alt="" onClick={()=> removeFromCart(line.key)} height="20px" style={{cursor: 'pointer'}}/>
                     </div>
-                }
-                return null;
+                    <hr/>
+                </div>
             })}
             <div className="cartitems-down">
                 <div className="cartitems-total">
                     <h1>cart Totals</h1>
-                    {showAddressForm && (
+                    {showAddressForm && !pendingOrder && (
                         <div style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ddd', borderRadius: '5px' }}>
                             <h3>Shipping Address</h3>
-                            <input 
-                                type="text" 
-                                placeholder="Street Address" 
-                                value={shippingAddress.street}
-                                onChange={(e) => setShippingAddress({...shippingAddress, street: e.target.value})}
-                                style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
-                            />
-                            <input 
-                                type="text" 
-                                placeholder="City" 
-                                value={shippingAddress.city}
-                                onChange={(e) => setShippingAddress({...shippingAddress, city: e.target.value})}
-                                style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
-                            />
-                            <input 
-                                type="text" 
-                                placeholder="State" 
-                                value={shippingAddress.state}
-                                onChange={(e) => setShippingAddress({...shippingAddress, state: e.target.value})}
-                                style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
-                            />
-                            <input 
-                                type="text" 
-                                placeholder="Zip Code" 
-                                value={shippingAddress.zipCode}
-                                onChange={(e) => setShippingAddress({...shippingAddress, zipCode: e.target.value})}
-                                style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
-                            />
-                            <input 
-                                type="text" 
-                                placeholder="Country" 
-                                value={shippingAddress.country}
-                                onChange={(e) => setShippingAddress({...shippingAddress, country: e.target.value})}
+                            {savedAddresses.length > 0 && (
+                                <div className="cartitems-address-options">
+                                    {savedAddresses.map((address) => (
+                                        <label key={address._id} className="cartitems-address-option">
+                                            <input
+                                                type="radio"
+                                                name="shippingAddress"
+                                                checked={selectedAddressId === address._id}
+                                                onChange={() => setSelectedAddressId(address._id)}
+                                            />
+                                            <span>
+                                                <strong>{address.label || address.fullName || 'Saved address'}</strong>
+                                                {' '}{formatAddress(address)}
+                                            </span>
+                                        </label>
+                                    ))}
+                                    <label className="cartitems-address-option">
+                                        <input
+                                            type="radio"
+                                            name="shippingAddress"
+                                            checked={selectedAddressId === 'new'}
+                                            onChange={() => setSelectedAddressId('new')}
+                                        />
+                                        <span>Use a new address</span>
+                                    </label>
+                                </div>
+                            )}
+                            {selectedAddressId === 'new' && (
+                                <>
+                                    <AddressForm address={newAddress} onChange={setNewAddress} errors={addressErrors} />
+                                    <label className="cartitems-address-option">
+                                        <input type="checkbox" checked={saveAddress} onChange={(e) => setSaveAddress(e.target.checked)} />
+                                        <span>Save this address to my address book</span>
+                                    </label>
+                                </>
+                            )}
+                            {savedAddresses.length > 0 && (
+                                <label className="cartitems-billing">
+                                    Billing address
+                                    <select value={billingChoice} onChange={(e) => setBillingChoice(e.target.value)}>
+                                        <option value="same">Same as shipping address</option>
+                                        {savedAddresses.map((address) => (
+                                            <option key={address._id} value={address._id}>{address.label || formatAddress(address)}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            )}
+                            <p className="cartitems-payment-hint"><Link to="/account/addresses">Manage saved addresses</Link></p>
+                        </div>
+                    )}
+                    {showAddressForm && (
+                        <div style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ddd', borderRadius: '5px' }}>
+                            <h3>Payment</h3>
+                            {pendingOrder && (
+                                <p>Order placed - ${pendingOrder.totalAmount.toFixed(2)} still to pay</p>
+                            )}
+                            <select
+                                value={paymentMethod}
+                                onChange={(e) => setPaymentMethod(e.target.value)}
+                                disabled={!!pendingOrder}
                                 style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
-                            />
+                            >
+                                {PAYMENT_METHODS.map((method) => (
+                                    <option key={method.value} value={method.value}>{method.label}</option>
+                                ))}
+                            </select>
+                            {isCardPayment && (
+                                <>
+                                    <input
+                                        type="text"
+                                        inputMode="numeric"
+                                        autoComplete="cc-number"
+                                        placeholder="Card number"
+                                        value={card.number}
+                                        onChange={(e) => setCard({...card, number: e.target.value})}
+                                        style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
+                                    />
+                                    <input
+                                        type="text"
+                                        autoComplete="cc-exp"
+                                        placeholder="MM/YY"
+                                        value={card.expiry}
+                                        onChange={(e) => setCard({...card, expiry: e.target.value})}
+                                        style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
+                                    />
+                                    <input
+                                        type="text"
+                                        inputMode="numeric"
+                                        autoComplete="cc-csc"
+                                        placeholder="CVC"
+                                        value={card.cvc}
+                                        onChange={(e) => setCard({...card, cvc: e.target.value})}
+                                        style={{ width: '100%', padding: '8px', margin: '5px 0', border: '1px solid #ddd' }}
+                                    />
+                                    <p className="cartitems-payment-hint">
+                                        Test cards: 4242 4242 4242 4242 (success), 4000 0000 0000 3220 (3-D Secure), 4000 0000 0000 0002 (declined)
+                                    </p>
+                                </>
+                            )}
+                            {paymentError && <p className="cartitems-promo-error">{paymentError}</p>}
                         </div>
                     )}
                     <div>
                         <div className="cartitems-total-item">
                             <p>Subtotal</p>
-                            <p>${getTotalCartAmount()}</p>
+                            <p>${subtotal.toFixed(2)}</p>
                         </div>
                         <hr/>
+                        {discount > 0 && (
+                            <>
+                                <div className="cartitems-total-item">
+                                    <p>Discount ({cart.totals.couponCode})</p>
+                                    <p>-${discount.toFixed(2)}</p>
+                                </div>
+                                <hr/>
+                            </>
+                        )}
                         <div className="cartitems-total-item">
-                            <p>Shipping Fee</p>
-                            <p>Free</p>
+                            <p>Shipping Fee{quote?.shippingZone ? ` (${quote.shippingZone})` : ''}</p>
+                            <p>{shipping === null ? 'Calculated at checkout' : shipping === 0 ? 'Free' : `$${shipping.toFixed(2)}`}</p>
                         </div>
+                        {quote?.freeShippingRemaining > 0 && (
+                            <p className="cartitems-payment-hint">Add ${quote.freeShippingRemaining.toFixed(2)} more for free shipping</p>
+                        )}
+                        {quote?.shippingError && <p className="cartitems-promo-error">{quote.shippingError}</p>}
                         <hr/>
+                        {tax !== null && (
+                            <>
+                                <div className="cartitems-total-item">
+                                    <p>{quote.taxIncluded ? 'Includes tax' : 'Tax'} ({+(quote.taxRate * 100).toFixed(2)}%)</p>
+                                    <p>${tax.toFixed(2)}</p>
+                                </div>
+                                <hr/>
+                            </>
+                        )}
                         <div className="cartitems-total-item">
                             <p>Total</p>
-                            <p>${getTotalCartAmount()}</p>
+                            <p>${total.toFixed(2)}</p>
                         </div>
                     </div>
                     <button onClick={handleCheckout} disabled={loading}>
-                        {loading ? 'Processing...' : showAddressForm ? 'PLACE ORDER' : 'PROCEED TO CHECKOUT'}
+                        {loading ? 'Processing...' : pendingOrder ? 'PAY NOW' : showAddressForm ? 'PLACE ORDER' : 'PROCEED TO CHECKOUT'}
                     </button>
                 </div>
                 <div className="cartitems-promocode">
                     <p>If you have a promo code, Enter it here</p>
-                    <div className="cartitems-promobox">
-                        <input type='text' placeholder='promo code'/>
-                        <button>submit</button>
-                    </div>
+                    <form className="cartitems-promobox" onSubmit={handleApplyPromo}>
+                        <input
+                            type='text'
+                            placeholder='promo code'
+                            value={promoCode}
+                            onChange={(e) => setPromoCode(e.target.value)}
+                        />
+                        <button type='submit' disabled={promoLoading}>{promoLoading ? '...' : 'submit'}</button>
+                    </form>
+                    {promoError && <p className="cartitems-promo-error">{promoError}</p>}
+                    {cart?.totals?.couponCode && (
+                        <div className="cartitems-promo-applied">
+                            <span>
+                                Code <strong>{cart.totals.couponCode}</strong>
+                                {cart.totals.couponError ? `: ${cart.totals.couponError}` : ' applied'}
+                            </span>
+                            <button type='button' onClick={handleRemovePromo}>Remove</button>
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
@@ -1,17 +1,29 @@
-import React from 'react'
+import React, { useState } from 'react'
 import "./Description.css"
-const Description = () => {
+import Reviews from '../Reviews/Reviews';
+const Description = ({ product }) => {
+  const [activeTab, setActiveTab] = useState('description');
+
   return (
     <div className='descriptionbox'>
         <div className="descriptionbox-navigator">
-            <div className="descriptionbox-nav-box">
+            <div
+              className={`descriptionbox-nav-box ${activeTab === 'description' ? '' : 'fade'}`}
+              onClick={() => setActiveTab('description')}
+            >
                 Description
             </div>
-            <div className="descriptionbox-nav-box fade">
-         Review (135)
+            <div
+              className={`descriptionbox-nav-box ${activeTab === 'reviews' ? '' : 'fade'}`}
+              onClick={() => setActiveTab('reviews')}
+            >
+         Reviews ({product?.rating?.count || 0})
             </div>
             
         </div>
+        {activeTab === 'reviews' ? (
+          <Reviews product={product}/>
+        ) : (
         <div className="descriptionbox-description">
                 <p>Lorem ipsum dolor sit amet consectetur, adipisicing elit. Praesentium reiciendis exercitationem amet totam nisi ullam cumque fugit magnam laudantium. Quis eos quam alias nisi explicabo ut, itaque qui fuga officiis.
                 Maxime labore in molestiae, debitis vel, rem modi repudiandae ullam ipsam delectus dolores quibusdam reiciendis, hic temporibus beatae at aut possimus reprehenderit. Adipisci aut corporis iusto, excepturi quidem possimus omnis?
@@ -20,8 +32,9 @@ const Description = () => {
              </p>
              <p>Lorem ipsum dolor sit, amet consectetur adipisicing elit. Sed doloremque facilis neque non nihil quam veritatis a. Ratione dolore debitis quia possimus natus quo consequatur exercitationem quae unde, laboriosam iure!</p>
             </div>
+        )}
     </div>
   )
 }
 
-export default Description
\ No newline at end of file
+export default Description
@@ -1,16 +1,20 @@
 import React from 'react'
 import "./Item.css"
 import { Link } from 'react-router-dom'
-import { getImageSrc } from '../../utils/imageHelper'
+import { getProductImages } from '../../utils/imageHelper'
+import ResponsiveImage from '../ResponsiveImage/ResponsiveImage'
+import WishlistButton from '../WishlistButton/WishlistButton'
 
 const Item = (props) => {
   const productId = props.id || props._id;
-  const imageSrc = getImageSrc(props.image);
+  // First gallery image (with its renditions) or the plain main image
+  const [image] = getProductImages({ image: props.image, images: props.images });
   
   return (
     <div className='item'>
+       <WishlistButton productId={productId} className='item-wishlist' />
        <Link to={`/product/${productId}`}>
-         <img onClick={window.scrollTo(0,0)} src={imageSrc} alt={props.name || ''} />
+         <ResponsiveImage onClick={window.scrollTo(0,0)} image={image} sizes="200px" alt={image?.alt || props.name || ''} />
        </Link>
         <p>{props.name}</p>
         <div className='item-prices'>
@@ -1,14 +1,21 @@
-import React, { useState } from 'react'
+import React from 'react'
 import "./Navbar.css"
 import logo from "../../assets/logo.webp"
 import cart_icon from "../../assets/cart_icon.png"
-import { Link, useNavigate } from 'react-router-dom'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { useContext } from 'react'
 import { ShopContext } from '../../Context/ShopContext'
+import SearchBar from '../SearchBar/SearchBar'
+import VerifyEmailBanner from '../VerifyEmailBanner/VerifyEmailBanner'
+import { findCategoryPath, getCategoryUrl } from '../../utils/categoryHelper'
 const Navbar = () => {
-    const [menu,setMenu]=useState("home")
-    const {getTotalCartItems, user, logout} = useContext(ShopContext)
+    const {getTotalCartItems, wishlist, user, logout, categories} = useContext(ShopContext)
     const navigate = useNavigate();
+    const { pathname } = useLocation();
+
+    // Underline "Home" or the top-level category the current page is in
+    const categorySlug = pathname.startsWith('/category/') ? decodeURIComponent(pathname.split('/')[2]) : null;
+    const menu = pathname === '/' ? 'home' : findCategoryPath(categories, categorySlug)[0]?.slug;
     
     const handleLogout = () => {
       logout();
@@ -16,32 +23,47 @@ const Navbar = () => {
     }
     
   return (
+    <>
     <div className='navbar'>
         <div className="nav-logo">
             <img src={logo} alt="" height="50px" />
             <p>Shopify</p>
         </div>
         <ul className='nav-menu'>
-            <li onClick={()=>{setMenu("home")}}><Link style={{textDecoration:"none",color:"#626262"}} to="/">Home</Link>{menu==="home" ? <hr/>:<></>}</li>
-            <li onClick={()=>{setMenu("mens")}}><Link style={{textDecoration:"none",color:"#626262"}} to="/mens">Men
-            </Link>{menu==="mens" ? <hr/>:<></>}</li>
-            <li onClick={()=>{setMenu("womens")}}><Link style={{textDecoration:"none",color:"#626262"}} to="/womens">Women
-            </Link>{menu==="womens" ? <hr/>:<></>}</li>
-            <li onClick={()=>{setMenu("kids")}}><Link style={{textDecoration:"none",color:"#626262"}} to="/kids">Kids</Link>{menu==="kids" ? <hr/>:<></>}</li>
+            <li><Link style={{textDecoration:"none",color:"#626262"}} to="/">Home</Link>{menu==="home" ? <hr/>:<></>}</li>
+            {/* Top-level categories, with their subcategories in a dropdown */}
+            {categories.map((category) => (
+              <li key={category._id} className='nav-menu-category'>
+                <Link style={{textDecoration:"none",color:"#626262"}} to={getCategoryUrl(category)}>{category.name}</Link>
+                {menu===category.slug ? <hr/>:<></>}
+                {category.children.length > 0 && (
+                  <ul className='nav-dropdown'>
+                    {category.children.map((child) => (
+                      <li key={child._id}><Link to={getCategoryUrl(child)}>{child.name}</Link></li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
         </ul>
+        <SearchBar/>
         <div className="nav-login-cart">
            {user ? (
              <>
-               <span style={{marginRight: '10px', color: '#626262'}}>Hi, {user.name}</span>
+               <Link to="/account" title="Your account and orders" style={{marginRight: '10px', color: '#626262', textDecoration: 'none'}}>Hi, {user.name}</Link>
+               {user.role === 'admin' && <Link to="/admin"><button>Admin</button></Link>}
                <button onClick={handleLogout}>Logout</button>
              </>
            ) : (
              <Link to="/login"><button>Login</button></Link>
            )}
+            <Link to="/wishlist" className="nav-wishlist" title="Wishlist">♡ {wishlist.length}</Link>
             <Link to="/cart"><img src={cart_icon} alt="" height="40px" /></Link>
             <div className="nav-cart-count">{getTotalCartItems()}</div>
         </div>
     </div>
+    <VerifyEmailBanner/>
+    </>
   )
 }
 
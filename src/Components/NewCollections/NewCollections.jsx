@@ -1,28 +1,36 @@
 import React, { useContext } from 'react'
+import { Link } from 'react-router-dom'
 import "./NewCollections.css"
 import Item from '../Item/Item'
 import { ShopContext } from '../../Context/ShopContext'
+import usePlacedCollection from '../../hooks/usePlacedCollection'
 
+// Homepage section filled by the collection admins placed in "home-new"
+// Until one is placed it shows the newest products, as it did before collections
 const NewCollections = () => {
-  const {all_product} = useContext(ShopContext);
-  // Get newest products (last 8)
-  const newCollections = all_product.slice(-8);
-  
+  const { all_product } = useContext(ShopContext);
+  const { collection, products, loading, viewAllUrl } = usePlacedCollection('home-new');
+
+  // all_product is sorted newest first
+  const fallbackProducts = all_product.slice(0, 8);
+  const items = loading ? [] : (collection ? products : fallbackProducts);
+
   return (
     <div className='newcollections'>
-        <h1>NEW COLLECTIONS</h1>
+        <h1>{collection ? collection.name : 'New Collections'}</h1>
         <hr/>
         <div className='collections'>
-            {newCollections.length > 0 ? (
-              newCollections.map((item,i)=>{
-                return <Item key={item._id || item.id || i} id={item._id || item.id} _id={item._id} name={item.name} image={item.image} new_price={item.new_price} old_price={item.old_price}/>
+            {items.length > 0 ? (
+              items.map((item)=>{
+                return <Item key={item._id} id={item._id} _id={item._id} name={item.name} image={item.image} images={item.images} new_price={item.new_price} old_price={item.old_price}/>
               })
             ) : (
-              <p>Loading collections...</p>
+              <p>{loading || !collection ? 'Loading collections...' : 'No products yet'}</p>
             )}
         </div>
+        {viewAllUrl && <Link className='newcollections-viewall' to={viewAllUrl}>View all</Link>}
     </div>
   )
 }
 
-export default NewCollections
\ No newline at end of file
+export default NewCollections
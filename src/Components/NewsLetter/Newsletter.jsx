@@ -1,14 +1,50 @@
-import React from 'react'
+import React, { useState } from 'react'
 import "./NewsLetter.css"
+import { newsletterAPI } from '../../services/api'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 const Newsletter = () => {
+  const [email, setEmail] = useState('');
+  const [sending, setSending] = useState(false);
+  // { type: 'success' | 'error', text }
+  const [result, setResult] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmedEmail = email.trim();
+    if (!EMAIL_PATTERN.test(trimmedEmail)) {
+      setResult({ type: 'error', text: 'Please enter a valid email address' });
+      return;
+    }
+
+    try {
+      setSending(true);
+      setResult(null);
+      const data = await newsletterAPI.subscribe(trimmedEmail.toLowerCase());
+      setResult({ type: 'success', text: data.message });
+      setEmail('');
+    } catch (err) {
+      setResult({ type: 'error', text: err.message || 'Could not subscribe. Please try again.' });
+    } finally {
+      setSending(false);
+    }
+  };
+
   return (
     <div className='newsletter'>
         <h1>Get Exclusive Offers on Your Email</h1>
         <p>Subscribe to our new seler and stay updated</p>
-        <div>
-            <input type='email' placeholder='Your Email id'/>
-            <button>Subscribe</button>
-        </div>
+        <form onSubmit={handleSubmit} noValidate>
+            <input
+              type='email'
+              placeholder='Your Email id'
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <button type='submit' disabled={sending}>{sending ? 'Subscribing...' : 'Subscribe'}</button>
+        </form>
+        {result && <p className={`newsletter-message newsletter-${result.type}`}>{result.text}</p>}
     </div>
   )
 }
@@ -1,14 +1,20 @@
 import React from 'react'
+import { Link } from 'react-router-dom'
 import "./Offers.css"
 import exclusive from "../../assets/exclu.webp"
+import usePlacedCollection from '../../hooks/usePlacedCollection'
+
+// "Check Now" opens the collection admins placed in "home-offers"
 const Offers = () => {
+  const { collection } = usePlacedCollection('home-offers');
+
   return (
     <div className='offers'>
         <div className="offers-left">
            <h1>Exclusive</h1>
            <h1>Offers For You</h1>
-           <p>ONLY ON BEST SELLERS PRODUCTS</p>
-           <button>Check Now</button>
+           <p>{collection?.description || 'ONLY ON BEST SELLERS PRODUCTS'}</p>
+           {collection && <Link to={`/collections/${collection.slug}`}><button>Check Now</button></Link>}
         </div>
         <div className="offers-right">
 <img src={exclusive} alt="" />
@@ -17,4 +23,4 @@ const Offers = () => {
   )
 }
 
-export default Offers
\ No newline at end of file
+export default Offers
@@ -1,28 +1,35 @@
 import React, { useContext } from 'react'
+import { Link } from 'react-router-dom'
 import "./Popular.css"
 import Item from "../Item/Item"
 import { ShopContext } from '../../Context/ShopContext'
+import usePlacedCollection from '../../hooks/usePlacedCollection'
 
+// Homepage section filled by the collection admins placed in "home-popular"
+// Until one is placed it shows the women's products, as it did before collections
 const Popular = () => {
-  const {all_product} = useContext(ShopContext);
-  // Get women's products or fallback to all products
-  const popularProducts = all_product.filter(item => item.category === 'women').slice(0, 4);
-  
+  const { all_product } = useContext(ShopContext);
+  const { collection, products, loading, viewAllUrl } = usePlacedCollection('home-popular');
+
+  const fallbackProducts = all_product.filter(item => item.category === 'women').slice(0, 4);
+  const items = loading ? [] : (collection ? products : fallbackProducts);
+
   return (
     <div className='popular'>
-      <h1>POPULAR IN WOMEN</h1>
+      <h1>{collection ? collection.name : 'Popular in Women'}</h1>
       <hr/>
       <div className='popular-item'>
-        {popularProducts.length > 0 ? (
-          popularProducts.map((item,i)=>{
-            return <Item key={item._id || item.id || i} id={item._id || item.id} _id={item._id} name={item.name} image={item.image} new_price={item.new_price} old_price={item.old_price}/>
+        {items.length > 0 ? (
+          items.map((item)=>{
+            return <Item key={item._id} id={item._id} _id={item._id} name={item.name} image={item.image} images={item.images} new_price={item.new_price} old_price={item.old_price}/>
           })
         ) : (
-          <p>Loading products...</p>
+          <p>{loading || !collection ? 'Loading products...' : 'No products yet'}</p>
         )}
       </div>
+      {viewAllUrl && <Link className='popular-viewall' to={viewAllUrl}>View all</Link>}
     </div>
   )
 }
 
-export default Popular
\ No newline at end of file
+export default Popular
@@ -1,85 +1,219 @@
-import React, { useContext, useState } from 'react'
+import React, { useContext, useEffect, useState } from 'react'
 import "./ProductDisplay.css"
-import star_icon from "../../assets/star_icon.png"
-import star_dull_icon from "../../assets/star_dull_icon.png";
 import { ShopContext } from '../../Context/ShopContext';
-import { getImageSrc } from '../../utils/imageHelper';
+import { getProductImages } from '../../utils/imageHelper';
+import { getCategoryLabel } from '../../utils/categoryHelper';
+import ResponsiveImage from '../ResponsiveImage/ResponsiveImage';
+import { getAvailableVariants, getVariantPrice } from '../../utils/variantHelper';
+import { productAPI } from '../../services/api';
+import StarRating from '../StarRating/StarRating';
+import WishlistButton from '../WishlistButton/WishlistButton';
 
 const ProductDisplay = (props) => {
   const { product } = props;
-  const {addTocart} = useContext(ShopContext);
+  const {addTocart, categories} = useContext(ShopContext);
   const [selectedSize, setSelectedSize] = useState(null);
-  const imageSrc = getImageSrc(product?.image);
-  
-  const sizes = ['S', 'M', 'L', 'XL', 'XXL'];
-  
+  const [selectedColor, setSelectedColor] = useState(null);
+  // Variants as the server currently reports them (stock changes after the catalog loads)
+  const [variants, setVariants] = useState(product?.variants || []);
+  const [activeImage, setActiveImage] = useState(0);
+  // Zoom focus in percent of the main image ({ x, y }), null when not zoomed
+  const [zoom, setZoom] = useState(null);
+  const productId = product?._id || product?.id;
+
+  useEffect(() => {
+    setSelectedSize(null);
+    setSelectedColor(null);
+    setActiveImage(0);
+    setZoom(null);
+    setVariants(product?.variants || []);
+    if (!product?._id) return;
+
+    let cancelled = false;
+    productAPI.getById(product._id)
+      .then((fresh) => {
+        if (!cancelled) setVariants(fresh.variants || []);
+      })
+      .catch((error) => console.error('Error refreshing product stock:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [product]);
+
+  // Only offer sizes/colors that exist and are in stock
+  const availableVariants = getAvailableVariants({ variants });
+  const hasVariants = variants.length > 0;
+  const sizes = [...new Set(availableVariants.map((variant) => variant.size).filter(Boolean))];
+  const colors = [...new Set(
+    availableVariants
+      .filter((variant) => !selectedSize || variant.size === selectedSize)
+      .map((variant) => variant.color)
+      .filter(Boolean)
+  )];
+  const selectedVariant = availableVariants.find(
+    (variant) =>
+      (!sizes.length || variant.size === selectedSize) &&
+      (!colors.length || variant.color === selectedColor)
+  );
+  const price = getVariantPrice(product, selectedVariant);
+
+  // With a color chosen, show that color's photos (then the ones for every color)
+  const allImages = getProductImages(product);
+  const colorImages = allImages.filter((image) => selectedColor && image.color === selectedColor);
+  const images = colorImages.length > 0
+    ? [...colorImages, ...allImages.filter((image) => !image.color)]
+    : allImages;
+  const mainImage = images[activeImage] || images[0];
+  const imageAlt = (image, index) => image?.alt || `${product?.name || 'Product'} - image ${index + 1}`;
+
+  const handleSelectColor = (color) => {
+    setSelectedColor(color);
+    setActiveImage(0);
+  };
+
+  // Follow the pointer so the zoomed image shows the part under it
+  const handleZoomMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    setZoom({
+      x: ((e.clientX - rect.left) / rect.width) * 100,
+      y: ((e.clientY - rect.top) / rect.height) * 100,
+    });
+  };
+
+  const handleSelectSize = (size) => {
+    setSelectedSize(size);
+    // Drop the color if it isn't available in the new size
+    const stillAvailable = availableVariants.some(
+      (variant) => variant.size === size && variant.color === selectedColor
+    );
+    if (!stillAvailable) handleSelectColor(null);
+  };
+
   const handleAddToCart = () => {
-    if (!selectedSize) {
+    if (hasVariants && availableVariants.length === 0) {
+      alert('This product is out of stock');
+      return;
+    }
+    if (sizes.length > 0 && !selectedSize) {
       alert('Please select a size');
       return;
     }
-    addTocart(product._id || product.id);
+    if (colors.length > 0 && !selectedColor) {
+      alert('Please select a color');
+      return;
+    }
+    addTocart(productId, selectedVariant?._id || null);
   };
+
+  const optionStyle = (selected) => ({
+    cursor: 'pointer',
+    border: selected ? '2px solid #ff4141' : '1px solid #ccc',
+    backgroundColor: selected ? '#fff5f5' : '#fff',
+    padding: '10px 15px',
+    margin: '5px',
+    display: 'inline-block',
+    borderRadius: '4px',
+    transition: 'all 0.3s ease'
+  });
   
   return (
     <div className='productdisplay'>
       <div className="productdisplay-left">
-        <div className="productdisplay-img-list">
-          <img src={imageSrc} alt={product?.name || ''} height="150px" />
-          <img src={imageSrc} alt={product?.name || ''} height="150px" />
-          <img src={imageSrc} alt={product?.name || ''} height="150px" />
-        </div>
-        <div className='productdisplay-img'>
-          <img className='productdisplay-main-img' src={imageSrc} alt={product?.name || ''} height="300px" />
+        {images.length > 1 && (
+          <div className="productdisplay-img-list">
+            {images.map((image, index) => (
+              <button
+                type='button'
+                key={image._id || `${image.url}-${index}`}
+                className={index === activeImage ? 'productdisplay-thumb active' : 'productdisplay-thumb'}
+                onClick={() => setActiveImage(index)}
+                aria-label={`Show image ${index + 1}`}
+              >
+                <ResponsiveImage image={image} sizes="100px" alt={imageAlt(image, index)} />
+              </button>
+            ))}
+          </div>
+        )}
+        <div
+          className='productdisplay-img'
+          onMouseMove={handleZoomMove}
+          onMouseLeave={() => setZoom(null)}
+        >
+          {mainImage && (
+            // Remount on switch so the browser picks a rendition for the new image
+            // sizes asks for twice the displayed width so the zoomed view stays sharp
+            <ResponsiveImage
+              key={mainImage.url}
+              image={mainImage}
+              sizes="(max-width: 800px) 100vw, 800px"
+              loading='eager'
+              className='productdisplay-main-img'
+              alt={imageAlt(mainImage, images.indexOf(mainImage))}
+              style={zoom ? { transform: 'scale(2)', transformOrigin: `${zoom.x}% ${zoom.y}%` } : undefined}
+            />
+          )}
         </div>
       </div>
       <div className="productdisplay-right">
 <h1>{product?.name}</h1>
 <div className="productdisplay-right-star">
-  <img src={star_icon} alt="" height="20px" />
-  <img src={star_icon} alt="" height="20px" />
-  <img src={star_icon} alt="" height="20px" />
-  <img src={star_icon} alt="" height="20px" />
-  <img src={star_dull_icon} alt="" height="20px" />
-  <p>(130)</p>
+  <StarRating value={product?.rating?.average || 0} />
+  <p>({product?.rating?.count || 0})</p>
 </div>
 <div className="productdisplay-right-prices">
   <div className="productdisplay-right-price-old">
 ${product?.old_price}
   </div>
   <div className="productdisplay-right-price-new">
-    ${product?.new_price}
+    ${price}
   </div>
   </div>
   <div className="productdisplay-right-description">
     {product?.description || 'Lorem ipsum dolor sit amet consectetur adipisicing elit. Dignissimos, eaque. Amet reiciendis minus modi eum soluta hic autem, rem corrupti quibusdam? Quam omnis saepe et expedita ratione, quasi unde repudiandae.'}
   </div>
-  <div className='productdisplay-right-size'>
-    <h1>Select Size</h1>
-    <div className="productdisplay-right-sizes">
-      {sizes.map((size) => (
-        <div 
-          key={size}
-          onClick={() => setSelectedSize(size)}
-          style={{
-            cursor: 'pointer',
-            border: selectedSize === size ? '2px solid #ff4141' : '1px solid #ccc',
-            backgroundColor: selectedSize === size ? '#fff5f5' : '#fff',
-            padding: '10px 15px',
-            margin: '5px',
-            display: 'inline-block',
-            borderRadius: '4px',
-            transition: 'all 0.3s ease'
-          }}
-        >
-          {size}
-        </div>
-      ))}
+  {sizes.length > 0 && (
+    <div className='productdisplay-right-size'>
+      <h1>Select Size</h1>
+      <div className="productdisplay-right-sizes">
+        {sizes.map((size) => (
+          <div
+            key={size}
+            onClick={() => handleSelectSize(size)}
+            style={optionStyle(selectedSize === size)}
+          >
+            {size}
+          </div>
+        ))}
+      </div>
+    </div>
+  )}
+  {colors.length > 0 && (
+    <div className='productdisplay-right-size'>
+      <h1>Select Color</h1>
+      <div className="productdisplay-right-sizes">
+        {colors.map((color) => (
+          <div
+            key={color}
+            onClick={() => handleSelectColor(color)}
+            style={optionStyle(selectedColor === color)}
+          >
+            {color}
+          </div>
+        ))}
+      </div>
     </div>
+  )}
+  {hasVariants && availableVariants.length === 0 ? (
+    <button disabled style={{ backgroundColor: '#ccc', cursor: 'not-allowed' }}>OUT OF STOCK</button>
+  ) : (
+    <button onClick={handleAddToCart}>ADD TO CART</button>
+  )}
+  <div className="productdisplay-right-wishlist">
+    <WishlistButton productId={productId} />
+    <span>Save to wishlist</span>
   </div>
-  <button onClick={handleAddToCart}>ADD TO CART</button>
   <div className="productdisplay-right-category">
-    <span>Category: <span>{product?.category || 'N/A'}</span></span>
+    <span>Category: <span>{product?.category ? getCategoryLabel(categories, product.category) : 'N/A'}</span></span>
   </div>
 </div>
       </div>
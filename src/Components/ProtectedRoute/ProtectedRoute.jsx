@@ -0,0 +1,21 @@
+import React, { useContext } from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import { ShopContext } from '../../Context/ShopContext'
+
+// Wraps routes that need a logged-in user (and optionally the admin role)
+const ProtectedRoute = ({ children, adminOnly = false }) => {
+  const { user } = useContext(ShopContext);
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  if (adminOnly && user.role !== 'admin') {
+    return <Navigate to="/" replace />;
+  }
+
+  return children;
+}
+
+export default ProtectedRoute
@@ -30,7 +30,7 @@ const RelatedProducts = () => {
         <div className="relatedproducts-item">
             {relatedProducts.length > 0 ? (
               relatedProducts.map((item,i)=>{
-                return <Item key={item._id || item.id || i} id={item._id || item.id} _id={item._id} name={item.name} image={item.image} new_price={item.new_price} old_price={item.old_price}/>
+                return <Item key={item._id || item.id || i} id={item._id || item.id} _id={item._id} name={item.name} image={item.image} images={item.images} new_price={item.new_price} old_price={item.old_price}/>
               })
             ) : (
               <p>Loading related products...</p>
@@ -0,0 +1,20 @@
+import React from 'react'
+import { getResponsiveImage } from '../../utils/imageHelper'
+
+// <picture> with the AVIF/WebP renditions of a product image
+// Browsers without either format (or images without renditions) load the original
+// Lazy by default - pass loading='eager' for the image the page is about
+const ResponsiveImage = ({ image, sizes, alt = '', loading = 'lazy', ...imgProps }) => {
+  const { src, width, height, sources } = getResponsiveImage(image, sizes);
+
+  return (
+    <picture>
+      {sources.map((source) => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={source.sizes} />
+      ))}
+      <img src={src} alt={alt} width={width} height={height} loading={loading} decoding='async' {...imgProps} />
+    </picture>
+  )
+}
+
+export default ResponsiveImage
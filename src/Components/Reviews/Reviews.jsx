@@ -0,0 +1,232 @@
+import React, { useContext, useEffect, useState } from 'react'
+import "./Reviews.css"
+import { Link } from 'react-router-dom'
+import { ShopContext } from '../../Context/ShopContext'
+import { reviewAPI } from '../../services/api'
+import { formatDate } from '../../utils/orderHelper'
+import StarRating from '../StarRating/StarRating'
+
+const PAGE_SIZE = 5;
+
+const EMPTY_FORM = { rating: 0, title: '', text: '' };
+
+const Reviews = ({ product }) => {
+  const { user, fetchProducts } = useContext(ShopContext);
+  const productId = product?._id;
+  const [sort, setSort] = useState('newest');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ reviews: [], total: 0, totalPages: 1, myReview: null });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!productId) return;
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    reviewAPI.getForProduct(productId, { sort, page, limit: PAGE_SIZE })
+      .then((result) => {
+        if (!cancelled) setData(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load reviews');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, sort, page, reloadKey, user]);
+
+  const myReview = data.myReview;
+
+  const startEditing = () => {
+    setForm({ rating: myReview.rating, title: myReview.title || '', text: myReview.text });
+    setFormError('');
+    setEditing(true);
+  };
+
+  // Reload the list and the catalog (so the product's average rating updates)
+  const refresh = () => {
+    setReloadKey((key) => key + 1);
+    fetchProducts();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.rating) {
+      setFormError('Please choose a rating');
+      return;
+    }
+    if (!form.text.trim()) {
+      setFormError('Please write a few words about the product');
+      return;
+    }
+
+    setSaving(true);
+    setFormError('');
+    try {
+      if (myReview) {
+        await reviewAPI.update(myReview._id, form);
+      } else {
+        await reviewAPI.create(productId, form);
+      }
+      setForm(EMPTY_FORM);
+      setEditing(false);
+      refresh();
+    } catch (err) {
+      setFormError(err.message || 'Failed to save review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your review?')) return;
+    try {
+      await reviewAPI.delete(myReview._id);
+      setForm(EMPTY_FORM);
+      setEditing(false);
+      refresh();
+    } catch (err) {
+      alert(err.message || 'Failed to delete review');
+    }
+  };
+
+  const handleHelpful = async (review) => {
+    if (!user) {
+      alert('Please login to vote');
+      return;
+    }
+    try {
+      const updated = await reviewAPI.toggleHelpful(review._id);
+      setData((prev) => ({
+        ...prev,
+        reviews: prev.reviews.map((item) => (item._id === updated._id ? updated : item)),
+      }));
+    } catch (err) {
+      alert(err.message || 'Failed to record vote');
+    }
+  };
+
+  const showForm = user && (!myReview || editing);
+
+  return (
+    <div className='reviews'>
+      <div className='reviews-summary'>
+        <StarRating value={product?.rating?.average || 0} size={24} />
+        <p>
+          {product?.rating?.count
+            ? `${product.rating.average} out of 5 (${product.rating.count} review${product.rating.count === 1 ? '' : 's'})`
+            : 'No reviews yet'}
+        </p>
+      </div>
+
+      {!user && (
+        <p className='reviews-muted'><Link to='/login'>Login</Link> to write a review</p>
+      )}
+
+      {user && myReview && !editing && (
+        <div className='reviews-mine'>
+          <p>
+            You reviewed this product
+            {myReview.status === 'hidden' && ' (hidden by a moderator)'}
+          </p>
+          <button type='button' onClick={startEditing}>Edit</button>
+          <button type='button' onClick={handleDelete}>Delete</button>
+        </div>
+      )}
+
+      {showForm && (
+        <form className='reviews-form' onSubmit={handleSubmit}>
+          <h3>{myReview ? 'Edit your review' : 'Write a review'}</h3>
+          <StarRating value={form.rating} size={24} onChange={(rating) => setForm({ ...form, rating })} />
+          <input
+            type='text'
+            placeholder='Title (optional)'
+            maxLength={120}
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+          />
+          <textarea
+            placeholder='What did you think?'
+            rows="4"
+            maxLength={5000}
+            value={form.text}
+            onChange={(e) => setForm({ ...form, text: e.target.value })}
+          />
+          {formError && <p className='reviews-error'>{formError}</p>}
+          <div className='reviews-form-actions'>
+            <button type='submit' disabled={saving}>{saving ? 'Saving...' : 'Submit review'}</button>
+            {editing && <button type='button' onClick={() => setEditing(false)}>Cancel</button>}
+          </div>
+        </form>
+      )}
+
+      <div className='reviews-toolbar'>
+        <span>{data.total} review{data.total === 1 ? '' : 's'}</span>
+        <select
+          value={sort}
+          onChange={(e) => {
+            setSort(e.target.value);
+            setPage(1);
+          }}
+        >
+          <option value='newest'>Newest</option>
+          <option value='helpful'>Most helpful</option>
+          <option value='rating_high'>Highest rating</option>
+          <option value='rating_low'>Lowest rating</option>
+        </select>
+      </div>
+
+      {error && <p className='reviews-error'>{error}</p>}
+
+      {loading ? (
+        <p className='reviews-muted'>Loading reviews...</p>
+      ) : data.reviews.length === 0 ? (
+        <p className='reviews-muted'>Be the first to review this product</p>
+      ) : (
+        data.reviews.map((review) => (
+          <div key={review._id} className='reviews-item'>
+            <div className='reviews-item-header'>
+              <StarRating value={review.rating} size={16} />
+              {review.title && <strong>{review.title}</strong>}
+            </div>
+            <p className='reviews-muted'>
+              {review.user?.name || 'Customer'} · {formatDate(review.createdAt)}
+              {review.verifiedPurchase && <span className='reviews-verified'>Verified purchase</span>}
+            </p>
+            <p>{review.text}</p>
+            {review._id !== myReview?._id && (
+              <button
+                type='button'
+                className={`reviews-helpful ${review.votedHelpful ? 'reviews-helpful-active' : ''}`}
+                onClick={() => handleHelpful(review)}
+              >
+                Helpful ({review.helpfulCount})
+              </button>
+            )}
+          </div>
+        ))
+      )}
+
+      {data.totalPages > 1 && (
+        <div className='reviews-pagination'>
+          <button type='button' disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+          <span>Page {page} of {data.totalPages}</span>
+          <button type='button' disabled={page >= data.totalPages} onClick={() => setPage(page + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Reviews
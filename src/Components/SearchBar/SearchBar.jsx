@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from 'react'
+import "./SearchBar.css"
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { productAPI } from '../../services/api'
+import { getImageSrc } from '../../utils/imageHelper'
+
+// Wait this long after the last keystroke before asking for suggestions
+const SUGGEST_DELAY_MS = 250;
+
+const SearchBar = () => {
+  const [searchParams] = useSearchParams();
+  const [query, setQuery] = useState(searchParams.get('q') || '');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const navigate = useNavigate();
+
+  // Debounced autocomplete
+  useEffect(() => {
+    const term = query.trim();
+    if (term.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      productAPI.suggest(term)
+        .then((data) => {
+          if (cancelled) return;
+          setSuggestions(data.suggestions || []);
+          setHighlighted(-1);
+        })
+        .catch((error) => console.error('Error fetching suggestions:', error));
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const close = () => {
+    setOpen(false);
+    setHighlighted(-1);
+  };
+
+  const openProduct = (product) => {
+    close();
+    setQuery('');
+    navigate(`/product/${product._id}`);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (highlighted >= 0 && suggestions[highlighted]) {
+      openProduct(suggestions[highlighted]);
+      return;
+    }
+    const term = query.trim();
+    if (!term) return;
+    close();
+    navigate(`/search?q=${encodeURIComponent(term)}`);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  return (
+    <form className='searchbar' onSubmit={handleSubmit} role='search'>
+      <input
+        type='search'
+        placeholder='Search products'
+        value={query}
+        maxLength={100}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+        aria-label='Search products'
+        autoComplete='off'
+      />
+      <button type='submit'>Search</button>
+      {open && suggestions.length > 0 && (
+        <ul className='searchbar-suggestions'>
+          {suggestions.map((product, index) => (
+            <li
+              key={product._id}
+              className={index === highlighted ? 'searchbar-suggestion-active' : ''}
+              // onMouseDown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                openProduct(product);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+            >
+              <img src={getImageSrc(product.image)} alt="" height="40px" />
+              <span>{product.name}</span>
+              <span className='searchbar-suggestion-price'>${product.new_price}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  )
+}
+
+export default SearchBar
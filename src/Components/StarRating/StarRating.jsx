@@ -0,0 +1,26 @@
+import React from 'react'
+import "./StarRating.css"
+import star_icon from "../../assets/star_icon.png"
+import star_dull_icon from "../../assets/star_dull_icon.png";
+
+// Five stars with the first `value` (rounded) lit.
+// Pass onChange to make it a clickable rating picker.
+const StarRating = ({ value = 0, size = 20, onChange }) => {
+  const filled = Math.round(value);
+
+  return (
+    <div className={`starrating ${onChange ? 'starrating-input' : ''}`}>
+      {[1, 2, 3, 4, 5].map((star) => (
+        <img
+          key={star}
+          src={star <= filled ? star_icon : star_dull_icon}
+          alt={onChange ? `${star} star${star > 1 ? 's' : ''}` : ''}
+          height={`${size}px`}
+          onClick={onChange ? () => onChange(star) : undefined}
+        />
+      ))}
+    </div>
+  )
+}
+
+export default StarRating
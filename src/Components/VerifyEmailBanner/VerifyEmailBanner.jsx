@@ -0,0 +1,40 @@
+import React, { useContext, useState } from 'react'
+import "./VerifyEmailBanner.css"
+import { ShopContext } from '../../Context/ShopContext'
+import { authAPI } from '../../services/api'
+
+// Reminder shown under the navbar until the logged-in user confirms their email
+const VerifyEmailBanner = () => {
+  const { user } = useContext(ShopContext);
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  // Only for users the server reported as unverified (older stored sessions have no flag)
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const data = await authAPI.resendVerification();
+      setMessage(data.message);
+    } catch (err) {
+      setMessage(err.message || 'Failed to send email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className='verifyemailbanner'>
+      <span>Please confirm your email address - we sent a link to <strong>{user.email}</strong>.</span>
+      <button type='button' onClick={handleResend} disabled={sending}>
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+      {message && <span className='verifyemailbanner-message'>{message}</span>}
+    </div>
+  )
+}
+
+export default VerifyEmailBanner
@@ -0,0 +1,30 @@
+import React, { useContext } from 'react'
+import "./WishlistButton.css"
+import { ShopContext } from '../../Context/ShopContext'
+
+// Heart toggle for saving a product to the wishlist
+const WishlistButton = ({ productId, className = '' }) => {
+  const { isInWishlist, toggleWishlist } = useContext(ShopContext);
+  const saved = isInWishlist(productId);
+
+  const handleClick = (e) => {
+    // Cards wrap the button in a link - don't navigate when toggling
+    e.preventDefault();
+    e.stopPropagation();
+    toggleWishlist(productId);
+  };
+
+  return (
+    <button
+      type='button'
+      className={`wishlistbutton ${saved ? 'wishlistbutton-saved' : ''} ${className}`}
+      onClick={handleClick}
+      title={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+      aria-pressed={saved}
+    >
+      {saved ? '♥' : '♡'}
+    </button>
+  )
+}
+
+export default WishlistButton
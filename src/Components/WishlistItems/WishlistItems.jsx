@@ -0,0 +1,94 @@
+import React, { useContext, useState } from 'react'
+import "./WishlistItems.css"
+import { Link } from 'react-router-dom'
+import { ShopContext } from '../../Context/ShopContext'
+import remove_icon from "../../assets/remove.webp"
+import { getImageSrc } from '../../utils/imageHelper'
+import { getAvailableVariants } from '../../utils/variantHelper'
+
+const WishlistItems = () => {
+    const { all_product, wishlist, toggleWishlist, moveToCart } = useContext(ShopContext);
+    // Chosen variant per product: { productId: variantId }
+    const [selectedVariants, setSelectedVariants] = useState({});
+
+    // Look the saved IDs up in the catalog (products deleted from the store drop out)
+    const products = wishlist
+        .map((id) => all_product.find((product) => product._id === id))
+        .filter(Boolean);
+
+    const handleMoveToCart = async (product) => {
+        const hasVariants = product.variants?.length > 0;
+        const variantId = selectedVariants[product._id] || null;
+        if (hasVariants && !variantId) {
+            alert('Please select a size');
+            return;
+        }
+        await moveToCart(product._id, variantId);
+    };
+
+    if (products.length === 0) {
+        return (
+            <div className='wishlistitems'>
+                <h1>Your wishlist</h1>
+                <p className='wishlistitems-empty'>
+                    Nothing saved yet. Tap the heart on any product to save it for later. <Link to='/'>Continue shopping</Link>
+                </p>
+            </div>
+        )
+    }
+
+    return (
+        <div className='wishlistitems'>
+            <h1>Your wishlist ({products.length})</h1>
+            <div className="wishlistitems-format">
+                <p>Products</p>
+                <p>Title</p>
+                <p>Price</p>
+                <p>Size / Color</p>
+                <p></p>
+                <p>Remove</p>
+            </div>
+            <hr />
+            {products.map((product) => {
+                const variants = getAvailableVariants(product);
+                const hasVariants = product.variants?.length > 0;
+                const outOfStock = hasVariants ? variants.length === 0 : product.inStock === false;
+                return <div key={product._id}>
+                    <div className='wishlistitems-format wishlistitems-row'>
+                        <Link to={`/product/${product._id}`}>
+                            <img src={getImageSrc(product.image)} alt={product.name || ''} height="100px" />
+                        </Link>
+                        <p>{product.name}</p>
+                        <p>${product.new_price}</p>
+                        {hasVariants && !outOfStock ? (
+                            <select
+                                value={selectedVariants[product._id] || ''}
+                                onChange={(e) => setSelectedVariants({ ...selectedVariants, [product._id]: e.target.value })}
+                            >
+                                <option value=''>Select</option>
+                                {variants.map((variant) => (
+                                    <option key={variant._id} value={variant._id}>
+                                        {[variant.size, variant.color].filter(Boolean).join(' / ')}
+                                    </option>
+                                ))}
+                            </select>
+                        ) : (
+                            <p>{outOfStock ? 'Out of stock' : '-'}</p>
+                        )}
+                        <button
+                            className='wishlistitems-move'
+                            disabled={outOfStock}
+                            onClick={() => handleMoveToCart(product)}
+                        >
+                            MOVE TO CART
+                        </button>
+                        <img src={remove_icon} alt="" onClick={() => toggleWishlist(product._id)} height="20px" style={{cursor: 'pointer'}}/>
+                    </div>
+                    <hr/>
+                </div>
+            })}
+        </div>
+    )
+}
+
+export default WishlistItems
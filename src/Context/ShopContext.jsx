@@ -22,7 +22,16 @@
 import React, { createContext, useState, useEffect } from "react";
 
 // Import API functions to fetch data from backend
-import { productAPI, cartAPI, authAPI } from "../services/api";
+import { productAPI, categoryAPI, cartAPI, authAPI, wishlistAPI } from "../services/api";
+
+// Import helpers for variant (size/color) cart lines
+import { getCartKey, parseCartKey, findVariant, getVariantPrice } from "../utils/variantHelper";
+
+// Import helpers for the logged-out (localStorage) wishlist
+import { getLocalWishlist, saveLocalWishlist, clearLocalWishlist } from "../utils/localWishlist";
+
+// Import helpers for the logged-out (localStorage) cart
+import { getLocalCart, saveLocalCart, clearLocalCart, getLocalCartLines } from "../utils/localCart";
 
 /**
  * CREATE CONTEXT
@@ -48,20 +57,34 @@ const ShopContextProvider = (props) => {
   
   // Store all products from database
   const [all_product, setAllProduct] = useState([]);
+
+  // Category tree (navbar menu, breadcrumbs, admin forms)
+  const [categories, setCategories] = useState([]);
   
-  // Store cart items as object: { productId: quantity }
-  // Example: { "123": 2, "456": 1 } means product 123 has quantity 2, product 456 has quantity 1
-  const [cartItems, setCartItems] = useState({});
+  // Store cart items as object: { cartKey: quantity }
+  // A cart key is "productId" or "productId:variantId" (see utils/variantHelper.js)
+  // Example: { "123:abc": 2, "456": 1 } means variant abc of product 123 has quantity 2
+  // Guests start from the cart saved in localStorage; logged-in users load theirs in EFFECT 2
+  const [cartItems, setCartItems] = useState(() =>
+    authAPI.isAuthenticated() ? {} : getLocalCart()
+  );
   
   // Loading state - true while fetching data, false when done
   const [loading, setLoading] = useState(true);
   
   // Current logged-in user (null if not logged in)
-  const [user, setUser] = useState(null);
+  // Restored from localStorage right away (lazy initial state) so protected
+  // routes don't redirect to /login before the stored session is read
+  const [user, setUser] = useState(() => authAPI.getStoredUser());
   
   // Full cart object from API (contains more details than cartItems)
   const [cart, setCart] = useState(null);
 
+  // Saved product IDs - from the API when logged in, from localStorage for guests
+  const [wishlist, setWishlist] = useState(() =>
+    authAPI.isAuthenticated() ? [] : getLocalWishlist()
+  );
+
   /**
    * useEffect HOOK - Runs code when component mounts or dependencies change
    * 
@@ -72,43 +95,39 @@ const ShopContextProvider = (props) => {
    */
 
   /**
-   * EFFECT 1: Load user from localStorage when app starts
-   * Runs only once when component mounts (empty dependency array)
-   * 
-   * WHY: If user was logged in before, restore their session
-   */
-  useEffect(() => {
-    // Get user data stored in browser's localStorage
-    const storedUser = authAPI.getStoredUser();
-    
-    // If user exists in localStorage, set user state
-    // This keeps user logged in even after page refresh
-    if (storedUser) {
-      setUser(storedUser);
-    }
-  }, []); // Empty array = run only once on mount
-
-  /**
-   * EFFECT 2: Fetch products when component mounts
+   * EFFECT 1: Fetch products when component mounts
    * Runs once when app loads to get all products from database
    */
   useEffect(() => {
     fetchProducts(); // Call function to get products
+    fetchCategories();
   }, []); // Run once on mount
 
   /**
-   * EFFECT 3: Fetch cart when user logs in
+   * EFFECT 2: Fetch cart and wishlist when user logs in
    * Runs whenever 'user' state changes
    * 
-   * WHY: When user logs in, we need to load their cart from database
+   * WHY: When user logs in, we need to load their cart and wishlist from database
    */
   useEffect(() => {
-    // Only fetch cart if user is authenticated (logged in)
+    // Only fetch if user is authenticated (logged in)
     if (authAPI.isAuthenticated()) {
       fetchCart();
+      fetchWishlist();
     }
   }, [user]); // Run when 'user' changes
 
+  /**
+   * EFFECT 3: Log out locally when the session ends on the server
+   * api.js fires "auth:session-expired" when the refresh token stops working
+   * (logged out from another device, revoked, or expired)
+   */
+  useEffect(() => {
+    const handleSessionExpired = () => clearUserState();
+    window.addEventListener('auth:session-expired', handleSessionExpired);
+    return () => window.removeEventListener('auth:session-expired', handleSessionExpired);
+  }, []);
+
   /**
    * FUNCTION: Fetch Products from API
    * Gets all products from backend and stores in state
@@ -142,6 +161,17 @@ const ShopContextProvider = (props) => {
     }
   };
 
+  // Load the category tree (admins call this again after editing categories)
+  const fetchCategories = async () => {
+    try {
+      const response = await categoryAPI.getTree();
+      setCategories(response.categories || []);
+    } catch (error) {
+      console.error("Error fetching categories:", error);
+      setCategories([]);
+    }
+  };
+
   /**
    * FUNCTION: Fetch Cart from API
    * Gets user's cart from backend
@@ -157,16 +187,18 @@ const ShopContextProvider = (props) => {
       setCart(cartData);
       
       // Convert cart data to simpler format for components
-      // API returns: { items: [{ product: {...}, quantity: 2 }] }
-      // We convert to: { "productId": 2 } (easier to use in components)
+      // API returns: { items: [{ product: {...}, variant: "abc", quantity: 2 }] }
+      // We convert to: { "productId:abc": 2 } (easier to use in components)
       const cartItemsObj = {};
       if (cartData.items) {
         // Loop through each item in cart
         cartData.items.forEach((item) => {
+          // Skip lines whose product was deleted from the store
+          if (!item.product) return;
           // Get product ID (could be _id or id depending on how API returns it)
           const productId = item.product._id || item.product;
-          // Store quantity for this product
-          cartItemsObj[productId] = item.quantity;
+          // Store quantity for this product/variant line
+          cartItemsObj[getCartKey(productId, item.variant)] = item.quantity;
         });
       }
       // Update cartItems state with converted format
@@ -179,24 +211,37 @@ const ShopContextProvider = (props) => {
     }
   };
 
+  /**
+   * FUNCTION: Update the guest cart
+   * Saves to localStorage as well as state so the cart survives reloads
+   *
+   * @param {object} items - New cartItems ({ cartKey: quantity })
+   */
+  const setLocalCartItems = (items) => {
+    saveLocalCart(items);
+    setCartItems(items);
+  };
+
   /**
    * FUNCTION: Add Item to Cart
    * Adds a product to user's cart
+   * Guests get a localStorage cart that is merged into their account on login
    * 
    * @param {string} itemId - Product ID to add
+   * @param {string} variantId - Selected size/color variant (if the product has variants)
    */
-  const addTocart = async (itemId) => {
+  const addTocart = async (itemId, variantId = null) => {
     try {
-      // Check if user is logged in
-      // Can't add to cart without authentication (cart is saved in database)
+      // Not logged in - keep the cart in the browser until they log in
       if (!authAPI.isAuthenticated()) {
-        alert("Please login to add items to cart");
-        return; // Stop function execution
+        const key = getCartKey(itemId, variantId);
+        setLocalCartItems({ ...cartItems, [key]: (cartItems[key] || 0) + 1 });
+        return;
       }
       
       // Call API to add item to cart
       // Quantity defaults to 1 if not specified
-      await cartAPI.addItem(itemId, 1);
+      await cartAPI.addItem(itemId, 1, variantId);
       
       // Refresh cart to get updated data from server
       await fetchCart();
@@ -207,27 +252,31 @@ const ShopContextProvider = (props) => {
     }
   };
 
-  const removeFromCart = async (itemId) => {
+  /**
+   * FUNCTION: Remove one unit of a cart line
+   *
+   * @param {string} cartKey - Cart key ("productId" or "productId:variantId")
+   */
+  const removeFromCart = async (cartKey) => {
     try {
       if (!authAPI.isAuthenticated()) {
-        // Fallback to local state if not authenticated
-        setCartItems((prev) => {
-          const newCart = { ...prev };
-          if (newCart[itemId] > 1) {
-            newCart[itemId] = newCart[itemId] - 1;
-          } else {
-            delete newCart[itemId];
-          }
-          return newCart;
-        });
+        // Guest cart lives in localStorage
+        const newCart = { ...cartItems };
+        if (newCart[cartKey] > 1) {
+          newCart[cartKey] = newCart[cartKey] - 1;
+        } else {
+          delete newCart[cartKey];
+        }
+        setLocalCartItems(newCart);
         return;
       }
 
-      const currentQuantity = cartItems[itemId] || 0;
+      const { productId, variantId } = parseCartKey(cartKey);
+      const currentQuantity = cartItems[cartKey] || 0;
       if (currentQuantity > 1) {
-        await cartAPI.updateItem(itemId, currentQuantity - 1);
+        await cartAPI.updateItem(productId, currentQuantity - 1, variantId);
       } else {
-        await cartAPI.removeItem(itemId);
+        await cartAPI.removeItem(productId, variantId);
       }
       await fetchCart(); // Refresh cart
     } catch (error) {
@@ -237,32 +286,207 @@ const ShopContextProvider = (props) => {
   };
 
   /**
-   * FUNCTION: Calculate Total Cart Amount
-   * Sums up price of all items in cart
-   * 
-   * @returns {string} Total amount formatted to 2 decimal places
+   * FUNCTION: Apply Promo Code
+   * Server validates the code and returns the cart with discount in cart.totals
+   *
+   * @param {string} code - Promo code entered by the user
    */
-  const getTotalCartAmount = () => {
-    let totalAmount = 0;
-    
-    // Loop through each item in cart
-    // cartItems is object like: { "productId1": 2, "productId2": 1 }
-    for (const itemId in cartItems) {
-      // Only count items with quantity > 0
-      if (cartItems[itemId] > 0) {
+  const applyCoupon = async (code) => {
+    const cartData = await cartAPI.applyCoupon(code);
+    setCart(cartData);
+    return cartData;
+  };
+
+  /**
+   * FUNCTION: Remove Promo Code
+   */
+  const removeCoupon = async () => {
+    const cartData = await cartAPI.removeCoupon();
+    setCart(cartData);
+    return cartData;
+  };
+
+  /**
+   * FUNCTION: Get Cart Lines
+   * Resolves cartItems keys into full line objects for display
+   *
+   * @returns {Array} [{ key, product, variant, quantity, price }]
+   */
+  const getCartLines = () => {
+    const lines = [];
+
+    // cartItems is object like: { "productId1:variantId": 2, "productId2": 1 }
+    for (const key in cartItems) {
+      // Only include items with quantity > 0
+      if (cartItems[key] > 0) {
+        const { productId, variantId } = parseCartKey(key);
+
         // Find product info from all_product array
         // Product might have _id (MongoDB) or id (numeric)
-        const itemInfo = all_product.find(
-          (product) => product._id === itemId || product.id === itemId
+        const product = all_product.find(
+          (item) => item._id === productId || item.id?.toString() === productId
         );
-        
-        // If product found, calculate: price × quantity
-        if (itemInfo) {
-          totalAmount += itemInfo.new_price * cartItems[itemId];
-        }
+        if (!product) continue;
+
+        const variant = findVariant(product, variantId);
+        lines.push({
+          key,
+          product,
+          variant,
+          quantity: cartItems[key],
+          price: getVariantPrice(product, variant),
+        });
       }
     }
-    
+
+    return lines;
+  };
+
+  /**
+   * FUNCTION: Fetch Wishlist from API
+   * Stores just the product IDs - components look the products up in all_product
+   */
+  const fetchWishlist = async () => {
+    try {
+      const data = await wishlistAPI.get();
+      setWishlist((data.items || []).map((item) => item.product._id || item.product));
+    } catch (error) {
+      console.error("Error fetching wishlist:", error);
+      setWishlist([]);
+    }
+  };
+
+  /**
+   * FUNCTION: Check if a product is in the wishlist
+   *
+   * @param {string} productId - Product ID
+   * @returns {boolean}
+   */
+  const isInWishlist = (productId) => wishlist.includes(productId);
+
+  /**
+   * FUNCTION: Add or remove a product from the wishlist
+   * Guests get a localStorage wishlist that is merged into their account on login
+   *
+   * @param {string} productId - Product ID
+   */
+  const toggleWishlist = async (productId) => {
+    const saved = isInWishlist(productId);
+
+    if (!authAPI.isAuthenticated()) {
+      const ids = saved ? wishlist.filter((id) => id !== productId) : [...wishlist, productId];
+      saveLocalWishlist(ids);
+      setWishlist(ids);
+      return;
+    }
+
+    try {
+      const data = saved
+        ? await wishlistAPI.remove(productId)
+        : await wishlistAPI.add(productId);
+      setWishlist(data.items.map((item) => item.product._id));
+    } catch (error) {
+      console.error("Error updating wishlist:", error);
+      alert(error.message || "Failed to update wishlist");
+    }
+  };
+
+  /**
+   * FUNCTION: Move a wishlist product into the cart
+   * The server runs the same checks as "add to cart" (stock, size selection)
+   *
+   * @param {string} productId - Product ID
+   * @param {string} variantId - Selected size/color variant (if the product has variants)
+   * @returns {boolean} true if the product was moved
+   */
+  const moveToCart = async (productId, variantId = null) => {
+    try {
+      if (!authAPI.isAuthenticated()) {
+        // Guest: both lists live in localStorage
+        await addTocart(productId, variantId);
+        await toggleWishlist(productId);
+        return true;
+      }
+
+      const data = await wishlistAPI.moveToCart(productId, variantId);
+      setWishlist(data.items.map((item) => item.product._id));
+      await fetchCart();
+      return true;
+    } catch (error) {
+      console.error("Error moving item to cart:", error);
+      alert(error.message || "Failed to move item to cart");
+      return false;
+    }
+  };
+
+  /**
+   * FUNCTION: Merge the guest wishlist into the account
+   * Called right after login/signup (the token is already stored)
+   * If the merge fails the local list is kept and retried on the next login
+   */
+  const mergeLocalWishlist = async () => {
+    const localIds = getLocalWishlist();
+    if (localIds.length === 0) return;
+
+    try {
+      await wishlistAPI.merge(localIds);
+      clearLocalWishlist();
+    } catch (error) {
+      console.error("Error merging wishlist:", error);
+    }
+  };
+
+  /**
+   * FUNCTION: Buy Again
+   * Puts the items of a past order back in the cart (logged-in users only)
+   * Quantities are added to lines already in the cart
+   *
+   * @param {Array} items - Order items ({ product, variant, quantity })
+   * @returns {Promise<number>} How many items couldn't be added (no longer sold or not enough stock)
+   */
+  const buyAgain = async (items) => {
+    const result = await cartAPI.merge(items.map((item) => ({
+      productId: item.product?._id || item.product,
+      variantId: item.variant || null,
+      quantity: item.quantity,
+    })));
+    await fetchCart();
+    return result.dropped?.length || 0;
+  };
+
+  /**
+   * FUNCTION: Merge the guest cart into the account
+   * Called right after login/signup (the token is already stored)
+   * The server adds quantities to matching lines and drops products that no longer exist or are out of stock
+   */
+  const mergeLocalCart = async () => {
+    const lines = getLocalCartLines();
+    if (lines.length === 0) {
+      clearLocalCart();
+      return;
+    }
+
+    try {
+      await cartAPI.merge(lines);
+      clearLocalCart();
+    } catch (error) {
+      console.error("Error merging cart:", error);
+    }
+  };
+
+  /**
+   * FUNCTION: Calculate Total Cart Amount
+   * Sums up price of all items in cart
+   * 
+   * @returns {string} Total amount formatted to 2 decimal places
+   */
+  const getTotalCartAmount = () => {
+    // price × quantity for every line (variant price overrides product price)
+    const totalAmount = getCartLines().reduce(
+      (sum, line) => sum + line.price * line.quantity,
+      0
+    );
+
     // Return formatted to 2 decimal places (e.g., "99.50")
     return totalAmount.toFixed(2);
   };
@@ -298,6 +522,11 @@ const ShopContextProvider = (props) => {
       // Call API to login
       // API returns token and user data
       const data = await authAPI.login(email, password);
+
+      // Bring over the cart and wishlist filled while logged out
+      // (before setUser, so EFFECT 2 loads the merged versions)
+      await mergeLocalCart();
+      await mergeLocalWishlist();
       
       // Update user state with logged-in user
       setUser(data.user);
@@ -325,6 +554,10 @@ const ShopContextProvider = (props) => {
     try {
       // Call API to create account
       const data = await authAPI.signup(name, email, password);
+
+      // Keep the guest cart and wishlist for the new account too
+      await mergeLocalCart();
+      await mergeLocalWishlist();
       
       // Set user (automatically logged in after signup)
       setUser(data.user);
@@ -338,18 +571,34 @@ const ShopContextProvider = (props) => {
     }
   };
 
+  /**
+   * FUNCTION: Update the logged-in user's details
+   * Keeps localStorage in step so the change survives a reload
+   *
+   * @param {object} updates - Fields to change (e.g. { emailVerified: true })
+   */
+  const updateUser = (updates) => {
+    const updatedUser = { ...user, ...updates };
+    authAPI.setStoredUser(updatedUser);
+    setUser(updatedUser);
+  };
+
   /**
    * FUNCTION: Logout User
    * Clears user data and cart
    */
   const logout = () => {
-    // Remove token and user from localStorage (via API function)
+    // Remove tokens and user from localStorage and end the session (via API function)
     authAPI.logout();
-    
-    // Clear all user-related state
+    clearUserState();
+  };
+
+  // Reset everything tied to the logged-in user (shared by logout and session expiry)
+  const clearUserState = () => {
     setUser(null);          // No user logged in
-    setCartItems({});       // Empty cart
+    setCartItems(getLocalCart()); // Back to the (guest) local cart
     setCart(null);          // Clear cart object
+    setWishlist(getLocalWishlist()); // Back to the (guest) local wishlist
   };
 
   /**
@@ -360,20 +609,32 @@ const ShopContextProvider = (props) => {
   const contextValue = {
     // Data
     all_product,      // All products from database
+    categories,       // Category tree
     cartItems,        // Cart items as object
     loading,          // Loading state
     user,             // Current logged-in user
     cart,             // Full cart object
+    wishlist,         // Saved product IDs
     
     // Functions
     getTotalCartItems,    // Count items in cart
     getTotalCartAmount,   // Calculate total price
+    getCartLines,         // Cart lines with product/variant details
     addTocart,           // Add item to cart
     removeFromCart,      // Remove item from cart
+    applyCoupon,         // Apply promo code to cart
+    removeCoupon,        // Remove promo code from cart
+    isInWishlist,        // Check if a product is saved
+    toggleWishlist,      // Save/unsave a product
+    moveToCart,          // Move a saved product into the cart
+    buyAgain,            // Put a past order's items back in the cart
     login,               // Login function
     signup,              // Signup function
     logout,              // Logout function
+    updateUser,          // Update stored user details
     fetchProducts,       // Refresh products from API
+    fetchCategories,     // Refresh the category tree from API
+    fetchCart,           // Refresh cart from API
   };
 
   /**
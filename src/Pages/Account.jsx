@@ -0,0 +1,35 @@
+import React from 'react'
+import { NavLink, Navigate, Route, Routes } from 'react-router-dom'
+import "../Components/Account/Account.css"
+import AccountProfile from '../Components/Account/AccountProfile'
+import AccountOrders from '../Components/Account/AccountOrders'
+import AccountOrderDetail from '../Components/Account/AccountOrderDetail'
+import AddressBook from './AddressBook'
+import Sessions from './Sessions'
+
+// Customer account area - App.jsx only mounts this behind <ProtectedRoute>
+const Account = () => {
+  return (
+    <div className='account'>
+      <div className='account-sidebar'>
+        <h2>My account</h2>
+        <NavLink to="/account/profile">Profile</NavLink>
+        <NavLink to="/account/orders">Orders</NavLink>
+        <NavLink to="/account/addresses">Addresses</NavLink>
+        <NavLink to="/account/sessions">Devices</NavLink>
+      </div>
+      <div className='account-content'>
+        <Routes>
+          <Route index element={<Navigate to="orders" replace/>}/>
+          <Route path="profile" element={<AccountProfile/>}/>
+          <Route path="orders" element={<AccountOrders/>}/>
+          <Route path="orders/:orderId" element={<AccountOrderDetail/>}/>
+          <Route path="addresses" element={<AddressBook/>}/>
+          <Route path="sessions" element={<Sessions/>}/>
+        </Routes>
+      </div>
+    </div>
+  )
+}
+
+export default Account
@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react'
+import "../CSS/AddressBook.css"
+import { authAPI } from '../services/api'
+import AddressForm from '../Components/AddressForm/AddressForm'
+import { EMPTY_ADDRESS, validateAddress, formatAddress } from '../utils/addressValidation'
+
+// Form values for an existing address (the API leaves optional fields out when empty)
+const toFormValues = (address) =>
+  Object.fromEntries(Object.keys(EMPTY_ADDRESS).map((field) => [field, address[field] || EMPTY_ADDRESS[field]]));
+
+// Saved shipping/billing addresses with add, edit, delete and default selection
+const AddressBook = () => {
+  const [book, setBook] = useState({ addresses: [], defaultShippingAddress: null, defaultBillingAddress: null });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  // null = no form open, 'new' = adding, otherwise the id of the address being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_ADDRESS);
+  const [defaults, setDefaults] = useState({ isDefaultShipping: false, isDefaultBilling: false });
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    authAPI.getAddresses()
+      .then((data) => { if (!cancelled) setBook(data); })
+      .catch((err) => { if (!cancelled) setError(err.message || 'Failed to load addresses'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const openForm = (address = null) => {
+    setErrors({});
+    setError('');
+    setEditing(address ? address._id : 'new');
+    setForm(address ? toFormValues(address) : EMPTY_ADDRESS);
+    setDefaults({
+      isDefaultShipping: address ? book.defaultShippingAddress === address._id : false,
+      isDefaultBilling: address ? book.defaultBillingAddress === address._id : false,
+    });
+  };
+
+  const closeForm = () => {
+    setEditing(null);
+    setErrors({});
+  };
+
+  // Runs an API call that returns the updated book
+  const updateBook = async (request) => {
+    try {
+      setBusy(true);
+      setError('');
+      setBook(await request());
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to save the address');
+      setErrors(err.data?.errors || {});
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateAddress(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const payload = { ...form, ...defaults };
+    const saved = await updateBook(() =>
+      editing === 'new' ? authAPI.addAddress(payload) : authAPI.updateAddress(editing, payload)
+    );
+    if (saved) closeForm();
+  };
+
+  const handleDelete = (address) => {
+    if (!window.confirm(`Delete ${address.label || 'this address'}?`)) return;
+    if (editing === address._id) closeForm();
+    updateBook(() => authAPI.deleteAddress(address._id));
+  };
+
+  const setDefault = (address, field) =>
+    updateBook(() => authAPI.updateAddress(address._id, { ...toFormValues(address), [field]: true }));
+
+  return (
+    <div className='addressbook'>
+      <h1>Address book</h1>
+      {error && <p className='addressbook-error'>{error}</p>}
+      {loading ? (
+        <p className='addressbook-muted'>Loading...</p>
+      ) : (
+        <>
+          {book.addresses.length === 0 && editing === null && (
+            <p className='addressbook-muted'>You haven't saved any addresses yet.</p>
+          )}
+          <ul className='addressbook-list'>
+            {book.addresses.map((address) => {
+              const isDefaultShipping = book.defaultShippingAddress === address._id;
+              const isDefaultBilling = book.defaultBillingAddress === address._id;
+              return (
+                <li key={address._id} className='addressbook-item'>
+                  <div>
+                    <div className='addressbook-title'>
+                      {address.label || address.fullName || 'Address'}
+                      {isDefaultShipping && <span className='addressbook-badge'>Default shipping</span>}
+                      {isDefaultBilling && <span className='addressbook-badge'>Default billing</span>}
+                    </div>
+                    {address.label && address.fullName && <div>{address.fullName}</div>}
+                    <div className='addressbook-muted'>{formatAddress(address)}</div>
+                    {address.phone && <div className='addressbook-muted'>{address.phone}</div>}
+                  </div>
+                  <div className='addressbook-actions'>
+                    <button onClick={() => openForm(address)} disabled={busy}>Edit</button>
+                    <button onClick={() => handleDelete(address)} disabled={busy}>Delete</button>
+                    {!isDefaultShipping && (
+                      <button onClick={() => setDefault(address, 'isDefaultShipping')} disabled={busy}>Use for shipping</button>
+                    )}
+                    {!isDefaultBilling && (
+                      <button onClick={() => setDefault(address, 'isDefaultBilling')} disabled={busy}>Use for billing</button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          {editing === null ? (
+            <div>
+              <button onClick={() => openForm()} disabled={busy}>Add a new address</button>
+            </div>
+          ) : (
+            <form className='addressbook-form' onSubmit={handleSubmit} noValidate>
+              <h2>{editing === 'new' ? 'New address' : 'Edit address'}</h2>
+              <AddressForm address={form} onChange={setForm} errors={errors} showLabel />
+              <label className='addressbook-checkbox'>
+                <input
+                  type='checkbox'
+                  checked={defaults.isDefaultShipping}
+                  onChange={(e) => setDefaults({ ...defaults, isDefaultShipping: e.target.checked })}
+                />
+                Default shipping address
+              </label>
+              <label className='addressbook-checkbox'>
+                <input
+                  type='checkbox'
+                  checked={defaults.isDefaultBilling}
+                  onChange={(e) => setDefaults({ ...defaults, isDefaultBilling: e.target.checked })}
+                />
+                Default billing address
+              </label>
+              <div className='addressbook-actions'>
+                <button type='submit' disabled={busy}>{busy ? 'Saving...' : 'Save address'}</button>
+                <button type='button' onClick={closeForm} disabled={busy}>Cancel</button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AddressBook
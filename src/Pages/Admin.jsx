@@ -0,0 +1,47 @@
+import React from 'react'
+import { NavLink, Navigate, Route, Routes } from 'react-router-dom'
+import "../Components/Admin/Admin.css"
+import AdminProducts from '../Components/Admin/AdminProducts'
+import AdminProductForm from '../Components/Admin/AdminProductForm'
+import AdminCategories from '../Components/Admin/AdminCategories'
+import AdminCollections from '../Components/Admin/AdminCollections'
+import AdminCollectionForm from '../Components/Admin/AdminCollectionForm'
+import AdminOrders from '../Components/Admin/AdminOrders'
+import AdminOrderDetail from '../Components/Admin/AdminOrderDetail'
+import AdminReviews from '../Components/Admin/AdminReviews'
+import AdminNewsletter from '../Components/Admin/AdminNewsletter'
+
+// Admin dashboard - App.jsx only mounts this behind <ProtectedRoute adminOnly>
+const Admin = () => {
+  return (
+    <div className='admin'>
+      <div className='admin-sidebar'>
+        <h2>Admin</h2>
+        <NavLink to="/admin/products">Products</NavLink>
+        <NavLink to="/admin/categories">Categories</NavLink>
+        <NavLink to="/admin/collections">Collections</NavLink>
+        <NavLink to="/admin/orders">Orders</NavLink>
+        <NavLink to="/admin/reviews">Reviews</NavLink>
+        <NavLink to="/admin/newsletter">Newsletter</NavLink>
+      </div>
+      <div className='admin-content'>
+        <Routes>
+          <Route index element={<Navigate to="products" replace/>}/>
+          <Route path="products" element={<AdminProducts/>}/>
+          <Route path="products/new" element={<AdminProductForm/>}/>
+          <Route path="products/:productId/edit" element={<AdminProductForm/>}/>
+          <Route path="categories" element={<AdminCategories/>}/>
+          <Route path="collections" element={<AdminCollections/>}/>
+          <Route path="collections/new" element={<AdminCollectionForm/>}/>
+          <Route path="collections/:collectionSlug/edit" element={<AdminCollectionForm/>}/>
+          <Route path="orders" element={<AdminOrders/>}/>
+          <Route path="orders/:orderId" element={<AdminOrderDetail/>}/>
+          <Route path="reviews" element={<AdminReviews/>}/>
+          <Route path="newsletter" element={<AdminNewsletter/>}/>
+        </Routes>
+      </div>
+    </div>
+  )
+}
+
+export default Admin
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react'
+import "../CSS/ShopCategory.css"
+import { useParams } from 'react-router-dom'
+import { collectionAPI } from '../services/api'
+import Item from '../Components/Item/Item'
+
+const PAGE_SIZE = 12;
+
+// Collection page (/collections/:slug) - the products admins curated or a saved rule picks
+// "Explore More" appends the next page
+const Collection = () => {
+  const { slug } = useParams();
+  const [collection, setCollection] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  // Pages loaded so far, per collection - switching collections starts again from page 1
+  const [loaded, setLoaded] = useState({ slug, page: 1 });
+  const page = loaded.slug === slug ? loaded.page : 1;
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    collectionAPI.getBySlug(slug, { page, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setCollection(data.collection);
+        setProducts((prev) => (page === 1 ? data.products : [...prev, ...data.products]));
+        setTotal(data.total || 0);
+        setTotalPages(Math.max(data.totalPages || 1, 1));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setCollection(null);
+        setProducts([]);
+        setError(err.message || 'Failed to load collection');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, page]);
+
+  if (error && !collection) {
+    return (
+      <div className='shop-category'>
+        <p className='shopcategory-error'>{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className='shop-category'>
+      {collection?.banner
+        ? <img className='shopcategory-banner' src={collection.banner} alt={collection.name} />
+        : <h1 className='shopcategory-title'>{collection?.name}</h1>}
+      {collection?.description && <p className='shopcategory-description'>{collection.description}</p>}
+      <div className='shopcategory-indexSort'>
+        <p>
+          {total > 0
+            ? <><span>Showing 1-{products.length}</span> out of {total} products</>
+            : <span>{loading ? 'Loading products...' : 'No products in this collection yet'}</span>}
+        </p>
+      </div>
+      {error && <p className='shopcategory-error'>{error}</p>}
+      <div className="shopcategory-products">
+        {products.map((item) => (
+          <Item key={item._id} id={item._id} _id={item._id} name={item.name} image={item.image} images={item.images} new_price={item.new_price} old_price={item.old_price}/>
+        ))}
+      </div>
+
+      {page < totalPages && (
+        <button
+          type='button'
+          className="shopcategory-loadmore"
+          disabled={loading}
+          onClick={() => setLoaded({ slug, page: page + 1 })}
+        >
+          {loading ? 'Loading...' : 'Explore More'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default Collection
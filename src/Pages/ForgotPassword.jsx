@@ -0,0 +1,63 @@
+import React, { useState } from 'react'
+import "../CSS/LoginSignup.css"
+import { Link } from 'react-router-dom'
+import { authAPI } from '../services/api'
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    const trimmedEmail = email.trim();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(trimmedEmail)) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const data = await authAPI.forgotPassword(trimmedEmail.toLowerCase());
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message || 'An error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className='loginsignup'>
+      <div className="loginsignup-container">
+        <h1>Forgot Password</h1>
+        <p className='loginsignup-hint'>Enter your account email and we'll send you a link to choose a new password.</p>
+        {error && <div style={{color: 'red', marginBottom: '10px'}}>{error}</div>}
+        {message && <div className='loginsignup-success'>{message}</div>}
+        <form onSubmit={handleSubmit} noValidate>
+          <div className='loginsignup-fields'>
+            <input
+              type='email'
+              placeholder='Email Address'
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+            <button type="submit" disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </div>
+        </form>
+        <p className="loginsignup-login">
+          Remembered it? <Link to='/login' state={{ mode: 'login' }}><span>Login here</span></Link>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
@@ -1,19 +1,32 @@
-import React, { useState, useContext } from 'react'
+import React, { useState, useContext, useEffect } from 'react'
 import "../CSS/LoginSignup.css"
 import { ShopContext } from '../Context/ShopContext'
-import { useNavigate } from 'react-router-dom'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
 
 const LoginSignup = () => {
-  const [isLogin, setIsLogin] = useState(false);
+  const location = useLocation();
+  // Pages like "reset password" link here with state.mode = 'login'
+  const [isLogin, setIsLogin] = useState(location.state?.mode === 'login');
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  // After a 429 (too many attempts / account locked) the form waits until this time
+  const [retryAt, setRetryAt] = useState(0);
   
   const { login, signup } = useContext(ShopContext);
   const navigate = useNavigate();
+  // Protected routes send users here with the page they wanted in state.from
+  const redirectTo = location.state?.from || '/';
+
+  // Re-enable the form once the server's Retry-After has passed
+  useEffect(() => {
+    if (!retryAt) return;
+    const timer = setTimeout(() => setRetryAt(0), Math.max(retryAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [retryAt]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -44,7 +57,7 @@ const LoginSignup = () => {
 
         // Normalize email to lowercase before sending
         await login(trimmedEmail.toLowerCase(), trimmedPassword);
-        navigate('/');
+        navigate(redirectTo);
       } else {
         // Validate signup fields
         if (!trimmedName || !trimmedEmail || !trimmedPassword) {
@@ -69,10 +82,14 @@ const LoginSignup = () => {
         }
 
         await signup(trimmedName, trimmedEmail.toLowerCase(), trimmedPassword);
-        navigate('/');
+        navigate(redirectTo);
       }
     } catch (err) {
       setError(err.message || 'An error occurred. Please try again.');
+      // The message already says how long to wait
+      if (err.status === 429 && err.data?.retryAfter) {
+        setRetryAt(Date.now() + err.data.retryAfter * 1000);
+      }
     } finally {
       setLoading(false);
     }
@@ -130,8 +147,11 @@ const LoginSignup = () => {
                 )}
               </button>
             </div>
-            <button type="submit" disabled={loading}>
-              {loading ? 'Processing...' : 'Continue'}
+            {isLogin && (
+              <Link to='/forgot-password' className='loginsignup-forgot'>Forgot password?</Link>
+            )}
+            <button type="submit" disabled={loading || retryAt > 0}>
+              {loading ? 'Processing...' : retryAt > 0 ? 'Please wait...' : 'Continue'}
             </button>
           </div>
         </form>
@@ -142,6 +162,7 @@ const LoginSignup = () => {
             onClick={() => {
               setIsLogin(!isLogin);
               setError('');
+              setRetryAt(0);
               setName('');
               setEmail('');
               setPassword('');
@@ -0,0 +1,53 @@
+import React, { useEffect, useRef, useState } from 'react'
+import "../CSS/LoginSignup.css"
+import { Link, useSearchParams } from 'react-router-dom'
+import { newsletterAPI } from '../services/api'
+
+// Landing page for the link in the confirmation email: /newsletter/confirm?token=...
+const NewsletterConfirm = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState(token ? 'confirming' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This confirmation link is incomplete.');
+  // Tokens are single-use, so only submit once (StrictMode runs effects twice)
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    newsletterAPI.confirm(token)
+      .then((data) => {
+        setStatus('success');
+        setMessage(data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'Could not confirm your subscription');
+      });
+  }, [token]);
+
+  return (
+    <div className='loginsignup'>
+      <div className="loginsignup-container">
+        <h1>Newsletter</h1>
+        {status === 'confirming' && <p className='loginsignup-hint'>Confirming your subscription...</p>}
+        {status === 'success' && (
+          <>
+            <div className='loginsignup-success'>{message}. Exclusive offers are on their way!</div>
+            <p className="loginsignup-login"><Link to='/'><span>Continue shopping</span></Link></p>
+          </>
+        )}
+        {status === 'error' && (
+          <>
+            <div style={{color: 'red', marginBottom: '10px'}}>{message}</div>
+            <p className='loginsignup-hint'>Subscribe again at the bottom of the home page to get a new link.</p>
+            <p className="loginsignup-login"><Link to='/'><span>Go to the home page</span></Link></p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default NewsletterConfirm
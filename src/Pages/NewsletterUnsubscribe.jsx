@@ -0,0 +1,56 @@
+import React, { useState } from 'react'
+import "../CSS/LoginSignup.css"
+import { Link, useSearchParams } from 'react-router-dom'
+import { newsletterAPI } from '../services/api'
+
+// Landing page for the unsubscribe link in newsletter emails: /newsletter/unsubscribe?id=...&sig=...
+// Asks for a click first, so mail scanners that open links don't unsubscribe anyone
+const NewsletterUnsubscribe = () => {
+  const [searchParams] = useSearchParams();
+  const id = searchParams.get('id') || '';
+  const signature = searchParams.get('sig') || '';
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(id && signature ? '' : 'This unsubscribe link is incomplete.');
+  const [loading, setLoading] = useState(false);
+
+  const handleUnsubscribe = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await newsletterAPI.unsubscribe(id, signature);
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message || 'Could not unsubscribe. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className='loginsignup'>
+      <div className="loginsignup-container">
+        <h1>Unsubscribe</h1>
+        {message ? (
+          <>
+            <div className='loginsignup-success'>{message}.</div>
+            <p className="loginsignup-login"><Link to='/'><span>Continue shopping</span></Link></p>
+          </>
+        ) : (
+          <>
+            {error && <div style={{color: 'red', marginBottom: '10px'}}>{error}</div>}
+            <p className='loginsignup-hint'>Stop receiving our newsletter and exclusive offers by email?</p>
+            {id && signature && (
+              <div className='loginsignup-fields'>
+                <button type='button' onClick={handleUnsubscribe} disabled={loading}>
+                  {loading ? 'Unsubscribing...' : 'Unsubscribe'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default NewsletterUnsubscribe
@@ -0,0 +1,77 @@
+import React, { useState } from 'react'
+import "../CSS/LoginSignup.css"
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { paymentAPI } from '../services/api'
+
+// Stand-in for the bank's 3-D Secure page when using the mock payment gateway
+// The gateway sends the customer here: /payment/authenticate?intent=...&secret=...
+const PaymentAuthenticate = () => {
+  const [searchParams] = useSearchParams();
+  const intentId = searchParams.get('intent') || '';
+  const clientSecret = searchParams.get('secret') || '';
+  const navigate = useNavigate();
+  const [status, setStatus] = useState(intentId && clientSecret ? 'waiting' : 'error');
+  const [message, setMessage] = useState(intentId && clientSecret ? '' : 'This payment link is incomplete.');
+  const [orderId, setOrderId] = useState(null);
+
+  const handleAnswer = async (approved) => {
+    setStatus('submitting');
+    try {
+      const result = await paymentAPI.mockAuthenticate(intentId, clientSecret, approved);
+      setOrderId(result.orderId);
+      // Update the order now instead of waiting for the webhook
+      const payment = await paymentAPI.sync(result.orderId);
+      if (payment.status === 'succeeded') {
+        setStatus('success');
+      } else {
+        setStatus('failed');
+        setMessage(payment.error?.message || 'The payment was not completed');
+      }
+    } catch (err) {
+      setStatus('error');
+      setMessage(err.message || 'Could not complete the payment');
+    }
+  };
+
+  return (
+    <div className='loginsignup'>
+      <div className="loginsignup-container">
+        <h1>Confirm payment</h1>
+        {(status === 'waiting' || status === 'submitting') && (
+          <>
+            <p className='loginsignup-hint'>
+              Test bank: approve this payment to complete your order, or decline it to see how a failed check is handled.
+            </p>
+            <button onClick={() => handleAnswer(true)} disabled={status === 'submitting'}>
+              {status === 'submitting' ? 'Please wait...' : 'Approve'}
+            </button>
+            <p className="loginsignup-login">
+              <span onClick={() => status === 'waiting' && handleAnswer(false)}>Decline</span>
+            </p>
+          </>
+        )}
+        {status === 'success' && (
+          <>
+            <div className='loginsignup-success'>Payment successful! Your order has been placed.</div>
+            <p className="loginsignup-login"><Link to={`/account/orders/${orderId}`}><span>View your order</span></Link></p>
+          </>
+        )}
+        {status === 'failed' && (
+          <>
+            <div style={{color: 'red', marginBottom: '10px'}}>{message}</div>
+            <p className='loginsignup-hint'>Your order is saved - you can pay for it with another card.</p>
+            <button onClick={() => navigate('/cart', { state: { payOrderId: orderId } })}>Try again</button>
+          </>
+        )}
+        {status === 'error' && (
+          <>
+            <div style={{color: 'red', marginBottom: '10px'}}>{message}</div>
+            <p className="loginsignup-login"><Link to='/'><span>Go to the home page</span></Link></p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PaymentAuthenticate
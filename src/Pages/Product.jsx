@@ -21,7 +21,7 @@ const Product = () => {
     <div>
       <Bredcrums product={product}/>
       <ProductDisplay product={product}/>
-      <Description/>
+      <Description product={product}/>
       <RelatedProducts/>
     </div>
   )
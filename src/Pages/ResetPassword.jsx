@@ -0,0 +1,97 @@
+import React, { useContext, useState } from 'react'
+import "../CSS/LoginSignup.css"
+import { Link, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import { ShopContext } from '../Context/ShopContext'
+
+// Landing page for the emailed link: /reset-password?token=...
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { logout } = useContext(ShopContext);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.trim().length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await authAPI.resetPassword(token, password.trim());
+      // Every session was revoked on the server, including this browser's
+      logout();
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'An error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className='loginsignup'>
+        <div className="loginsignup-container">
+          <h1>Reset Password</h1>
+          <p className='loginsignup-hint'>This reset link is incomplete. Please request a new one.</p>
+          <p className="loginsignup-login"><Link to='/forgot-password'><span>Request a new link</span></Link></p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className='loginsignup'>
+      <div className="loginsignup-container">
+        <h1>Reset Password</h1>
+        {done ? (
+          <>
+            <div className='loginsignup-success'>Your password has been updated. You've been logged out on all devices.</div>
+            <p className="loginsignup-login"><Link to='/login' state={{ mode: 'login' }}><span>Login with your new password</span></Link></p>
+          </>
+        ) : (
+          <>
+            {error && <div style={{color: 'red', marginBottom: '10px'}}>{error}</div>}
+            <form onSubmit={handleSubmit} noValidate>
+              <div className='loginsignup-fields'>
+                <input
+                  type='password'
+                  placeholder='New Password'
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+                <input
+                  type='password'
+                  placeholder='Confirm New Password'
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                />
+                <button type="submit" disabled={loading}>
+                  {loading ? 'Saving...' : 'Set New Password'}
+                </button>
+              </div>
+            </form>
+            {error && (
+              <p className="loginsignup-login"><Link to='/forgot-password'><span>Request a new link</span></Link></p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react'
+import "../CSS/Search.css"
+import { useSearchParams } from 'react-router-dom'
+import { productAPI } from '../services/api'
+import Item from '../Components/Item/Item'
+
+const PAGE_SIZE = 12;
+
+// Search results for /search?q=...&page=... (ranked by relevance on the server)
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = (searchParams.get('q') || '').trim();
+  const page = Math.max(parseInt(searchParams.get('page')) || 1, 1);
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!query) {
+      setProducts([]);
+      setTotal(0);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    productAPI.search(query, { page, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setProducts(data.products || []);
+        setTotal(data.total || 0);
+        setTotalPages(Math.max(data.totalPages || 1, 1));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Search failed');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, page]);
+
+  const goToPage = (nextPage) => {
+    setSearchParams({ q: query, page: nextPage });
+    window.scrollTo(0, 0);
+  };
+
+  if (!query) {
+    return (
+      <div className='search'>
+        <h1>Search</h1>
+        <p className='search-muted'>Type in the search bar to find products.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className='search'>
+      <h1>Results for "{query}"</h1>
+      {error && <p className='search-error'>{error}</p>}
+      {loading ? (
+        <p className='search-muted'>Searching...</p>
+      ) : products.length === 0 ? (
+        !error && <p className='search-muted'>No products match your search. Try fewer or different words.</p>
+      ) : (
+        <>
+          <p className='search-muted'>
+            Showing {(page - 1) * PAGE_SIZE + 1}-{(page - 1) * PAGE_SIZE + products.length} of {total} products
+          </p>
+          <div className="search-products">
+            {products.map((item) => (
+              <Item key={item._id} id={item._id} _id={item._id} name={item.name} image={item.image} images={item.images} new_price={item.new_price} old_price={item.old_price}/>
+            ))}
+          </div>
+          {totalPages > 1 && (
+            <div className='search-pagination'>
+              <button type='button' disabled={page <= 1} onClick={() => goToPage(page - 1)}>Previous</button>
+              <span>Page {page} of {totalPages}</span>
+              <button type='button' disabled={page >= totalPages} onClick={() => goToPage(page + 1)}>Next</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Search
@@ -0,0 +1,115 @@
+import React, { useContext, useEffect, useState } from 'react'
+import "../CSS/Sessions.css"
+import { useNavigate } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import { ShopContext } from '../Context/ShopContext'
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// Devices the account is logged in on, with per-device and global logout
+const Sessions = () => {
+  const { logout } = useContext(ShopContext);
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadSessions = async () => {
+    try {
+      setError('');
+      const data = await authAPI.getSessions();
+      setSessions(data.sessions || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  // Ending this browser's own session is the same as logging out
+  const endCurrentSession = () => {
+    logout();
+    navigate('/login', { state: { mode: 'login' } });
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      setBusy(true);
+      await authAPI.revokeSession(session.id);
+      if (session.current) {
+        endCurrentSession();
+        return;
+      }
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Failed to log out the device');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevokeAll = async (othersOnly) => {
+    try {
+      setBusy(true);
+      await authAPI.revokeAllSessions(othersOnly);
+      if (!othersOnly) {
+        endCurrentSession();
+        return;
+      }
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Failed to log out');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className='sessions'>
+      <h1>Where you're logged in</h1>
+      {error && <p className='sessions-error'>{error}</p>}
+      {loading ? (
+        <p className='sessions-muted'>Loading...</p>
+      ) : (
+        <>
+          <ul className='sessions-list'>
+            {sessions.map((session) => (
+              <li key={session.id} className='sessions-item'>
+                <div>
+                  <p className='sessions-device'>
+                    {session.device}
+                    {session.current && <span className='sessions-current'>This device</span>}
+                  </p>
+                  <p className='sessions-muted'>
+                    {session.ip && <>{session.ip} · </>}
+                    Last active {formatDate(session.lastUsedAt)} · Logged in {formatDate(session.createdAt)}
+                  </p>
+                </div>
+                <button type='button' disabled={busy} onClick={() => handleRevoke(session)}>
+                  Log out
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className='sessions-actions'>
+            {sessions.length > 1 && (
+              <button type='button' disabled={busy} onClick={() => handleRevokeAll(true)}>
+                Log out other devices
+              </button>
+            )}
+            <button type='button' disabled={busy} onClick={() => handleRevokeAll(false)}>
+              Log out everywhere
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Sessions
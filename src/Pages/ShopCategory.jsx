@@ -1,41 +1,210 @@
-import React, { useContext, useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import "../CSS/ShopCategory.css"
-import { ShopContext } from '../Context/ShopContext'
-import dropdown_icon from "../assets/dropdown_icon.png"
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { productAPI, categoryAPI } from '../services/api'
 import Item from '../Components/Item/Item'
-const ShopCategory = (props) => {
-  const {all_product}=useContext(ShopContext);
-  
+import Bredcrums from '../Components/Bredcrums/BredCrums'
+import { getCategoryUrl } from '../utils/categoryHelper'
+
+const PAGE_SIZE = 12;
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'price_asc', label: 'Price: low to high' },
+  { value: 'price_desc', label: 'Price: high to low' },
+  { value: 'discount', label: 'Biggest discount' },
+];
+
+// Category listing (/category/:slug) - products of the category and its subcategories.
+// Sort, price range and page all live in the URL
+// (e.g. /category/men?sort=price_asc&minPrice=20&page=2) so views can be shared and bookmarked.
+// "page" is how many pages are shown; "Explore More" appends the next one.
+const ShopCategory = () => {
+  const { slug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sort = searchParams.get('sort') || 'newest';
+  const minPrice = searchParams.get('minPrice') || '';
+  const maxPrice = searchParams.get('maxPrice') || '';
+  const page = Math.max(parseInt(searchParams.get('page')) || 1, 1);
+
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [priceInput, setPriceInput] = useState({ minPrice, maxPrice });
+  // { category, path, children } from the API; notFound for unknown slugs
+  const [categoryInfo, setCategoryInfo] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  // Filters and page count already on screen, so "Explore More" only fetches the next page
+  const loadedRef = useRef({ key: null, pages: 0 });
+
+  // Keep the price inputs in step with the URL (back/forward, switching category)
+  useEffect(() => {
+    setPriceInput({ minPrice, maxPrice });
+  }, [minPrice, maxPrice]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setCategoryInfo(null);
+    setNotFound(false);
+
+    categoryAPI.getBySlug(slug)
+      .then((data) => {
+        if (!cancelled) setCategoryInfo(data);
+      })
+      .catch(() => {
+        if (!cancelled) setNotFound(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  useEffect(() => {
+    const filters = {
+      category: slug,
+      sort,
+      ...(minPrice && { minPrice }),
+      ...(maxPrice && { maxPrice }),
+    };
+    const key = JSON.stringify(filters);
+    const appending = loadedRef.current.key === key && page === loadedRef.current.pages + 1;
+    // A shared link to page 3 shows pages 1-3, like clicking "Explore More" twice
+    const pagesToFetch = appending ? [page] : Array.from({ length: page }, (_, i) => i + 1);
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    Promise.all(pagesToFetch.map((pageNumber) =>
+      productAPI.getAll({ ...filters, page: pageNumber, limit: PAGE_SIZE })
+    ))
+      .then((results) => {
+        if (cancelled) return;
+        const fetched = results.flatMap((result) => result.products || []);
+        const last = results[results.length - 1];
+        setProducts((prev) => (appending ? [...prev, ...fetched] : fetched));
+        setTotal(last.total || 0);
+        setTotalPages(Math.max(last.totalPages || 1, 1));
+        loadedRef.current = { key, pages: page };
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load products');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, sort, minPrice, maxPrice, page]);
+
+  // Merge changes into the query string, dropping empty values
+  // Changing a filter starts again from the first page
+  const updateParams = (changes, options) => {
+    const next = new URLSearchParams(searchParams);
+    if (!('page' in changes)) next.delete('page');
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value === '' || value === null || value === undefined) {
+        next.delete(name);
+      } else {
+        next.set(name, value);
+      }
+    });
+    setSearchParams(next, options);
+  };
+
+  const handlePriceSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ minPrice: priceInput.minPrice, maxPrice: priceInput.maxPrice });
+  };
+
+  const clearPrice = () => {
+    setPriceInput({ minPrice: '', maxPrice: '' });
+    updateParams({ minPrice: '', maxPrice: '' });
+  };
+
+  if (notFound) {
+    return (
+      <div className='shop-category'>
+        <p className='shopcategory-error'>Category not found</p>
+      </div>
+    );
+  }
+
+  const category = categoryInfo?.category;
+  const subcategories = categoryInfo?.children || [];
+
   return (
     <div className='shop-category'>
-      <img className='shopcategory-banner' src={props.banner} alt="" />
+      {category?.banner
+        ? <img className='shopcategory-banner' src={category.banner} alt={category.name} />
+        : <h1 className='shopcategory-title'>{category?.name}</h1>}
+      <Bredcrums category={slug}/>
+      {subcategories.length > 0 && (
+        <div className='shopcategory-subcategories'>
+          {subcategories.map((subcategory) => (
+            <Link key={subcategory._id} to={getCategoryUrl(subcategory)}>{subcategory.name}</Link>
+          ))}
+        </div>
+      )}
       <div className='shopcategory-indexSort'>
         <p>
-          <span>Showing 1-12</span> out of 36 products
+          {total > 0
+            ? <><span>Showing 1-{products.length}</span> out of {total} products</>
+            : <span>{loading ? 'Loading products...' : 'No products found'}</span>}
         </p>
-        <div className='shopcategory-sort'>
-          Sort by <img src={dropdown_icon} alt="" height="20px"/>
-        </div>
+        <form className='shopcategory-price' onSubmit={handlePriceSubmit}>
+          Price
+          <input
+            type='number'
+            min="0"
+            placeholder='Min'
+            value={priceInput.minPrice}
+            onChange={(e) => setPriceInput({ ...priceInput, minPrice: e.target.value })}
+          />
+          -
+          <input
+            type='number'
+            min="0"
+            placeholder='Max'
+            value={priceInput.maxPrice}
+            onChange={(e) => setPriceInput({ ...priceInput, maxPrice: e.target.value })}
+          />
+          <button type='submit'>Apply</button>
+          {(minPrice || maxPrice) && <button type='button' onClick={clearPrice}>Clear</button>}
+        </form>
+        <label className='shopcategory-sort'>
+          Sort by
+          <select value={sort} onChange={(e) => updateParams({ sort: e.target.value === 'newest' ? '' : e.target.value })}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
       </div>
+      {error && <p className='shopcategory-error'>{error}</p>}
       <div className="shopcategory-products">
-        {all_product.map((item,i)=>{
-          if(props.category === item.category){
-            return <Item key={item._id || item.id || i} id={item._id || item.id} _id={item._id} name={item.name} image={item.image} new_price={item.new_price} old_price={item.old_price}/>
-          }else{
-            return null;
-          }
-        })}
-
-  
+        {products.map((item) => (
+          <Item key={item._id} id={item._id} _id={item._id} name={item.name} image={item.image} images={item.images} new_price={item.new_price} old_price={item.old_price}/>
+        ))}
       </div>
-     
 
-
-      <div className="shopcategory-loadmore">
-        Explore More
-      </div>
+      {page < totalPages && (
+        <button
+          type='button'
+          className="shopcategory-loadmore"
+          disabled={loading}
+          onClick={() => updateParams({ page: page + 1 }, { replace: true, preventScrollReset: true })}
+        >
+          {loading ? 'Loading...' : 'Explore More'}
+        </button>
+      )}
     </div>
   )
 }
 
-export default ShopCategory
\ No newline at end of file
+export default ShopCategory
@@ -0,0 +1,62 @@
+import React, { useContext, useEffect, useRef, useState } from 'react'
+import "../CSS/LoginSignup.css"
+import { Link, useSearchParams } from 'react-router-dom'
+import { authAPI } from '../services/api'
+import { ShopContext } from '../Context/ShopContext'
+
+// Landing page for the emailed link: /verify-email?token=...
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { user, updateUser } = useContext(ShopContext);
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Tokens are single-use, so make sure we only submit it once (StrictMode runs effects twice)
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+
+    authAPI.verifyEmail(token)
+      .then((data) => {
+        setStatus('success');
+        setMessage(data.message);
+        // Hide the navbar banner if the verified account is the one logged in here
+        if (user && user.id === data.user.id) {
+          updateUser({ emailVerified: true });
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'Could not verify your email address');
+      });
+  }, [token, user, updateUser]);
+
+  return (
+    <div className='loginsignup'>
+      <div className="loginsignup-container">
+        <h1>Confirm Email</h1>
+        {status === 'verifying' && <p className='loginsignup-hint'>Confirming your email address...</p>}
+        {status === 'success' && (
+          <>
+            <div className='loginsignup-success'>{message}. Thanks!</div>
+            <p className="loginsignup-login"><Link to='/'><span>Continue shopping</span></Link></p>
+          </>
+        )}
+        {status === 'error' && (
+          <>
+            <div style={{color: 'red', marginBottom: '10px'}}>{message}</div>
+            <p className='loginsignup-hint'>
+              {user
+                ? 'Use "Resend email" in the banner at the top of the page to get a new link.'
+                : 'Log in and use "Resend email" in the banner at the top of the page to get a new link.'}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail
@@ -0,0 +1,12 @@
+import React from 'react'
+import WishlistItems from '../Components/WishlistItems/WishlistItems'
+
+const Wishlist = () => {
+  return (
+    <div>
+      <WishlistItems/>
+    </div>
+  )
+}
+
+export default Wishlist
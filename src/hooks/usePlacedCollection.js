@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react'
+import { collectionAPI } from '../services/api'
+
+/**
+ * The live collection admins placed in a homepage section, with its first products
+ * Shared by the Popular, Offers and New Collections sections.
+ *
+ * @param {string} placement - 'home-popular', 'home-offers' or 'home-new'
+ * @returns {object} { collection, products, total, loading, viewAllUrl } -
+ *   collection is null when nothing is placed; viewAllUrl is set when the
+ *   collection has more products than the section shows
+ */
+const usePlacedCollection = (placement) => {
+  const [section, setSection] = useState({ placement, collection: null, products: [], total: 0 });
+  const [loadedPlacement, setLoadedPlacement] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    collectionAPI.getForPlacement(placement)
+      .then((data) => {
+        if (!cancelled) setSection({ placement, ...data });
+      })
+      .catch((error) => console.error(`Error fetching the ${placement} collection:`, error))
+      .finally(() => {
+        if (!cancelled) setLoadedPlacement(placement);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [placement]);
+
+  const current = section.placement === placement ? section : { collection: null, products: [], total: 0 };
+  const products = current.products || [];
+
+  return {
+    collection: current.collection,
+    products,
+    total: current.total || 0,
+    loading: loadedPlacement !== placement,
+    viewAllUrl: current.collection && current.total > products.length
+      ? `/collections/${current.collection.slug}`
+      : null,
+  };
+};
+
+export default usePlacedCollection
@@ -28,15 +28,83 @@ const getAuthToken = () => {
 };
 
 /**
- * HELPER FUNCTION: Make API Request
- * Centralized function that handles ALL API calls
- * Adds authentication token automatically if user is logged in
- * 
- * @param {string} endpoint - API endpoint (e.g., '/products', '/auth/login')
- * @param {object} options - Request options (method, body, headers, etc.)
- * @returns {Promise} Response data from server
+ * HELPER FUNCTIONS: Stored login session
+ * The access token (JWT) expires after 15 minutes; the refresh token is
+ * swapped for a new pair of tokens when that happens
  */
-const apiRequest = async (endpoint, options = {}) => {
+const getRefreshToken = () => localStorage.getItem('refreshToken');
+
+// Save the tokens (and user) returned by login, signup or refresh
+const storeSession = (data) => {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  localStorage.setItem('user', JSON.stringify(data.user));
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+/**
+ * HELPER FUNCTION: Get a new access token
+ * Requests that fail at the same time share one refresh - each refresh token
+ * only works once, so sending it twice would end the session.
+ *
+ * If the session is over (logged out elsewhere, revoked, expired) the stored
+ * login is cleared and an "auth:session-expired" event lets the app update.
+ *
+ * @returns {Promise<boolean>} True if new tokens were stored
+ */
+let refreshPromise = null;
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return false;
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+
+        if (response.ok) {
+          storeSession(await response.json());
+          return true;
+        }
+        // Another tab may have used the refresh token first - its new tokens are already stored
+        if (getRefreshToken() !== refreshToken) return true;
+
+        if (response.status === 400 || response.status === 401) {
+          clearSession();
+          window.dispatchEvent(new Event('auth:session-expired'));
+        }
+        return false;
+      } catch (error) {
+        // Network error - keep the session, the next request can try again
+        console.error('Token refresh failed:', error);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+/**
+ * HELPER FUNCTION: fetch() with authentication
+ * Adds the access token, and when the server answers 401 (token expired)
+ * refreshes it once and repeats the request
+ *
+ * @param {string} endpoint - API endpoint (e.g., '/products')
+ * @param {object} options - fetch options (method, body, headers, etc.)
+ * @returns {Promise<Response>} Raw fetch response
+ */
+const authorizedFetch = async (endpoint, options = {}, isRetry = false) => {
   // Get token if user is logged in
   const token = getAuthToken();
   
@@ -45,7 +113,8 @@ const apiRequest = async (endpoint, options = {}) => {
   const config = {
     ...options,  // Copy method, body, etc. from options
     headers: {
-      'Content-Type': 'application/json',  // Tell server we're sending JSON
+      // Tell server we're sending JSON (FormData uploads get a multipart type with boundary from the browser)
+      ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
       // Add Authorization header ONLY if token exists
       // Conditional: token && { Authorization: ... } means "if token exists, add Authorization"
       ...(token && { Authorization: `Bearer ${token}` }),
@@ -54,12 +123,40 @@ const apiRequest = async (endpoint, options = {}) => {
     },
   };
 
+  // fetch() is JavaScript's built-in function for HTTP requests
+  // It returns a Promise (async operation)
+  // await waits for the Promise to complete before continuing
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
+
+  // A 401 from login/signup means wrong credentials, not an expired token
+  // (repeating the request would count as another failed attempt)
+  const isCredentialCheck = endpoint === '/auth/login' || endpoint === '/auth/signup';
+
+  if (response.status === 401 && token && !isRetry && !isCredentialCheck) {
+    // If another request already refreshed the token, just use the new one
+    const refreshed = getAuthToken() !== token || (await refreshAccessToken());
+    if (refreshed) {
+      return authorizedFetch(endpoint, options, true);
+    }
+  }
+
+  return response;
+};
+
+/**
+ * HELPER FUNCTION: Make API Request
+ * Centralized function that handles ALL API calls
+ * Adds authentication token automatically if user is logged in
+ * (and refreshes it transparently when it has expired)
+ * 
+ * @param {string} endpoint - API endpoint (e.g., '/products', '/auth/login')
+ * @param {object} options - Request options (method, body, headers, etc.)
+ * @returns {Promise} Response data from server
+ */
+const apiRequest = async (endpoint, options = {}) => {
   // Try to make the API request
   try {
-    // fetch() is JavaScript's built-in function for HTTP requests
-    // It returns a Promise (async operation)
-    // await waits for the Promise to complete before continuing
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, config);
+    const response = await authorizedFetch(endpoint, options);
     
     // Parse JSON response body to JavaScript object
     // response.json() also returns a Promise, so we await it
@@ -69,7 +166,11 @@ const apiRequest = async (endpoint, options = {}) => {
     // response.ok is true for status codes 200-299
     if (!response.ok) {
       // If not successful, throw error with message from server
-      throw new Error(data.message || 'An error occurred');
+      // status and data are attached so callers can show details (e.g. out-of-stock items)
+      const error = new Error(data.message || 'An error occurred');
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
 
     // If successful, return the data
@@ -82,6 +183,53 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+/**
+ * HELPER FUNCTION: Download a file from the API
+ * Like apiRequest, but for responses that aren't JSON (CSV exports, PDFs, ...)
+ * Errors are still JSON, so they are thrown the same way as in apiRequest
+ *
+ * @param {string} endpoint - API endpoint (e.g., '/newsletter/export')
+ * @param {object} options - Request options (method, body, headers, etc.)
+ * @returns {Promise<object>} { blob, fileName } - fileName from the Content-Disposition header
+ */
+const apiRequestBlob = async (endpoint, options = {}) => {
+  try {
+    const response = await authorizedFetch(endpoint, options);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.message || 'An error occurred');
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+
+    // e.g. attachment; filename="newsletter-subscribers-2024-05-01.csv"
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || 'download';
+    return { blob: await response.blob(), fileName };
+  } catch (error) {
+    console.error('API Error:', error);
+    throw error;
+  }
+};
+
+/**
+ * HELPER FUNCTION: Save a downloaded file
+ * Makes the browser download a blob from apiRequestBlob
+ * @param {object} file - { blob, fileName }
+ */
+export const saveFile = ({ blob, fileName }) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
 /**
  * PRODUCT API FUNCTIONS
  * These functions make HTTP requests to product endpoints
@@ -111,10 +259,42 @@ export const productAPI = {
   // Example: productAPI.getByCategory('women')
   getByCategory: (category) => apiRequest(`/products?category=${category}`),
   
-  // Search products by name
+  // Search products by name, category and description (best matches first)
+  // @param {object} params - Extra query parameters (page, limit, category)
+  // Example: productAPI.search('blue jeans', { page: 2 })
+  search: (searchTerm, params = {}) => productAPI.getAll({ ...params, search: searchTerm }),
+
+  // Autocomplete suggestions for the search bar (product names starting with the typed words)
   // encodeURIComponent ensures special characters are URL-safe
-  // Example: productAPI.search('jeans')
-  search: (searchTerm) => apiRequest(`/products?search=${encodeURIComponent(searchTerm)}`),
+  suggest: (query) => apiRequest(`/products/suggest?q=${encodeURIComponent(query)}`),
+};
+
+/**
+ * CATEGORY API FUNCTIONS
+ * Categories form a tree; products store the slug of their category
+ */
+export const categoryAPI = {
+  // All categories as a tree: { categories: [{ name, slug, banner, children: [...] }] }
+  getTree: () => apiRequest('/categories'),
+
+  // One category with its breadcrumb path and direct subcategories: { category, path, children }
+  // Example: categoryAPI.getBySlug('men')
+  getBySlug: (slug) => apiRequest(`/categories/${encodeURIComponent(slug)}`),
+};
+
+/**
+ * COLLECTION API FUNCTIONS
+ * Merchandising collections curated by admins (homepage sections, /collections pages)
+ */
+export const collectionAPI = {
+  // A collection with a page of its products: { collection, products, total, page, totalPages }
+  // @param {object} params - Query parameters (page, limit)
+  // Example: collectionAPI.getBySlug('exclusive-offers', { page: 2 })
+  getBySlug: (slug, params = {}) => apiRequest(`/collections/${encodeURIComponent(slug)}${toQueryString(params)}`),
+
+  // The collection filling a homepage section: { collection, products } (collection is null when none is live)
+  // Example: collectionAPI.getForPlacement('home-popular')
+  getForPlacement: (placement) => apiRequest(`/collections/placement/${placement}`),
 };
 
 /**
@@ -139,10 +319,9 @@ export const authAPI = {
     
     // If server returned a token (user was created successfully)
     if (data.token) {
-      // Store token in localStorage so we can use it for future requests
+      // Store tokens in localStorage so we can use them for future requests
       // localStorage only stores strings, so objects must be stringified
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('user', JSON.stringify(data.user));
+      storeSession(data);
     }
     return data;
   },
@@ -150,6 +329,7 @@ export const authAPI = {
   /**
    * Login existing user
    * Similar to signup, but for existing users
+   * Too many attempts (or a locked account) throw with status 429 and data.retryAfter (seconds)
    */
   login: async (email, password) => {
     const data = await apiRequest('/auth/login', {
@@ -157,22 +337,55 @@ export const authAPI = {
       body: JSON.stringify({ email, password }),
     });
     
-    // Store token and user info for authenticated requests
+    // Store tokens and user info for authenticated requests
     if (data.token) {
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('user', JSON.stringify(data.user));
+      storeSession(data);
     }
     return data;
   },
   
   /**
    * Logout user
-   * Removes token and user data from localStorage
+   * Removes tokens and user data from localStorage and ends the session
+   * on the server, so the refresh token can't be used again
    */
   logout: () => {
-    localStorage.removeItem('token');  // Remove token
-    localStorage.removeItem('user');   // Remove user data
+    const refreshToken = getRefreshToken();
+    clearSession();
+
+    // No need to wait - the browser is logged out either way
+    if (refreshToken) {
+      fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch((error) => console.error('Logout request failed:', error));
+    }
   },
+
+  /**
+   * List the devices this account is logged in on
+   * @returns {Promise} { sessions: [{ id, device, ip, createdAt, lastUsedAt, current }] }
+   */
+  getSessions: () => apiRequest('/auth/sessions'),
+
+  /**
+   * Log out one device
+   * @param {string} sessionId - Session ID from getSessions
+   */
+  revokeSession: (sessionId) =>
+    apiRequest(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    }),
+
+  /**
+   * Log out everywhere
+   * @param {boolean} othersOnly - Keep this device logged in
+   */
+  revokeAllSessions: (othersOnly = false) =>
+    apiRequest(`/auth/sessions${othersOnly ? '?others=true' : ''}`, {
+      method: 'DELETE',
+    }),
   
   /**
    * Get current logged-in user from server
@@ -189,7 +402,78 @@ export const authAPI = {
       method: 'PUT',  // PUT is used for updating existing resources
       body: JSON.stringify(profileData),
     }),
+
+  /**
+   * Address book - every call returns the whole book
+   * @returns {Promise} { addresses, defaultShippingAddress, defaultBillingAddress }
+   */
+  getAddresses: () => apiRequest('/auth/addresses'),
+
+  /**
+   * Save a new address (the response also includes the saved `address`)
+   * @param {object} address - { label, fullName, street, city, state, zipCode, country, phone,
+   *                             isDefaultShipping, isDefaultBilling }
+   */
+  addAddress: (address) =>
+    apiRequest('/auth/addresses', {
+      method: 'POST',
+      body: JSON.stringify(address),
+    }),
+
+  updateAddress: (addressId, address) =>
+    apiRequest(`/auth/addresses/${addressId}`, {
+      method: 'PUT',
+      body: JSON.stringify(address),
+    }),
+
+  deleteAddress: (addressId) =>
+    apiRequest(`/auth/addresses/${addressId}`, {
+      method: 'DELETE',
+    }),
   
+  /**
+   * Confirm an email address with the token from the verification email
+   * @param {string} token - Token from the verification link
+   * @returns {Promise} { message, user }
+   */
+  verifyEmail: (token) =>
+    apiRequest('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    }),
+
+  /**
+   * Send the logged-in user a new verification email
+   * Throttled on the server - a 429 error includes data.retryAfter (seconds)
+   */
+  resendVerification: () =>
+    apiRequest('/auth/resend-verification', {
+      method: 'POST',
+    }),
+
+  /**
+   * Ask for a password reset email
+   * The server answers the same way whether or not the email is registered
+   * @param {string} email - Account email
+   */
+  forgotPassword: (email) =>
+    apiRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    }),
+
+  /**
+   * Set a new password with the token from the reset email
+   * Every existing login (on any device) stops working afterwards
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   */
+  resetPassword: (token, password) =>
+    apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    }),
+
   /**
    * Check if user is authenticated
    * @returns {boolean} True if token exists
@@ -208,6 +492,14 @@ export const authAPI = {
     // JSON.parse converts JSON string to JavaScript object
     return userStr ? JSON.parse(userStr) : null;
   },
+
+  /**
+   * Save updated user data (e.g. after the email is verified)
+   * @param {object} user - User object to store
+   */
+  setStoredUser: (user) => {
+    localStorage.setItem('user', JSON.stringify(user));
+  },
 };
 
 /**
@@ -221,22 +513,32 @@ export const cartAPI = {
   // Add item to cart
   // @param {string} productId - Product to add
   // @param {number} quantity - How many to add (default: 1)
-  addItem: (productId, quantity = 1) =>
+  // @param {string} variantId - Chosen size/color variant (required if the product has variants)
+  addItem: (productId, quantity = 1, variantId = null) =>
     apiRequest('/cart/add', {
       method: 'POST',
-      body: JSON.stringify({ productId, quantity }),
+      body: JSON.stringify({ productId, variantId, quantity }),
     }),
-  
+
+  // Merge the guest (localStorage) cart into the account after login
+  // @param {Array} items - [{ productId, variantId, quantity }]
+  // Response includes `dropped` - lines whose product/variant no longer exists or that don't fit in stock
+  merge: (items) =>
+    apiRequest('/cart/merge', {
+      method: 'POST',
+      body: JSON.stringify({ items }),
+    }),
+
   // Update item quantity in cart
-  updateItem: (productId, quantity) =>
+  updateItem: (productId, quantity, variantId = null) =>
     apiRequest('/cart/update', {
       method: 'PUT',
-      body: JSON.stringify({ productId, quantity }),
+      body: JSON.stringify({ productId, variantId, quantity }),
     }),
-  
-  // Remove item from cart
-  removeItem: (productId) =>
-    apiRequest(`/cart/remove/${productId}`, {
+
+  // Remove item (one product/variant line) from cart
+  removeItem: (productId, variantId = null) =>
+    apiRequest(`/cart/remove/${productId}${variantId ? `?variantId=${variantId}` : ''}`, {
       method: 'DELETE',  // DELETE removes a resource
     }),
   
@@ -245,6 +547,65 @@ export const cartAPI = {
     apiRequest('/cart/clear', {
       method: 'DELETE',
     }),
+
+  // Apply a promo code - the server validates it and returns the cart with updated totals
+  applyCoupon: (code) =>
+    apiRequest('/cart/coupon', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    }),
+
+  // Remove the promo code from the cart
+  removeCoupon: () =>
+    apiRequest('/cart/coupon', {
+      method: 'DELETE',
+    }),
+
+  // Shipping and tax for delivering the cart to an address
+  // Returns { totals: { subtotal, discount, shipping, tax, taxIncluded, total, shippingError, ... } }
+  quote: (shippingAddress) =>
+    apiRequest('/cart/quote', {
+      method: 'POST',
+      body: JSON.stringify({ shippingAddress }),
+    }),
+};
+
+/**
+ * WISHLIST API FUNCTIONS
+ * Products saved for later (requires authentication - guests keep a local list, see ShopContext)
+ */
+export const wishlistAPI = {
+  // Get user's wishlist
+  get: () => apiRequest('/wishlist'),
+
+  // Save a product
+  add: (productId) =>
+    apiRequest('/wishlist/add', {
+      method: 'POST',
+      body: JSON.stringify({ productId }),
+    }),
+
+  // Remove a product
+  remove: (productId) =>
+    apiRequest(`/wishlist/remove/${productId}`, {
+      method: 'DELETE',
+    }),
+
+  // Merge the guest wishlist into the account after login
+  // @param {string[]} productIds - Product IDs saved while logged out
+  merge: (productIds) =>
+    apiRequest('/wishlist/merge', {
+      method: 'POST',
+      body: JSON.stringify({ productIds }),
+    }),
+
+  // Move a product into the cart (removes it from the wishlist)
+  // @param {string} variantId - Chosen size/color variant (required if the product has variants)
+  moveToCart: (productId, variantId = null) =>
+    apiRequest('/wishlist/move-to-cart', {
+      method: 'POST',
+      body: JSON.stringify({ productId, variantId }),
+    }),
 };
 
 /**
@@ -252,8 +613,10 @@ export const cartAPI = {
  * Handles order creation and retrieval
  */
 export const orderAPI = {
-  // Get all user's orders
-  getAll: () => apiRequest('/orders'),
+  // Get the user's orders, newest first
+  // @param {object} params - { page, limit }
+  // @returns {Promise} { orders, total, page, totalPages }
+  getAll: (params = {}) => apiRequest(`/orders${toQueryString(params)}`),
   
   // Get single order by ID
   getById: (id) => apiRequest(`/orders/${id}`),
@@ -265,12 +628,258 @@ export const orderAPI = {
       method: 'POST',
       body: JSON.stringify(orderData),
     }),
+
+  // Invoice PDF for an order (customers: own orders only) - pass the result to saveFile()
+  downloadInvoice: (id) => apiRequestBlob(`/orders/${id}/invoice`),
+};
+
+/**
+ * Build "?a=1&b=2" from an object, dropping empty filters so they aren't sent as "status="
+ * @param {object} params - Query parameters
+ * @returns {string} Query string (empty when there are no filters)
+ */
+const toQueryString = (params = {}) => {
+  const filters = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+  );
+  const queryString = new URLSearchParams(filters).toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+/**
+ * REVIEW API FUNCTIONS
+ * Product reviews - reading is public, writing and voting require login
+ */
+export const reviewAPI = {
+  // Get published reviews for a product
+  // @param {object} params - page, limit, sort (newest, oldest, helpful, rating_high, rating_low)
+  getForProduct: (productId, params = {}) =>
+    apiRequest(`/reviews/product/${productId}${toQueryString(params)}`),
+
+  // Write a review
+  // @param {object} reviewData - { rating, title, text }
+  create: (productId, reviewData) =>
+    apiRequest(`/reviews/product/${productId}`, {
+      method: 'POST',
+      body: JSON.stringify(reviewData),
+    }),
+
+  // Edit your own review
+  update: (id, reviewData) =>
+    apiRequest(`/reviews/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(reviewData),
+    }),
+
+  delete: (id) =>
+    apiRequest(`/reviews/${id}`, {
+      method: 'DELETE',
+    }),
+
+  // Toggle a "helpful" vote on someone else's review
+  toggleHelpful: (id) =>
+    apiRequest(`/reviews/${id}/helpful`, {
+      method: 'POST',
+    }),
+};
+
+/**
+ * NEWSLETTER API FUNCTIONS
+ * Sign-up is double opt-in: the subscription is confirmed from a link in an email
+ */
+export const newsletterAPI = {
+  // Subscribe an email address (linked to the account when logged in)
+  // Returns { status: 'pending' | 'confirmed', message }
+  subscribe: (email) =>
+    apiRequest('/newsletter/subscribe', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    }),
+
+  // Confirm with the token from the confirmation email
+  confirm: (token) =>
+    apiRequest('/newsletter/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    }),
+
+  // Unsubscribe with the id and signature from the link in a newsletter email
+  unsubscribe: (id, signature) =>
+    apiRequest('/newsletter/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ id, signature }),
+    }),
+};
+
+/**
+ * PAYMENT API FUNCTIONS
+ * Card payments for orders placed with credit_card / debit_card
+ */
+export const paymentAPI = {
+  // Start (or resume) paying for an order
+  // Returns { intentId, clientSecret, status, amount, currency }
+  createIntent: (orderId) =>
+    apiRequest(`/payments/orders/${orderId}/intent`, { method: 'POST' }),
+
+  // Pay with card details
+  // @param {object} card - { number, expMonth, expYear, cvc }
+  // Returns { status, nextAction, order } - a declined card throws with status 402
+  confirm: (orderId, card) =>
+    apiRequest(`/payments/orders/${orderId}/confirm`, {
+      method: 'POST',
+      body: JSON.stringify({ card }),
+    }),
+
+  // Re-read the payment result (after returning from 3-D Secure)
+  sync: (orderId) =>
+    apiRequest(`/payments/orders/${orderId}/sync`, { method: 'POST' }),
+
+  // Approve or decline on the mock gateway's 3-D Secure page
+  // Returns { status, orderId }
+  mockAuthenticate: (intentId, clientSecret, approved) =>
+    apiRequest('/payments/mock/authenticate', {
+      method: 'POST',
+      body: JSON.stringify({ intentId, clientSecret, approved }),
+    }),
+};
+
+/**
+ * ADMIN API FUNCTIONS
+ * Store management endpoints - the server rejects these unless the user has role 'admin'
+ */
+export const adminAPI = {
+  // Products (admin CRUD lives on the regular /products routes)
+  getProducts: (params = {}) => productAPI.getAll(params),
+
+  createProduct: (productData) =>
+    apiRequest('/products', {
+      method: 'POST',
+      body: JSON.stringify(productData),
+    }),
+
+  updateProduct: (id, productData) =>
+    apiRequest(`/products/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(productData),
+    }),
+
+  deleteProduct: (id) =>
+    apiRequest(`/products/${id}`, {
+      method: 'DELETE',
+    }),
+
+  // Upload one product image; returns { url, key, width, height, renditions } to add to the product's images
+  // @param {File} file - JPEG, PNG, WebP, GIF or AVIF (max 5 MB)
+  uploadProductImage: (file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return apiRequest('/products/images', {
+      method: 'POST',
+      body: formData,
+    });
+  },
+
+  // Categories
+  // @param {object} categoryData - { name, slug, parent, banner, sortOrder }
+  createCategory: (categoryData) =>
+    apiRequest('/categories', {
+      method: 'POST',
+      body: JSON.stringify(categoryData),
+    }),
+
+  updateCategory: (id, categoryData) =>
+    apiRequest(`/categories/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(categoryData),
+    }),
+
+  // Only empty categories (no products or subcategories) can be deleted
+  deleteCategory: (id) =>
+    apiRequest(`/categories/${id}`, {
+      method: 'DELETE',
+    }),
+
+  // Collections (including switched-off and scheduled ones): { collections }
+  getCollections: () => apiRequest('/collections'),
+
+  // @param {object} collectionData - { name, slug, description, banner, type, products, rules,
+  //   placement, limit, startsAt, endsAt, active }
+  createCollection: (collectionData) =>
+    apiRequest('/collections', {
+      method: 'POST',
+      body: JSON.stringify(collectionData),
+    }),
+
+  updateCollection: (id, collectionData) =>
+    apiRequest(`/collections/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(collectionData),
+    }),
+
+  deleteCollection: (id) =>
+    apiRequest(`/collections/${id}`, {
+      method: 'DELETE',
+    }),
+
+  // Orders across the whole store
+  // @param {object} params - Filters (status, paymentStatus, from, to, email, minTotal, page, limit, sort)
+  getOrders: (params = {}) => apiRequest(`/admin/orders${toQueryString(params)}`),
+
+  getOrder: (id) => apiRequest(`/admin/orders/${id}`),
+
+  // Change status of a single order
+  // @param {object} statusData - { orderStatus, paymentStatus, note }
+  updateOrderStatus: (id, statusData) =>
+    apiRequest(`/orders/${id}/status`, {
+      method: 'PUT',
+      body: JSON.stringify(statusData),
+    }),
+
+  // Change status of many orders at once (fulfilment batches)
+  // @param {object} statusData - { orderIds, orderStatus, paymentStatus, note }
+  bulkUpdateOrderStatus: (statusData) =>
+    apiRequest('/admin/orders/status', {
+      method: 'PUT',
+      body: JSON.stringify(statusData),
+    }),
+
+  // Refund a card payment in full (marks the order refunded)
+  refundOrder: (id, note) =>
+    apiRequest(`/payments/orders/${id}/refund`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    }),
+
+  // Reviews awaiting moderation
+  // @param {object} params - Filters (status, product, page, limit)
+  getReviews: (params = {}) => apiRequest(`/reviews${toQueryString(params)}`),
+
+  // Publish or hide a review
+  // @param {object} moderation - { status: 'published' | 'hidden', note }
+  moderateReview: (id, moderation) =>
+    apiRequest(`/reviews/${id}/moderate`, {
+      method: 'PUT',
+      body: JSON.stringify(moderation),
+    }),
+
+  deleteReview: (id) => reviewAPI.delete(id),
+
+  // Newsletter subscriber counts { pending, confirmed, unsubscribed }
+  getNewsletterStats: () => apiRequest('/newsletter/stats'),
+
+  // Confirmed subscribers as a CSV file - pass the result to saveFile()
+  exportSubscribers: () => apiRequestBlob('/newsletter/export'),
 };
 
 export default {
   productAPI,
   authAPI,
   cartAPI,
+  wishlistAPI,
   orderAPI,
+  reviewAPI,
+  newsletterAPI,
+  paymentAPI,
+  adminAPI,
 };
 
@@ -0,0 +1,177 @@
+/**
+ * Client-side address rules for checkout and the address book
+ * Mirrors server/utils/addresses.js so mistakes are shown before the request
+ * is sent. The server still validates.
+ */
+
+export const COUNTRIES = [
+  { code: 'AU', name: 'Australia' },
+  { code: 'AT', name: 'Austria' },
+  { code: 'BE', name: 'Belgium' },
+  { code: 'BR', name: 'Brazil' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'DK', name: 'Denmark' },
+  { code: 'FI', name: 'Finland' },
+  { code: 'FR', name: 'France' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'IN', name: 'India' },
+  { code: 'IE', name: 'Ireland' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'MX', name: 'Mexico' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'NZ', name: 'New Zealand' },
+  { code: 'NO', name: 'Norway' },
+  { code: 'PL', name: 'Poland' },
+  { code: 'PT', name: 'Portugal' },
+  { code: 'SG', name: 'Singapore' },
+  { code: 'ZA', name: 'South Africa' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'SE', name: 'Sweden' },
+  { code: 'CH', name: 'Switzerland' },
+  { code: 'AE', name: 'United Arab Emirates' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'US', name: 'United States' },
+];
+
+const US_STATES = [
+  ['AL', 'Alabama'], ['AK', 'Alaska'], ['AZ', 'Arizona'], ['AR', 'Arkansas'], ['CA', 'California'],
+  ['CO', 'Colorado'], ['CT', 'Connecticut'], ['DE', 'Delaware'], ['DC', 'District of Columbia'],
+  ['FL', 'Florida'], ['GA', 'Georgia'], ['HI', 'Hawaii'], ['ID', 'Idaho'], ['IL', 'Illinois'],
+  ['IN', 'Indiana'], ['IA', 'Iowa'], ['KS', 'Kansas'], ['KY', 'Kentucky'], ['LA', 'Louisiana'],
+  ['ME', 'Maine'], ['MD', 'Maryland'], ['MA', 'Massachusetts'], ['MI', 'Michigan'], ['MN', 'Minnesota'],
+  ['MS', 'Mississippi'], ['MO', 'Missouri'], ['MT', 'Montana'], ['NE', 'Nebraska'], ['NV', 'Nevada'],
+  ['NH', 'New Hampshire'], ['NJ', 'New Jersey'], ['NM', 'New Mexico'], ['NY', 'New York'],
+  ['NC', 'North Carolina'], ['ND', 'North Dakota'], ['OH', 'Ohio'], ['OK', 'Oklahoma'], ['OR', 'Oregon'],
+  ['PA', 'Pennsylvania'], ['RI', 'Rhode Island'], ['SC', 'South Carolina'], ['SD', 'South Dakota'],
+  ['TN', 'Tennessee'], ['TX', 'Texas'], ['UT', 'Utah'], ['VT', 'Vermont'], ['VA', 'Virginia'],
+  ['WA', 'Washington'], ['WV', 'West Virginia'], ['WI', 'Wisconsin'], ['WY', 'Wyoming'],
+];
+const CA_PROVINCES = [
+  ['AB', 'Alberta'], ['BC', 'British Columbia'], ['MB', 'Manitoba'], ['NB', 'New Brunswick'],
+  ['NL', 'Newfoundland and Labrador'], ['NS', 'Nova Scotia'], ['NT', 'Northwest Territories'],
+  ['NU', 'Nunavut'], ['ON', 'Ontario'], ['PE', 'Prince Edward Island'], ['QC', 'Quebec'],
+  ['SK', 'Saskatchewan'], ['YT', 'Yukon'],
+];
+const AU_STATES = [
+  ['ACT', 'Australian Capital Territory'], ['NSW', 'New South Wales'], ['NT', 'Northern Territory'],
+  ['QLD', 'Queensland'], ['SA', 'South Australia'], ['TAS', 'Tasmania'], ['VIC', 'Victoria'],
+  ['WA', 'Western Australia'],
+];
+
+// postalCode: { pattern, required, label, placeholder }, state: { required, label, options: [[code, name]] }
+const ADDRESS_FORMATS = {
+  US: {
+    postalCode: { pattern: /^\d{5}(-\d{4})?$/, required: true, label: 'ZIP code', placeholder: '94105' },
+    state: { required: true, label: 'State', options: US_STATES },
+  },
+  CA: {
+    postalCode: { pattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, required: true, label: 'Postal code', placeholder: 'K1A 0B1' },
+    state: { required: true, label: 'Province', options: CA_PROVINCES },
+  },
+  AU: {
+    postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postcode', placeholder: '2000' },
+    state: { required: true, label: 'State', options: AU_STATES },
+  },
+  GB: {
+    postalCode: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, required: true, label: 'Postcode', placeholder: 'SW1A 1AA' },
+    state: { required: false, label: 'County' },
+  },
+  IE: {
+    postalCode: { pattern: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/, required: false, label: 'Eircode', placeholder: 'D02 X285' },
+    state: { required: false, label: 'County' },
+  },
+  DE: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'Postleitzahl', placeholder: '10115' } },
+  FR: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'Code postal', placeholder: '75001' } },
+  IT: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'CAP', placeholder: '00118' } },
+  ES: { postalCode: { pattern: /^\d{5}$/, required: true, label: 'Código postal', placeholder: '28001' } },
+  PT: { postalCode: { pattern: /^\d{4}-\d{3}$/, required: true, label: 'Código postal', placeholder: '1000-001' } },
+  NL: { postalCode: { pattern: /^\d{4} ?[A-Z]{2}$/, required: true, label: 'Postcode', placeholder: '1012 AB' } },
+  BE: { postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postal code', placeholder: '1000' } },
+  AT: { postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postleitzahl', placeholder: '1010' } },
+  DK: { postalCode: { pattern: /^\d{4}$/, required: true, label: 'Postnummer', placeholder: '1050' } },
+  SE: { postalCode: { pattern: /^\d{3} ?\d{2}$/, required: true, label: 'Postnummer', placeholder: '111 22' } },
+  PL: { postalCode: { pattern: /^\d{2}-\d{3}$/, required: true, label: 'Kod pocztowy', placeholder: '00-001' } },
+  IN: {
+    postalCode: { pattern: /^\d{6}$/, required: true, label: 'PIN code', placeholder: '110001' },
+    state: { required: true, label: 'State' },
+  },
+  JP: { postalCode: { pattern: /^\d{3}-?\d{4}$/, required: true, label: 'Postal code', placeholder: '100-0001' } },
+};
+
+const DEFAULT_FORMAT = {
+  postalCode: { pattern: /^[A-Z\d][A-Z\d -]{1,10}$/, required: false, label: 'Postal code', placeholder: '' },
+  state: { required: false, label: 'State / Region' },
+};
+
+export const EMPTY_ADDRESS = {
+  label: '',
+  fullName: '',
+  street: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  country: 'US',
+  phone: '',
+};
+
+/**
+ * Postal code and state rules for a country
+ * @param {string} country - ISO country code
+ * @returns {object} { postalCode, state }
+ */
+export const getAddressFormat = (country) => {
+  const format = ADDRESS_FORMATS[country] || {};
+  return {
+    postalCode: format.postalCode || DEFAULT_FORMAT.postalCode,
+    state: format.state || DEFAULT_FORMAT.state,
+  };
+};
+
+export const getCountryName = (code) => COUNTRIES.find((country) => country.code === code)?.name || code;
+
+/**
+ * Validate address form values
+ * @param {object} address - Form values
+ * @returns {object} Errors keyed by field name (empty object when valid)
+ */
+export const validateAddress = (address) => {
+  const errors = {};
+  const format = getAddressFormat(address.country);
+  const state = (address.state || '').trim();
+  const zipCode = (address.zipCode || '').trim().toUpperCase();
+
+  if (!address.country) errors.country = 'Please choose a country';
+  if (!address.street || !address.street.trim()) errors.street = 'Street address is required';
+  if (!address.city || !address.city.trim()) errors.city = 'City is required';
+
+  if (!state && format.state.required) {
+    errors.state = `${format.state.label} is required`;
+  }
+
+  if (!zipCode) {
+    if (format.postalCode.required) errors.zipCode = `${format.postalCode.label} is required`;
+  } else if (!format.postalCode.pattern.test(zipCode)) {
+    errors.zipCode = `Please enter a valid ${format.postalCode.label.toLowerCase()}`;
+  }
+
+  return errors;
+};
+
+// One-line summary, e.g. "1 Main St, San Francisco, CA 94105, United States"
+export const formatAddress = (address) =>
+  [
+    address.street,
+    address.city,
+    [address.state, address.zipCode].filter(Boolean).join(' '),
+    getCountryName(address.country),
+  ].filter(Boolean).join(', ');
+
+export default {
+  COUNTRIES,
+  EMPTY_ADDRESS,
+  getAddressFormat,
+  getCountryName,
+  validateAddress,
+  formatAddress,
+};
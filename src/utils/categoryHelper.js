@@ -0,0 +1,43 @@
+/**
+ * Helpers for the category tree from GET /api/categories
+ * Each node: { _id, name, slug, banner, parent, sortOrder, children: [...] }
+ */
+
+// URL of a category's listing page
+export const getCategoryUrl = (category) => `/category/${category.slug}`;
+
+/**
+ * Path from the top level down to a category
+ * @returns {object[]} [top level, ..., category], or [] when the slug isn't in the tree
+ */
+export const findCategoryPath = (tree, slug) => {
+  for (const category of tree) {
+    if (category.slug === slug) return [category];
+    const path = findCategoryPath(category.children || [], slug);
+    if (path.length > 0) return [category, ...path];
+  }
+  return [];
+};
+
+/**
+ * Every category in menu order, with its depth (0 = top level) - for <select> options
+ * @returns {object[]} [{ category, depth }]
+ */
+export const flattenCategories = (tree, depth = 0) =>
+  tree.flatMap((category) => [
+    { category, depth },
+    ...flattenCategories(category.children || [], depth + 1),
+  ]);
+
+// Full name of a category, e.g. "Men > Shirts" (the slug itself when it isn't in the tree)
+export const getCategoryLabel = (tree, slug) => {
+  const path = findCategoryPath(tree, slug);
+  return path.length > 0 ? path.map((category) => category.name).join(' > ') : slug;
+};
+
+export default {
+  getCategoryUrl,
+  findCategoryPath,
+  flattenCategories,
+  getCategoryLabel,
+};
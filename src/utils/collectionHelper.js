@@ -0,0 +1,46 @@
+/**
+ * Shared collection constants and helpers for the admin pages
+ * Placements match the Collection schema (server/models/Collection.js)
+ */
+
+export const COLLECTION_PLACEMENTS = [
+  { value: 'home-popular', label: 'Homepage - Popular' },
+  { value: 'home-offers', label: 'Homepage - Offers banner' },
+  { value: 'home-new', label: 'Homepage - New Collections' },
+];
+
+export const MAX_COLLECTION_PRODUCTS = 100;
+
+// Products a homepage section can show
+export const MAX_COLLECTION_LIMIT = 48;
+
+export const getPlacementLabel = (placement) =>
+  COLLECTION_PLACEMENTS.find((option) => option.value === placement)?.label || 'None';
+
+/**
+ * Where a collection is in its schedule
+ * @returns {string} 'off', 'scheduled', 'ended' or 'live'
+ */
+export const getCollectionStatus = (collection, now = new Date()) => {
+  if (!collection.active) return 'off';
+  if (collection.startsAt && new Date(collection.startsAt) > now) return 'scheduled';
+  if (collection.endsAt && new Date(collection.endsAt) <= now) return 'ended';
+  return 'live';
+};
+
+// Date → value for <input type="datetime-local"> (local time, no seconds)
+export const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+export default {
+  COLLECTION_PLACEMENTS,
+  MAX_COLLECTION_PRODUCTS,
+  MAX_COLLECTION_LIMIT,
+  getPlacementLabel,
+  getCollectionStatus,
+  toDateTimeInput,
+};
@@ -53,8 +53,58 @@ export const getProductImage = (imagePath) => {
   return imagePath;
 };
 
+/**
+ * Gallery images for a product, in display order
+ * Products without a gallery get their main image as the only entry
+ * @returns {Array} [{ url, alt, color }]
+ */
+export const getProductImages = (product) => {
+  if (product?.images?.length > 0) return product.images;
+  return product?.image ? [{ url: product.image, alt: '', color: '' }] : [];
+};
+
+// Rendition formats in order of preference (the browser takes the first it supports)
+const RENDITION_TYPES = [
+  ['avif', 'image/avif'],
+  ['webp', 'image/webp'],
+];
+
+/**
+ * Responsive image attributes for a gallery image
+ * The server stores resized AVIF/WebP copies ("renditions") of uploaded and
+ * seeded images; each format becomes one srcset so the browser picks the
+ * smallest file that is sharp enough for `sizes`.
+ *
+ * @param {object|string} image - Gallery image ({ url, width, height, renditions }) or a plain path/URL
+ * @param {string} sizes - Displayed width, e.g. "200px" or "(max-width: 800px) 100vw, 400px"
+ * @returns {object} { src, width, height, sources: [{ type, srcSet, sizes }] } (no sources without renditions)
+ */
+export const getResponsiveImage = (image, sizes) => {
+  const data = image && typeof image === 'object' && 'url' in image ? image : { url: image };
+  const renditions = data.renditions || [];
+
+  const sources = RENDITION_TYPES.map(([format, type]) => ({
+    type,
+    sizes,
+    srcSet: renditions
+      .filter((rendition) => rendition.format === format)
+      .sort((a, b) => a.width - b.width)
+      .map((rendition) => `${getImageSrc(rendition.url)} ${rendition.width}w`)
+      .join(', '),
+  })).filter((source) => source.srcSet);
+
+  return {
+    src: getImageSrc(data.url),
+    width: data.width || undefined,
+    height: data.height || undefined,
+    sources,
+  };
+};
+
 export default {
   getImageSrc,
   getProductImage,
+  getProductImages,
+  getResponsiveImage,
 };
 
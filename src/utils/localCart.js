@@ -0,0 +1,47 @@
+/**
+ * Guest cart kept in localStorage
+ *
+ * Logged-out shoppers can fill a cart that survives reloads; it is merged
+ * into their account (POST /api/cart/merge) when they log in or sign up.
+ * Stored in the same shape as ShopContext's cartItems: { cartKey: quantity }
+ * (cart keys are "productId" or "productId:variantId", see variantHelper.js).
+ */
+
+import { parseCartKey } from './variantHelper';
+
+const STORAGE_KEY = 'cart';
+
+/**
+ * Read the saved cart (empty object if nothing is stored or the data is corrupt)
+ */
+export const getLocalCart = () => {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return items && typeof items === 'object' && !Array.isArray(items) ? items : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Replace the saved cart
+ */
+export const saveLocalCart = (items) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+};
+
+/**
+ * Forget the guest cart (after it has been merged into an account)
+ */
+export const clearLocalCart = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Convert the saved cart to the lines POST /api/cart/merge expects
+ * @returns {Array} [{ productId, variantId, quantity }]
+ */
+export const getLocalCartLines = () =>
+  Object.entries(getLocalCart())
+    .filter(([, quantity]) => quantity > 0)
+    .map(([key, quantity]) => ({ ...parseCartKey(key), quantity }));
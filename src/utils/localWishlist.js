@@ -0,0 +1,35 @@
+/**
+ * Guest wishlist kept in localStorage
+ *
+ * Logged-out shoppers can still save products; the list is merged into
+ * their account (POST /api/wishlist/merge) the next time they log in.
+ * Stored as a JSON array of product IDs.
+ */
+
+const STORAGE_KEY = 'wishlist';
+
+/**
+ * Read the saved product IDs (empty array if nothing is stored or the data is corrupt)
+ */
+export const getLocalWishlist = () => {
+  try {
+    const ids = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Replace the saved product IDs
+ */
+export const saveLocalWishlist = (ids) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+};
+
+/**
+ * Forget the guest wishlist (after it has been merged into an account)
+ */
+export const clearLocalWishlist = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
@@ -0,0 +1,33 @@
+/**
+ * Shared order constants and formatting helpers
+ * Status values match the Order schema (server/models/Order.js)
+ */
+
+export const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+export const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+
+const PAYMENT_METHOD_LABELS = {
+  credit_card: 'Credit card',
+  debit_card: 'Debit card',
+  paypal: 'PayPal',
+  cash_on_delivery: 'Cash on delivery',
+};
+
+export const getPaymentMethodLabel = (method) => PAYMENT_METHOD_LABELS[method] || method;
+
+// Short, readable order reference (last 8 characters of the id)
+export const getOrderReference = (order) => `#${String(order?._id || '').slice(-8).toUpperCase()}`;
+
+export const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+export const formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+export default {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  getPaymentMethodLabel,
+  getOrderReference,
+  formatDate,
+  formatMoney,
+};
@@ -0,0 +1,114 @@
+/**
+ * Client-side validation for the admin product form
+ * Mirrors the rules of the Product schema (server/models/Product.js) so
+ * mistakes are shown before the request is sent. The server still validates.
+ */
+
+export const MAX_PRODUCT_IMAGES = 12;
+
+const isNonNegativeNumber = (value) =>
+  value !== '' && value !== null && value !== undefined && !Number.isNaN(Number(value)) && Number(value) >= 0;
+
+/**
+ * Validate product form values
+ * @param {object} product - Form values (numbers may still be strings)
+ * @returns {object} Errors keyed by field name (empty object when valid)
+ */
+export const validateProduct = (product) => {
+  const errors = {};
+
+  if (!product.name || !product.name.trim()) {
+    errors.name = 'Name is required';
+  }
+  // Categories come from the database, so the server checks the slug exists
+  if (!product.category) {
+    errors.category = 'Choose a category';
+  }
+  // The first gallery image becomes the product's main image
+  const images = product.images || [];
+  if (images.length === 0) {
+    errors.images = 'Add at least one image';
+  } else if (images.length > MAX_PRODUCT_IMAGES) {
+    errors.images = `A product can have at most ${MAX_PRODUCT_IMAGES} images`;
+  } else if (images.some((image) => !image.url || !image.url.trim())) {
+    errors.images = 'Every image needs a path or URL';
+  }
+  if (!isNonNegativeNumber(product.new_price)) {
+    errors.new_price = 'Price must be a number of 0 or more';
+  }
+  if (!isNonNegativeNumber(product.old_price)) {
+    errors.old_price = 'Old price must be a number of 0 or more';
+  }
+  if (product.weight !== '' && product.weight !== undefined && product.weight !== null && !isNonNegativeNumber(product.weight)) {
+    errors.weight = 'Weight must be a number of 0 or more';
+  }
+  if (!(product.variants?.length > 0) && !isNonNegativeNumber(product.stockQuantity)) {
+    errors.stockQuantity = 'Stock must be a number of 0 or more';
+  }
+
+  // Variants: SKU required, stock >= 0, optional price >= 0, unique size/color
+  const seen = new Set();
+  (product.variants || []).forEach((variant, index) => {
+    const prefix = `variants.${index}`;
+    if (!variant.sku || !variant.sku.trim()) {
+      errors[`${prefix}.sku`] = 'SKU is required';
+    }
+    if (!isNonNegativeNumber(variant.stockQuantity)) {
+      errors[`${prefix}.stockQuantity`] = 'Stock must be 0 or more';
+    }
+    if (variant.price !== '' && variant.price !== undefined && variant.price !== null && !isNonNegativeNumber(variant.price)) {
+      errors[`${prefix}.price`] = 'Price must be 0 or more';
+    }
+    const key = `${(variant.size || '').trim().toUpperCase()}|${(variant.color || '').trim().toLowerCase()}`;
+    if (seen.has(key)) {
+      errors[`${prefix}.size`] = 'Size and color combination is duplicated';
+    }
+    seen.add(key);
+  });
+
+  return errors;
+};
+
+/**
+ * Convert form values into the JSON body the API expects
+ */
+export const toProductPayload = (product) => ({
+  name: product.name.trim(),
+  category: product.category,
+  image: product.images[0].url.trim(),
+  images: product.images.map((image) => ({
+    ...(image._id ? { _id: image._id } : {}),
+    url: image.url.trim(),
+    key: image.key || '',
+    alt: (image.alt || '').trim(),
+    color: image.color || '',
+    // Set by the server when the image was uploaded - sent back unchanged
+    width: image.width ?? null,
+    height: image.height ?? null,
+    renditions: image.renditions || [],
+  })),
+  new_price: Number(product.new_price),
+  old_price: Number(product.old_price),
+  description: product.description || '',
+  // Empty weight = use the default shipping weight
+  weight: product.weight === '' || product.weight === undefined || product.weight === null ? null : Number(product.weight),
+  ...(product.variants.length > 0
+    ? {}
+    : { stockQuantity: Number(product.stockQuantity), inStock: Number(product.stockQuantity) > 0 }),
+  variants: product.variants.map((variant) => ({
+    ...(variant._id ? { _id: variant._id } : {}),
+    sku: variant.sku.trim(),
+    size: (variant.size || '').trim(),
+    color: (variant.color || '').trim(),
+    stockQuantity: Number(variant.stockQuantity),
+    ...(variant.price === '' || variant.price === undefined || variant.price === null
+      ? {}
+      : { price: Number(variant.price) }),
+  })),
+});
+
+export default {
+  MAX_PRODUCT_IMAGES,
+  validateProduct,
+  toProductPayload,
+};
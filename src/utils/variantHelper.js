@@ -0,0 +1,62 @@
+/**
+ * Helpers for product variants (size / color SKUs) and cart line keys
+ *
+ * A cart line is identified by product + variant, so the same product in
+ * two sizes shows up as two separate lines.
+ * Keys look like "productId" or "productId:variantId".
+ */
+
+const KEY_SEPARATOR = ':';
+
+/**
+ * Build the cart key for a product (and optional variant)
+ */
+export const getCartKey = (productId, variantId) =>
+  variantId ? `${productId}${KEY_SEPARATOR}${variantId}` : `${productId}`;
+
+/**
+ * Split a cart key back into { productId, variantId }
+ */
+export const parseCartKey = (key) => {
+  const [productId, variantId = null] = key.split(KEY_SEPARATOR);
+  return { productId, variantId };
+};
+
+/**
+ * Find a variant on a product by id
+ */
+export const findVariant = (product, variantId) => {
+  if (!product || !variantId || !product.variants) return undefined;
+  return product.variants.find((variant) => variant._id === variantId);
+};
+
+/**
+ * Price for a product/variant (variant price overrides the product price)
+ */
+export const getVariantPrice = (product, variant) => {
+  if (variant && variant.price !== undefined && variant.price !== null) {
+    return variant.price;
+  }
+  return product?.new_price || 0;
+};
+
+/**
+ * Human readable line label, e.g. "Jeans / M / Blue"
+ */
+export const getVariantLabel = (product, variant) =>
+  [product?.name, variant?.size, variant?.color].filter(Boolean).join(' / ');
+
+/**
+ * Variants that can currently be bought
+ */
+export const getAvailableVariants = (product) =>
+  (product?.variants || []).filter((variant) => variant.stockQuantity > 0);
+
+export default {
+  getCartKey,
+  parseCartKey,
+  findVariant,
+  getVariantPrice,
+  getVariantLabel,
+  getAvailableVariants,
+};